@@ -0,0 +1,1771 @@
+/**
+ * F1 Game Simulator
+ *
+ * @description
+ * A headless stand-in for the game: drives 22 virtual cars around a
+ * configurable track and sends every packet type over UDP at the chosen send
+ * rate, like the game does with UDP telemetry enabled. Scripted scenarios add
+ * pit stops, safety cars, retirements and rain, so F1UDPService, telemetry.js
+ * and the dashboard can be run end to end without the game or a recording.
+ *
+ * The session goes through three phases: a short lobby (Lobby Info packets
+ * only), the grid with the start lights, and the race until every car has
+ * taken the chequered flag or retired. Time Trial packets are only sent when
+ * `sessionType` is 18 (time trial). Runs are reproducible for a given `seed`.
+ *
+ * Usage:
+ *   node F1Simulator.js [--port 20777] [--rate 20] [--track silverstone]
+ *                       [--laps 5] [--time-scale 1] [--format 2025] [--no-scenarios]
+ *
+ * @example
+ * ```javascript
+ * const { F1Simulator } = require('./F1Simulator');
+ *
+ * const simulator = new F1Simulator({
+ *   port: 20777,
+ *   sendRate: 60,
+ *   track: 'monza',
+ *   totalLaps: 3,
+ *   scenarios: [
+ *     { type: 'safetyCar', lap: 2, laps: 1 },
+ *     { type: 'pitStop', carIdx: 0, lap: 2, compound: 'hard' }
+ *   ]
+ * });
+ *
+ * simulator.on('finished', () => simulator.stop());
+ * await simulator.start();
+ *
+ * // Or generate packets without a socket, e.g. in tests
+ * const packets = new F1Simulator({ timeScale: 10 }).tick();
+ * ```
+ *
+ * @module F1Simulator
+ */
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const { encodePacket } = require('./packet-encoder');
+const { DEFAULT_PACKET_FORMAT, getPacketLayout } = require('./packet-formats');
+const { MAX_CARS } = require('./packet-structs');
+
+/**
+ * Packet IDs sent by the simulator
+ *
+ * @constant {Object.<string, number>}
+ * @readonly
+ */
+const PACKET_IDS = {
+    MOTION: 0,
+    SESSION: 1,
+    LAP_DATA: 2,
+    EVENT: 3,
+    PARTICIPANTS: 4,
+    CAR_SETUPS: 5,
+    CAR_TELEMETRY: 6,
+    CAR_STATUS: 7,
+    FINAL_CLASSIFICATION: 8,
+    LOBBY_INFO: 9,
+    CAR_DAMAGE: 10,
+    SESSION_HISTORY: 11,
+    TYRE_SETS: 12,
+    MOTION_EX: 13,
+    TIME_TRIAL: 14
+};
+
+/**
+ * Frequency of the packets not sent at the send rate, in packets per second
+ * Session History and Tyre Sets carry one car per packet and cycle through the grid
+ *
+ * @constant {Object.<number, number>}
+ * @readonly
+ */
+const PACKET_FREQUENCIES = {
+    [PACKET_IDS.SESSION]: 2,
+    [PACKET_IDS.PARTICIPANTS]: 0.2,
+    [PACKET_IDS.CAR_SETUPS]: 2,
+    [PACKET_IDS.LOBBY_INFO]: 2,
+    [PACKET_IDS.CAR_DAMAGE]: 10,
+    [PACKET_IDS.SESSION_HISTORY]: 20,
+    [PACKET_IDS.TYRE_SETS]: 20,
+    [PACKET_IDS.TIME_TRIAL]: 1
+};
+
+/**
+ * Track presets, selectable by name with the `track` option
+ *
+ * @constant {Object.<string, TrackConfig>}
+ * @readonly
+ */
+const TRACKS = {
+    melbourne: { trackId: 0, length: 5278, lapTime: 80 },
+    monaco: { trackId: 5, length: 3337, lapTime: 72 },
+    silverstone: { trackId: 7, length: 5891, lapTime: 88 },
+    spa: { trackId: 10, length: 7004, lapTime: 105 },
+    monza: { trackId: 11, length: 5793, lapTime: 81 },
+    suzuka: { trackId: 13, length: 5807, lapTime: 91 }
+};
+
+/**
+ * Tyre compounds: actual and visual compound IDs, wear per lap and pace offset
+ *
+ * @constant {Object.<string, {actual: number, visual: number, wearPerLap: number, pace: number}>}
+ * @readonly
+ */
+const COMPOUNDS = {
+    soft: { actual: 17, visual: 16, wearPerLap: 3.0, pace: -0.006 },
+    medium: { actual: 18, visual: 17, wearPerLap: 2.0, pace: 0 },
+    hard: { actual: 19, visual: 18, wearPerLap: 1.4, pace: 0.005 },
+    inter: { actual: 7, visual: 7, wearPerLap: 2.2, pace: 0.03 },
+    wet: { actual: 8, visual: 8, wearPerLap: 1.6, pace: 0.05 }
+};
+
+/** Tyre allocation of every car: 13 dry sets followed by 7 wet sets */
+const TYRE_ALLOCATION = [
+    ...Array(8).fill('soft'),
+    ...Array(3).fill('medium'),
+    ...Array(2).fill('hard'),
+    ...Array(4).fill('inter'),
+    ...Array(3).fill('wet')
+];
+
+/** Driver names of the virtual grid */
+const DRIVER_NAMES = [
+    'A. Moreau', 'K. Lindqvist', 'D. Okafor', 'R. Tanaka', 'M. Castillo', 'J. Becker',
+    'L. Ferreira', 'S. Novak', 'T. Hughes', 'E. Rossi', 'P. Kowalski', 'N. Jensen',
+    'H. Dubois', 'C. Alvarez', 'B. Schneider', 'F. Marino', 'O. Petrov', 'V. Silva',
+    'G. Murphy', 'I. Haddad', 'W. Fischer', 'Y. Sato'
+];
+
+/** Amplitude of the speed variation along a lap (corners and straights) */
+const SPEED_PROFILE_AMPLITUDE = 0.3;
+
+/** Number of speed cycles per lap */
+const SPEED_PROFILE_CORNERS = 6;
+
+/** Time spent in the pit lane, from its entry to the start of the lap */
+const PIT_LANE_LENGTH = 400;
+
+/** Stationary time of a pit stop, in seconds */
+const PIT_STOP_TIME = 2.5;
+
+/** Fuel burnt per lap, in kg */
+const FUEL_PER_LAP = 1.6;
+
+/** Maximum ERS store energy, in Joules */
+const ERS_MAX_ENERGY = 4000000;
+
+/** Duration of the lobby phase and of each start light, in seconds */
+const LOBBY_TIME = 2;
+const START_LIGHT_TIME = 1;
+
+/** Result status values of the Lap Data and Final Classification packets */
+const RESULT_STATUS = {
+    ACTIVE: 2,
+    FINISHED: 3,
+    RETIRED: 7
+};
+
+/**
+ * @typedef {Object} TrackConfig
+ * @property {number} trackId - Track ID as sent in the Session packet
+ * @property {number} length - Track length in metres
+ * @property {number} lapTime - Lap time of the fastest car in dry conditions, in seconds
+ */
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} type - 'pitStop', 'safetyCar', 'retirement' or 'rain'
+ * @property {number} lap - Lap at which the scenario starts (lap of the car for
+ * pit stops and retirements, lap of the leader otherwise)
+ * @property {number} [carIdx] - Car of a pit stop or retirement
+ * @property {string} [compound] - Compound fitted at a pit stop (see COMPOUNDS)
+ * @property {number} [laps=1] - Duration of a safety car period, in laps of the leader
+ * @property {boolean} [virtual=false] - Virtual safety car instead of a full safety car
+ * @property {number} [reason=8] - Retirement reason (8 = mechanical failure)
+ * @property {number} [weather=3] - Weather once it rains (3 = light rain, 4 = heavy rain)
+ */
+
+/**
+ * @typedef {Object} SimulatorConfig
+ * @property {number} [port=20777] - UDP port to send to
+ * @property {string} [address='127.0.0.1'] - Address to send to
+ * @property {number} [sendRate=20] - Send rate in Hz, 10 to 60
+ * @property {number} [packetFormat=2025] - Packet format (2023, 2024 or 2025)
+ * @property {string|TrackConfig} [track='silverstone'] - Track preset name or custom track
+ * @property {number} [totalLaps=5] - Race distance
+ * @property {number} [numCars=22] - Number of cars on the grid
+ * @property {number} [playerCarIndex=0] - Index of the player car
+ * @property {number} [sessionType=15] - Session type (15 = race, 18 = time trial)
+ * @property {number} [timeScale=1] - Simulated seconds per real second
+ * @property {number} [seed=1] - Seed of the random generator
+ * @property {Scenario[]} [scenarios] - Scripted scenarios, DEFAULT_SCENARIOS if omitted
+ */
+
+/**
+ * Scenarios used when none are configured
+ *
+ * @constant {Scenario[]}
+ * @readonly
+ */
+const DEFAULT_SCENARIOS = [
+    { type: 'safetyCar', lap: 2, laps: 1 },
+    { type: 'pitStop', carIdx: 0, lap: 3, compound: 'hard' },
+    { type: 'pitStop', carIdx: 1, lap: 3, compound: 'soft' },
+    { type: 'retirement', carIdx: 7, lap: 3, reason: 8 },
+    { type: 'rain', lap: 4, weather: 3 }
+];
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ *
+ * @private
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Clamp a value to a range
+ *
+ * @private
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * F1 Game Simulator Class
+ *
+ * @class F1Simulator
+ * @extends EventEmitter
+ *
+ * @fires F1Simulator#started - Simulator started sending
+ * @fires F1Simulator#stopped - Simulator stopped
+ * @fires F1Simulator#packet - Packet generated
+ * @fires F1Simulator#scenario - Scripted scenario triggered
+ * @fires F1Simulator#finished - Session ended
+ * @fires F1Simulator#error - Send error
+ */
+class F1Simulator extends EventEmitter {
+    /**
+     * Create a new simulator
+     *
+     * @constructor
+     * @param {SimulatorConfig} [options={}] - Simulator configuration
+     * @throws {Error} If the track preset or packet format is unknown
+     */
+    constructor(options = {}) {
+        super();
+
+        const track = typeof options.track === 'object'
+            ? options.track
+            : TRACKS[options.track || 'silverstone'];
+        if (!track) {
+            throw new Error(`Unknown track "${options.track}", expected one of ${Object.keys(TRACKS).join(', ')}`);
+        }
+
+        /** @type {SimulatorConfig} */
+        this.config = {
+            port: options.port || 20777,
+            address: options.address || '127.0.0.1',
+            sendRate: clamp(options.sendRate || 20, 10, 60),
+            packetFormat: options.packetFormat || DEFAULT_PACKET_FORMAT,
+            track,
+            totalLaps: options.totalLaps || 5,
+            numCars: clamp(options.numCars || MAX_CARS, 1, MAX_CARS),
+            playerCarIndex: options.playerCarIndex || 0,
+            sessionType: options.sessionType || 15,
+            timeScale: options.timeScale || 1,
+            seed: options.seed || 1,
+            scenarios: options.scenarios || DEFAULT_SCENARIOS
+        };
+
+        /** @private */
+        this._layout = getPacketLayout(this.config.packetFormat);
+        if (!this._layout) {
+            throw new Error(`Unsupported packet format: ${this.config.packetFormat}`);
+        }
+
+        /** @type {dgram.Socket|null} */
+        this.socket = null;
+
+        /** @type {boolean} */
+        this.isRunning = false;
+
+        /**
+         * Sent packet statistics
+         * @type {{packetsSent: number, bytesSent: number, packetCounts: Object.<number, number>}}
+         */
+        this.stats = {
+            packetsSent: 0,
+            bytesSent: 0,
+            packetCounts: {}
+        };
+
+        /** @private */
+        this._interval = null;
+
+        /** @private */
+        this._pendingSends = 0;
+
+        this.reset();
+    }
+
+    /**
+     * Reset the session to the lobby, with a new session UID
+     */
+    reset() {
+        /** @private */
+        this._random = createRandom(this.config.seed);
+        /** @private */
+        this._sessionUID = BigInt(Math.floor(this._random() * Number.MAX_SAFE_INTEGER));
+        /** @private */
+        this._sessionTime = 0;
+        /** @private */
+        this._frame = 0;
+        /** @private 'lobby', 'grid', 'race' or 'finished' */
+        this._phase = 'lobby';
+        /** @private */
+        this._lightsOn = 0;
+        /** @private */
+        this._raceStartTime = 0;
+        /** @private */
+        this._weather = 0;
+        /** @private */
+        this._trackTemperature = 33;
+        /** @private */
+        this._airTemperature = 24;
+        /** @private */
+        this._safetyCar = null;
+        /** @private */
+        this._numSafetyCarPeriods = 0;
+        /** @private */
+        this._numVirtualSafetyCarPeriods = 0;
+        /** @private */
+        this._drsEnabled = false;
+        /** @private */
+        this._chequeredFlag = false;
+        /** @private */
+        this._finishOrder = [];
+        /** @private */
+        this._fastestLap = null;
+        /** @private */
+        this._triggered = new Set();
+        /** @private */
+        this._pendingEvents = [];
+        /** @private */
+        this._finishPending = false;
+        /** @private Packet counters of the lower frequency packets */
+        this._schedule = {};
+        /** @private */
+        this._historyCarIdx = 0;
+        /** @private */
+        this._tyreSetsCarIdx = 0;
+
+        /** @private */
+        this._cars = Array.from({ length: this.config.numCars }, (_, carIdx) => this._createCar(carIdx));
+        /** @private */
+        this._order = this._cars.map((car) => car.carIdx);
+    }
+
+    /**
+     * Start sending packets
+     *
+     * @async
+     * @returns {Promise<void>} Resolves when the socket is ready
+     * @throws {Error} If the simulator is already running
+     */
+    async start() {
+        if (this.isRunning) {
+            throw new Error('Simulator is already running');
+        }
+
+        this.socket = dgram.createSocket('udp4');
+        this.socket.on('error', (err) => this.emit('error', err));
+
+        this.isRunning = true;
+        this._interval = setInterval(() => this._sendTick(), 1000 / this.config.sendRate);
+
+        /**
+         * Started event
+         * @event F1Simulator#started
+         * @type {Object}
+         * @property {string} address - Target address
+         * @property {number} port - Target port
+         * @property {number} sendRate - Send rate in Hz
+         */
+        this.emit('started', {
+            address: this.config.address,
+            port: this.config.port,
+            sendRate: this.config.sendRate
+        });
+    }
+
+    /**
+     * Stop sending packets
+     *
+     * @async
+     * @returns {Promise<void>} Resolves when the socket is closed
+     * @throws {Error} If the simulator is not running
+     */
+    async stop() {
+        if (!this.isRunning) {
+            throw new Error('Simulator is not running');
+        }
+
+        clearInterval(this._interval);
+        this._interval = null;
+
+        // Let the packets of the last frame go out before closing
+        if (this._pendingSends > 0) {
+            await new Promise((resolve) => this.once('drain', resolve));
+        }
+
+        return new Promise((resolve) => {
+            this.socket.close(() => {
+                this.isRunning = false;
+                this.socket = null;
+
+                /**
+                 * Stopped event
+                 * @event F1Simulator#stopped
+                 */
+                this.emit('stopped');
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Advance the simulation by one frame and build its packets
+     * Used by the send loop, and usable directly to generate packets without a socket
+     *
+     * @returns {Buffer[]} Packets of the frame, in sending order (empty once the session has finished)
+     */
+    tick() {
+        const packets = this._advance();
+        this._emitFinished();
+        return packets;
+    }
+
+    /**
+     * Get the current simulation state
+     *
+     * @returns {{phase: string, sessionTime: number, frame: number, leaderLap: number, weather: number, safetyCarStatus: number}}
+     */
+    getState() {
+        const leader = this._cars[this._order[0]];
+        return {
+            phase: this._phase,
+            sessionTime: this._sessionTime,
+            frame: this._frame,
+            leaderLap: leader ? leader.currentLapNum : 0,
+            weather: this._weather,
+            safetyCarStatus: this._safetyCarStatus()
+        };
+    }
+
+    /**
+     * Build and send the packets of one frame
+     * 'finished' is emitted once the last packets are sent, so listeners can stop the simulator
+     *
+     * @private
+     */
+    _sendTick() {
+        this._advance().forEach((buffer) => {
+            this.stats.packetsSent++;
+            this.stats.bytesSent += buffer.length;
+
+            this._pendingSends++;
+            this.socket.send(buffer, this.config.port, this.config.address, (err) => {
+                this._pendingSends--;
+                if (this._pendingSends === 0) {
+                    this.emit('drain');
+                }
+
+                if (err) {
+                    /**
+                     * Error event
+                     * @event F1Simulator#error
+                     * @type {Error}
+                     */
+                    this.emit('error', err);
+                }
+            });
+        });
+
+        this._emitFinished();
+    }
+
+    /**
+     * Advance the simulation by one frame
+     *
+     * @private
+     * @returns {Buffer[]} Packets of the frame
+     */
+    _advance() {
+        if (this._phase === 'finished') {
+            return [];
+        }
+
+        const dt = this.config.timeScale / this.config.sendRate;
+        this._sessionTime += dt;
+        this._frame++;
+
+        this._updatePhase();
+        if (this._phase === 'race') {
+            this._triggerScenarios();
+            this._cars.forEach((car) => this._updateCar(car, dt));
+            this._updateOrder();
+        }
+
+        const packets = this._buildPackets();
+
+        if (this._phase === 'race' && this._cars.every((car) => car.status !== 'running')) {
+            packets.push(this._encode(PACKET_IDS.FINAL_CLASSIFICATION, this._buildFinalClassification()));
+            packets.push(...this._encodeEvent('SEND', {}));
+            this._phase = 'finished';
+            this._finishPending = true;
+        }
+
+        packets.forEach((buffer) => {
+            const packetId = buffer.readUInt8(6);
+            this.stats.packetCounts[packetId] = (this.stats.packetCounts[packetId] || 0) + 1;
+
+            /**
+             * Packet generated event
+             * @event F1Simulator#packet
+             * @type {Object}
+             * @property {number} packetId - Packet type identifier
+             * @property {Buffer} buffer - Encoded packet
+             */
+            this.emit('packet', { packetId, buffer });
+        });
+
+        return packets;
+    }
+
+    /**
+     * Emit the finished event once, after the frame that ended the session
+     *
+     * @private
+     */
+    _emitFinished() {
+        if (!this._finishPending) {
+            return;
+        }
+        this._finishPending = false;
+
+        /**
+         * Session finished event
+         * @event F1Simulator#finished
+         * @type {Object}
+         * @property {Array<{carIdx: number, position: number, name: string}>} results - Final order
+         */
+        this.emit('finished', {
+            results: this._order.map((carIdx, i) => ({
+                carIdx,
+                position: i + 1,
+                name: this._cars[carIdx].name
+            }))
+        });
+    }
+
+    // -----------------------------------------------------------------------
+    // Simulation
+    // -----------------------------------------------------------------------
+
+    /**
+     * Create the initial state of a car on the grid
+     *
+     * @private
+     * @param {number} carIdx - Car index, also its grid position minus one
+     * @returns {Object} Car state
+     */
+    _createCar(carIdx) {
+        const compound = 'medium';
+        const setIdx = TYRE_ALLOCATION.indexOf(compound);
+
+        return {
+            carIdx,
+            name: DRIVER_NAMES[carIdx],
+            teamId: Math.floor(carIdx / 2) % 10,
+            raceNumber: [1, 4, 16, 44, 63, 81, 14, 18, 10, 31, 22, 23, 2, 27, 20, 24, 3, 11, 55, 77, 12, 30][carIdx],
+            nationality: 1 + (carIdx * 7) % 80,
+            aiControlled: carIdx !== this.config.playerCarIndex,
+            pace: 1 + carIdx * 0.004 + this._random() * 0.003,
+            lapPace: 1,
+            gridPosition: carIdx + 1,
+            lapDistance: -8 * (carIdx + 1),
+            totalDistance: -8 * (carIdx + 1),
+            speed: 0,
+            profile: 1,
+            throttle: 0,
+            brake: 0,
+            currentLapNum: 1,
+            currentLapTimeMS: 0,
+            lastLapTimeMS: 0,
+            sector: 0,
+            sector1TimeMS: 0,
+            sector2TimeMS: 0,
+            laps: [],
+            bestLapNum: 0,
+            pitStop: null,
+            pitStatus: 0,
+            numPitStops: 0,
+            pitLaneTimeMS: 0,
+            pitStopTimerMS: 0,
+            status: 'running',
+            resultStatus: RESULT_STATUS.ACTIVE,
+            finishTime: 0,
+            compound,
+            tyreSets: TYRE_ALLOCATION.map((name) => ({ compound: name, wear: 0, available: true })),
+            fittedIdx: setIdx,
+            tyresAgeLaps: 0,
+            stints: [],
+            fuel: this.config.totalLaps * FUEL_PER_LAP + 2,
+            ersStoreEnergy: ERS_MAX_ENERGY,
+            engineWear: 2 + Math.floor(this._random() * 10),
+            drsActive: false,
+            drsAllowed: false,
+            deltaToCarInFrontMS: 0,
+            deltaToRaceLeaderMS: 0
+        };
+    }
+
+    /**
+     * Move from lobby to grid to race as time passes, with the start events
+     *
+     * @private
+     */
+    _updatePhase() {
+        if (this._phase === 'lobby' && this._sessionTime >= LOBBY_TIME) {
+            this._phase = 'grid';
+            this._queueEvent('SSTA', {});
+        }
+
+        if (this._phase === 'grid') {
+            const lights = Math.floor((this._sessionTime - LOBBY_TIME) / START_LIGHT_TIME);
+            if (lights > this._lightsOn && lights <= 5) {
+                this._lightsOn = lights;
+                this._queueEvent('STLG', { numLights: lights });
+            } else if (lights > 5) {
+                this._phase = 'race';
+                this._raceStartTime = this._sessionTime;
+                this._queueEvent('LGOT', {});
+            }
+        }
+    }
+
+    /**
+     * Trigger the scripted scenarios whose lap has been reached
+     *
+     * @private
+     */
+    _triggerScenarios() {
+        const leader = this._cars[this._order[0]];
+
+        this.config.scenarios.forEach((scenario, i) => {
+            if (this._triggered.has(i)) {
+                return;
+            }
+
+            const car = scenario.carIdx !== undefined ? this._cars[scenario.carIdx] : leader;
+            if (!car || car.status !== 'running' || car.currentLapNum < scenario.lap) {
+                return;
+            }
+
+            this._triggered.add(i);
+
+            switch (scenario.type) {
+                case 'pitStop':
+                    car.pitStop = { compound: scenario.compound, stopped: 0, done: false };
+                    break;
+                case 'safetyCar':
+                    this._deploySafetyCar(scenario, leader);
+                    break;
+                case 'retirement':
+                    this._retire(car, scenario.reason === undefined ? 8 : scenario.reason);
+                    break;
+                case 'rain':
+                    this._weather = scenario.weather || 3;
+                    this._trackTemperature -= 8;
+                    this._airTemperature -= 4;
+                    this._setDrs(false, 0);
+                    break;
+                default:
+                    this.emit('error', new Error(`Unknown scenario type: ${scenario.type}`));
+                    return;
+            }
+
+            /**
+             * Scenario triggered event
+             * @event F1Simulator#scenario
+             * @type {Scenario}
+             */
+            this.emit('scenario', scenario);
+        });
+
+        if (this._safetyCar && leader.currentLapNum >= this._safetyCar.endLap) {
+            this._queueEvent('SCAR', { safetyCarType: this._safetyCar.type, eventType: 3 });
+            this._safetyCar = null;
+            this._setDrs(this._weather < 3, 0);
+        }
+
+        if (!this._drsEnabled && !this._safetyCar && this._weather < 3 && leader.currentLapNum >= 3) {
+            this._setDrs(true);
+        }
+    }
+
+    /**
+     * Deploy a (virtual) safety car for the number of laps of the scenario
+     *
+     * @private
+     * @param {Scenario} scenario - Safety car scenario
+     * @param {Object} leader - Leading car
+     */
+    _deploySafetyCar(scenario, leader) {
+        const type = scenario.virtual ? 2 : 1;
+        this._safetyCar = { type, endLap: leader.currentLapNum + (scenario.laps || 1) };
+
+        if (scenario.virtual) {
+            this._numVirtualSafetyCarPeriods++;
+        } else {
+            this._numSafetyCarPeriods++;
+        }
+
+        this._queueEvent('SCAR', { safetyCarType: type, eventType: 0 });
+        this._setDrs(false, 1);
+    }
+
+    /**
+     * Enable or disable DRS, with the matching event
+     *
+     * @private
+     * @param {boolean} enabled - New DRS state
+     * @param {number} [reason] - Reason when disabled (0 = wet track, 1 = safety car)
+     */
+    _setDrs(enabled, reason) {
+        if (enabled === this._drsEnabled) {
+            return;
+        }
+        this._drsEnabled = enabled;
+        this._queueEvent(enabled ? 'DRSE' : 'DRSD', enabled ? {} : { reason });
+    }
+
+    /**
+     * Retire a car
+     *
+     * @private
+     * @param {Object} car - Car to retire
+     * @param {number} reason - Retirement reason
+     */
+    _retire(car, reason) {
+        car.status = 'retired';
+        car.resultStatus = RESULT_STATUS.RETIRED;
+        car.speed = 0;
+        car.pitStop = null;
+        this._queueEvent('RTMT', { vehicleIdx: car.carIdx, reason });
+    }
+
+    /**
+     * Safety car status for the Session packet
+     *
+     * @private
+     * @returns {number} 0 = none, 1 = full, 2 = virtual
+     */
+    _safetyCarStatus() {
+        return this._safetyCar ? this._safetyCar.type : 0;
+    }
+
+    /**
+     * Move a car along the track for one frame
+     *
+     * @private
+     * @param {Object} car - Car state
+     * @param {number} dt - Simulated time step in seconds
+     */
+    _updateCar(car, dt) {
+        if (car.status !== 'running') {
+            car.speed = 0;
+            car.throttle = 0;
+            car.brake = 0;
+            return;
+        }
+
+        const { length } = this.config.track;
+        const previousSpeed = car.speed;
+
+        if (car.pitStop && car.lapDistance >= length - PIT_LANE_LENGTH) {
+            this._updatePitStop(car, dt);
+        } else {
+            const phase = 2 * Math.PI * SPEED_PROFILE_CORNERS * car.lapDistance / length;
+            car.profile = 1 + SPEED_PROFILE_AMPLITUDE * Math.sin(phase);
+            car.speed = this._targetSpeed(car) * car.profile;
+            car.pitStatus = 0;
+        }
+
+        const acceleration = (car.speed - previousSpeed) / dt;
+        car.throttle = car.speed === 0 ? 0 : clamp(0.6 + acceleration / 20, 0.05, 1);
+        car.brake = acceleration < -5 ? clamp(-acceleration / 40, 0, 1) : 0;
+
+        const distance = car.speed * dt;
+        car.lapDistance += distance;
+        car.totalDistance += distance;
+        car.currentLapTimeMS += dt * 1000;
+
+        // Wear, fuel and energy
+        const lapFraction = distance / length;
+        const fitted = car.tyreSets[car.fittedIdx];
+        fitted.wear = Math.min(100, fitted.wear + COMPOUNDS[car.compound].wearPerLap * lapFraction);
+        car.fuel = Math.max(0, car.fuel - FUEL_PER_LAP * lapFraction);
+        car.ersStoreEnergy = clamp(car.ersStoreEnergy + (car.brake > 0 ? 400000 : -60000) * dt, 0, ERS_MAX_ENERGY);
+        car.drsActive = car.drsAllowed && car.profile > 1.2;
+
+        // Sectors
+        if (car.sector === 0 && car.lapDistance >= length / 3) {
+            car.sector = 1;
+            car.sector1TimeMS = Math.round(car.currentLapTimeMS);
+        }
+        if (car.sector === 1 && car.lapDistance >= 2 * length / 3) {
+            car.sector = 2;
+            car.sector2TimeMS = Math.round(car.currentLapTimeMS) - car.sector1TimeMS;
+        }
+
+        if (car.lapDistance >= length) {
+            this._completeLap(car);
+        }
+    }
+
+    /**
+     * Speed of a car on an average part of the track, in metres per second
+     *
+     * @private
+     * @param {Object} car - Car state
+     * @returns {number} Target speed
+     */
+    _targetSpeed(car) {
+        const { length, lapTime } = this.config.track;
+        const compound = COMPOUNDS[car.compound];
+        const wet = this._weather >= 3;
+        const wetTyres = car.compound === 'inter' || car.compound === 'wet';
+
+        let pace = car.pace * car.lapPace * (1 + compound.pace) * (1 + car.tyreSets[car.fittedIdx].wear * 0.0004);
+        if (wet) {
+            pace *= wetTyres ? 1.06 : 1.15;
+        } else if (wetTyres) {
+            pace *= 1.04;
+        }
+
+        // The speed profile averages to a longer lap, compensate so the lap time matches
+        const profileCorrection = 1 / Math.sqrt(1 - SPEED_PROFILE_AMPLITUDE * SPEED_PROFILE_AMPLITUDE);
+        let speed = length / (lapTime * pace) * profileCorrection;
+
+        if (this._safetyCar) {
+            speed *= this._safetyCar.type === 2 ? 0.7 : 0.6;
+        }
+        return speed;
+    }
+
+    /**
+     * Drive a car through the pit lane: pit limiter, stop, tyre change
+     *
+     * @private
+     * @param {Object} car - Car state
+     * @param {number} dt - Simulated time step in seconds
+     */
+    _updatePitStop(car, dt) {
+        const { length } = this.config.track;
+        const pitSpeed = 80 / 3.6;
+        const { pitStop } = car;
+
+        car.profile = 1;
+        car.pitLaneTimeMS += dt * 1000;
+
+        if (!pitStop.done && car.lapDistance >= length - PIT_LANE_LENGTH / 2) {
+            car.speed = 0;
+            car.pitStatus = 2;
+            pitStop.stopped += dt;
+            car.pitStopTimerMS = pitStop.stopped * 1000;
+
+            if (pitStop.stopped >= PIT_STOP_TIME) {
+                this._changeTyres(car, pitStop.compound || (this._weather >= 3 ? 'inter' : 'hard'));
+                pitStop.done = true;
+                car.numPitStops++;
+            }
+        } else {
+            car.speed = pitSpeed;
+            car.pitStatus = 1;
+        }
+    }
+
+    /**
+     * Fit the least worn available set of a compound
+     *
+     * @private
+     * @param {Object} car - Car state
+     * @param {string} compound - Compound to fit
+     */
+    _changeTyres(car, compound) {
+        const candidates = car.tyreSets
+            .map((set, setIdx) => ({ set, setIdx }))
+            .filter(({ set, setIdx }) => set.compound === compound && set.available && setIdx !== car.fittedIdx)
+            .sort((a, b) => a.set.wear - b.set.wear);
+
+        if (candidates.length === 0) {
+            return;
+        }
+
+        car.stints.push({
+            endLap: car.currentLapNum,
+            compound: car.compound
+        });
+        car.tyreSets[car.fittedIdx].available = car.tyreSets[car.fittedIdx].wear < 75;
+        car.fittedIdx = candidates[0].setIdx;
+        car.compound = compound;
+        car.tyresAgeLaps = 0;
+    }
+
+    /**
+     * Record a completed lap and start the next one, or take the chequered flag
+     *
+     * @private
+     * @param {Object} car - Car state
+     */
+    _completeLap(car) {
+        const { length } = this.config.track;
+
+        // Time spent past the line belongs to the next lap
+        car.lapDistance -= length;
+        const overshootMS = car.speed > 0 ? car.lapDistance / car.speed * 1000 : 0;
+        const lapTimeMS = Math.round(car.currentLapTimeMS - overshootMS);
+
+        const lap = {
+            lapTimeInMS: lapTimeMS,
+            sector1TimeInMS: car.sector1TimeMS,
+            sector2TimeInMS: car.sector2TimeMS,
+            sector3TimeInMS: lapTimeMS - car.sector1TimeMS - car.sector2TimeMS,
+            valid: !car.pitStop
+        };
+        car.laps.push(lap);
+        car.lastLapTimeMS = lapTimeMS;
+        car.currentLapTimeMS = overshootMS;
+        car.sector = 0;
+        car.tyresAgeLaps++;
+        car.lapPace = 1 + (this._random() - 0.5) * 0.006;
+
+        if (car.pitStop && car.pitStop.done) {
+            car.pitStop = null;
+            car.pitLaneTimeMS = 0;
+            car.pitStopTimerMS = 0;
+        }
+
+        const best = car.laps[car.bestLapNum - 1];
+        if (lap.valid && (!best || lapTimeMS < best.lapTimeInMS)) {
+            car.bestLapNum = car.laps.length;
+
+            if (!this._fastestLap || lapTimeMS < this._fastestLap.lapTimeMS) {
+                this._fastestLap = { carIdx: car.carIdx, lapTimeMS };
+                this._queueEvent('FTLP', { vehicleIdx: car.carIdx, lapTime: lapTimeMS / 1000 });
+            }
+        }
+
+        if (this._chequeredFlag || car.currentLapNum >= this.config.totalLaps) {
+            if (!this._chequeredFlag) {
+                this._chequeredFlag = true;
+                this._queueEvent('CHQF', {});
+                this._queueEvent('RCWN', { vehicleIdx: car.carIdx });
+            }
+            car.status = 'finished';
+            car.resultStatus = RESULT_STATUS.FINISHED;
+            car.finishTime = this._sessionTime - this._raceStartTime;
+            this._finishOrder.push(car.carIdx);
+            return;
+        }
+
+        car.currentLapNum++;
+    }
+
+    /**
+     * Sort the cars by race position, with overtake events and gaps
+     *
+     * @private
+     */
+    _updateOrder() {
+        const rank = (car) => {
+            if (car.status === 'finished') {
+                return [0, this._finishOrder.indexOf(car.carIdx)];
+            }
+            return [car.status === 'running' ? 1 : 2, -car.totalDistance];
+        };
+
+        const previous = this._order;
+        this._order = this._cars
+            .map((car) => ({ car, key: rank(car) }))
+            .sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1])
+            .map(({ car }) => car.carIdx);
+
+        // Overtakes between running cars
+        this._order.forEach((carIdx, position) => {
+            const previousPosition = previous.indexOf(carIdx);
+            if (position < previousPosition && this._cars[carIdx].status === 'running') {
+                const overtaken = this._order[position + 1];
+                if (overtaken !== undefined && previous.indexOf(overtaken) < previousPosition
+                    && this._cars[overtaken].status === 'running') {
+                    this._queueEvent('OVTK', { overtakingVehicleIdx: carIdx, beingOvertakenVehicleIdx: overtaken });
+                }
+            }
+        });
+
+        const leader = this._cars[this._order[0]];
+        const averageSpeed = this.config.track.length / this.config.track.lapTime;
+
+        this._order.forEach((carIdx, position) => {
+            const car = this._cars[carIdx];
+            const front = position > 0 ? this._cars[this._order[position - 1]] : null;
+
+            car.deltaToCarInFrontMS = front ? Math.max(0, (front.totalDistance - car.totalDistance) / averageSpeed * 1000) : 0;
+            car.deltaToRaceLeaderMS = front ? Math.max(0, (leader.totalDistance - car.totalDistance) / averageSpeed * 1000) : 0;
+            car.drsAllowed = this._drsEnabled && front !== null && car.deltaToCarInFrontMS < 1000;
+        });
+    }
+
+    // -----------------------------------------------------------------------
+    // Packets
+    // -----------------------------------------------------------------------
+
+    /**
+     * Queue an event for the next Event packets, if the packet format has it
+     *
+     * @private
+     * @param {string} code - Event string code
+     * @param {Object} details - Event details
+     */
+    _queueEvent(code, details) {
+        if (code in this._layout.eventDetails) {
+            this._pendingEvents.push({ code, details });
+        }
+    }
+
+    /**
+     * Whether a lower frequency packet is due in this frame
+     *
+     * @private
+     * @param {number} packetId - Packet type identifier
+     * @returns {boolean} True if the packet should be sent
+     */
+    _isDue(packetId) {
+        const count = Math.floor(this._sessionTime / this.config.timeScale * PACKET_FREQUENCIES[packetId]);
+        if (count === this._schedule[packetId]) {
+            return false;
+        }
+        this._schedule[packetId] = count;
+        return true;
+    }
+
+    /**
+     * Build the packets of the current frame
+     *
+     * @private
+     * @returns {Buffer[]} Encoded packets
+     */
+    _buildPackets() {
+        const packets = [];
+
+        if (this._phase === 'lobby') {
+            if (this._isDue(PACKET_IDS.LOBBY_INFO)) {
+                packets.push(this._encode(PACKET_IDS.LOBBY_INFO, this._buildLobbyInfo()));
+            }
+            return packets;
+        }
+
+        packets.push(this._encode(PACKET_IDS.MOTION, this._buildMotion()));
+        packets.push(this._encode(PACKET_IDS.LAP_DATA, this._buildLapData()));
+        packets.push(this._encode(PACKET_IDS.CAR_TELEMETRY, this._buildCarTelemetry()));
+        packets.push(this._encode(PACKET_IDS.CAR_STATUS, this._buildCarStatus()));
+        packets.push(this._encode(PACKET_IDS.MOTION_EX, this._buildMotionEx()));
+
+        if (this._isDue(PACKET_IDS.SESSION)) {
+            packets.push(this._encode(PACKET_IDS.SESSION, this._buildSession()));
+        }
+        if (this._isDue(PACKET_IDS.PARTICIPANTS) || this._frame === 1 + LOBBY_TIME * this.config.sendRate) {
+            packets.push(this._encode(PACKET_IDS.PARTICIPANTS, this._buildParticipants()));
+        }
+        if (this._isDue(PACKET_IDS.CAR_SETUPS)) {
+            packets.push(this._encode(PACKET_IDS.CAR_SETUPS, this._buildCarSetups()));
+        }
+        if (this._isDue(PACKET_IDS.CAR_DAMAGE)) {
+            packets.push(this._encode(PACKET_IDS.CAR_DAMAGE, this._buildCarDamage()));
+        }
+        if (this._isDue(PACKET_IDS.SESSION_HISTORY)) {
+            packets.push(this._encode(PACKET_IDS.SESSION_HISTORY, this._buildSessionHistory(this._historyCarIdx)));
+            this._historyCarIdx = (this._historyCarIdx + 1) % this._cars.length;
+        }
+        if (this._isDue(PACKET_IDS.TYRE_SETS)) {
+            packets.push(this._encode(PACKET_IDS.TYRE_SETS, this._buildTyreSets(this._tyreSetsCarIdx)));
+            this._tyreSetsCarIdx = (this._tyreSetsCarIdx + 1) % this._cars.length;
+        }
+        if (this.config.sessionType === 18 && this._isDue(PACKET_IDS.TIME_TRIAL)) {
+            packets.push(this._encode(PACKET_IDS.TIME_TRIAL, this._buildTimeTrial()));
+        }
+
+        this._pendingEvents.splice(0).forEach(({ code, details }) => {
+            packets.push(...this._encodeEvent(code, details));
+        });
+
+        return packets.filter(Boolean);
+    }
+
+    /**
+     * Encode a packet with the header of the current frame
+     *
+     * @private
+     * @param {number} packetId - Packet type identifier
+     * @param {Object} payload - Packet fields
+     * @returns {Buffer|null} Encoded packet, or null if the packet format does not have this packet
+     */
+    _encode(packetId, payload) {
+        if (!this._layout.structs[packetId]) {
+            return null;
+        }
+
+        const { packetFormat, playerCarIndex } = this.config;
+        return encodePacket({
+            header: {
+                packetFormat,
+                gameYear: packetFormat % 100,
+                gameMajorVersion: 1,
+                gameMinorVersion: 0,
+                packetVersion: 1,
+                packetId,
+                sessionUID: this._sessionUID,
+                sessionTime: this._sessionTime,
+                frameIdentifier: this._frame,
+                overallFrameIdentifier: this._frame,
+                playerCarIndex,
+                secondaryPlayerCarIndex: 255
+            },
+            ...payload
+        });
+    }
+
+    /**
+     * Encode an Event packet
+     *
+     * @private
+     * @param {string} code - Event string code
+     * @param {Object} details - Event details
+     * @returns {Buffer[]} Encoded packet, or nothing if the format does not have this event
+     */
+    _encodeEvent(code, details) {
+        if (!(code in this._layout.eventDetails)) {
+            return [];
+        }
+        return [this._encode(PACKET_IDS.EVENT, { eventStringCode: code, eventDetails: details })];
+    }
+
+    /**
+     * Position and orientation of a car on the (circular) track
+     *
+     * @private
+     * @param {Object} car - Car state
+     * @returns {{x: number, z: number, heading: number, radius: number}} World position and heading
+     */
+    _trackPosition(car) {
+        const radius = this.config.track.length / (2 * Math.PI);
+        const angle = 2 * Math.PI * car.lapDistance / this.config.track.length;
+        // Cars in the pit lane drive on a slightly smaller circle
+        const offset = car.pitStatus > 0 ? -15 : 0;
+
+        return {
+            x: (radius + offset) * Math.cos(angle),
+            z: (radius + offset) * Math.sin(angle),
+            heading: angle + Math.PI / 2,
+            radius
+        };
+    }
+
+    /** @private */
+    _buildMotion() {
+        return {
+            carMotionData: this._cars.map((car) => {
+                const { x, z, heading, radius } = this._trackPosition(car);
+                const forwardX = Math.cos(heading);
+                const forwardZ = Math.sin(heading);
+
+                return {
+                    worldPositionX: x,
+                    worldPositionY: 0,
+                    worldPositionZ: z,
+                    worldVelocityX: forwardX * car.speed,
+                    worldVelocityY: 0,
+                    worldVelocityZ: forwardZ * car.speed,
+                    worldForwardDirX: forwardX,
+                    worldForwardDirY: 0,
+                    worldForwardDirZ: forwardZ,
+                    worldRightDirX: -forwardZ,
+                    worldRightDirY: 0,
+                    worldRightDirZ: forwardX,
+                    gForceLateral: car.speed * car.speed / radius / 9.81,
+                    gForceLongitudinal: car.throttle - car.brake * 4,
+                    gForceVertical: 1,
+                    yaw: heading,
+                    pitch: 0,
+                    roll: 0
+                };
+            })
+        };
+    }
+
+    /** @private */
+    _buildLapData() {
+        const lapData = this._cars.map((car) => {
+            const position = this._order.indexOf(car.carIdx) + 1;
+            const inPitLane = car.pitStatus > 0;
+
+            let driverStatus = 4;
+            if (this._phase === 'grid') {
+                driverStatus = 0;
+            } else if (inPitLane) {
+                driverStatus = 2;
+            }
+
+            return {
+                lastLapTimeInMS: car.lastLapTimeMS,
+                currentLapTimeInMS: Math.round(car.currentLapTimeMS),
+                sector1TimeMSPart: car.sector1TimeMS % 60000,
+                sector1TimeMinutesPart: Math.floor(car.sector1TimeMS / 60000),
+                sector2TimeMSPart: car.sector2TimeMS % 60000,
+                sector2TimeMinutesPart: Math.floor(car.sector2TimeMS / 60000),
+                deltaToCarInFrontMSPart: Math.round(car.deltaToCarInFrontMS) % 60000,
+                deltaToCarInFrontMinutesPart: Math.min(255, Math.floor(car.deltaToCarInFrontMS / 60000)),
+                deltaToRaceLeaderMSPart: Math.round(car.deltaToRaceLeaderMS) % 60000,
+                deltaToRaceLeaderMinutesPart: Math.min(255, Math.floor(car.deltaToRaceLeaderMS / 60000)),
+                deltaToCarInFrontInMS: Math.min(65535, Math.round(car.deltaToCarInFrontMS)),
+                deltaToRaceLeaderInMS: Math.min(65535, Math.round(car.deltaToRaceLeaderMS)),
+                lapDistance: car.lapDistance,
+                totalDistance: car.totalDistance,
+                safetyCarDelta: 0,
+                carPosition: position,
+                currentLapNum: car.currentLapNum,
+                pitStatus: car.pitStatus,
+                numPitStops: car.numPitStops,
+                sector: car.sector,
+                currentLapInvalid: 0,
+                penalties: 0,
+                totalWarnings: 0,
+                cornerCuttingWarnings: 0,
+                numUnservedDriveThroughPens: 0,
+                numUnservedStopGoPens: 0,
+                gridPosition: car.gridPosition,
+                driverStatus,
+                resultStatus: car.resultStatus,
+                pitLaneTimerActive: inPitLane ? 1 : 0,
+                pitLaneTimeInLaneInMS: Math.min(65535, Math.round(car.pitLaneTimeMS)),
+                pitStopTimerInMS: Math.min(65535, Math.round(car.pitStopTimerMS)),
+                pitStopShouldServePen: 0,
+                speedTrapFastestSpeed: 0,
+                speedTrapFastestLap: 255
+            };
+        });
+
+        return { lapData, timeTrialPBCarIdx: 255, timeTrialRivalCarIdx: 255 };
+    }
+
+    /** @private */
+    _buildCarTelemetry() {
+        const tyreTemperature = this._weather >= 3 ? 70 : 95;
+
+        return {
+            carTelemetryData: this._cars.map((car) => {
+                const kmh = car.speed * 3.6;
+                const gear = car.speed === 0 ? 0 : clamp(Math.ceil(kmh / 42), 1, 8);
+                const rpm = gear === 0 ? 4000 : Math.round(clamp(4000 + (kmh - (gear - 1) * 42) / 42 * 8500, 4000, 12500));
+                const wear = car.tyreSets[car.fittedIdx].wear;
+
+                return {
+                    speed: Math.round(kmh),
+                    throttle: car.throttle,
+                    steer: car.profile < 0.9 ? 0.3 : 0,
+                    brake: car.brake,
+                    clutch: 0,
+                    gear,
+                    engineRPM: rpm,
+                    drs: car.drsActive ? 1 : 0,
+                    revLightsPercent: Math.round((rpm - 4000) / 85),
+                    revLightsBitValue: (1 << Math.round((rpm - 4000) / 8500 * 15)) - 1,
+                    brakesTemperature: Array(4).fill(Math.round(300 + car.brake * 600)),
+                    tyresSurfaceTemperature: Array(4).fill(Math.round(tyreTemperature + wear * 0.1 + car.brake * 8)),
+                    tyresInnerTemperature: Array(4).fill(Math.round(tyreTemperature + wear * 0.05)),
+                    engineTemperature: 105,
+                    tyresPressure: [22.5, 22.5, 24, 24],
+                    surfaceType: [0, 0, 0, 0]
+                };
+            }),
+            mfdPanelIndex: 255,
+            mfdPanelIndexSecondaryPlayer: 255,
+            suggestedGear: 0
+        };
+    }
+
+    /** @private */
+    _buildCarStatus() {
+        return {
+            carStatusData: this._cars.map((car) => {
+                const compound = COMPOUNDS[car.compound];
+                const lapsRemaining = this.config.totalLaps - car.currentLapNum + 1;
+
+                return {
+                    tractionControl: car.aiControlled ? 0 : 1,
+                    antiLockBrakes: 0,
+                    fuelMix: 1,
+                    frontBrakeBias: 56,
+                    pitLimiterStatus: car.pitStatus > 0 ? 1 : 0,
+                    fuelInTank: car.fuel,
+                    fuelCapacity: 110,
+                    fuelRemainingLaps: car.fuel / FUEL_PER_LAP - lapsRemaining,
+                    maxRPM: 13000,
+                    idleRPM: 4000,
+                    maxGears: 8,
+                    drsAllowed: car.drsAllowed ? 1 : 0,
+                    drsActivationDistance: 0,
+                    actualTyreCompound: compound.actual,
+                    visualTyreCompound: compound.visual,
+                    tyresAgeLaps: car.tyresAgeLaps,
+                    vehicleFiaFlags: this._safetyCar ? 3 : 0,
+                    enginePowerICE: car.throttle * 560000,
+                    enginePowerMGUK: car.throttle > 0.9 && car.ersStoreEnergy > 0 ? 120000 : 0,
+                    ersStoreEnergy: car.ersStoreEnergy,
+                    ersDeployMode: 1,
+                    ersHarvestedThisLapMGUK: 0,
+                    ersHarvestedThisLapMGUH: 0,
+                    ersDeployedThisLap: 0,
+                    networkPaused: 0
+                };
+            })
+        };
+    }
+
+    /** @private */
+    _buildMotionEx() {
+        const car = this._cars[this.config.playerCarIndex];
+        const radius = this.config.track.length / (2 * Math.PI);
+        const angularVelocity = car.speed / radius;
+        const suspension = 20 + car.brake * 8 - car.throttle * 4;
+        const wheelSpeed = Array(4).fill(car.speed);
+
+        return {
+            suspensionPosition: [suspension, suspension, suspension - 3, suspension - 3],
+            suspensionVelocity: [0, 0, 0, 0],
+            suspensionAcceleration: [0, 0, 0, 0],
+            wheelSpeed,
+            wheelSlipRatio: Array(4).fill(car.brake * -0.05 + car.throttle * 0.02),
+            wheelSlipAngle: Array(4).fill(car.profile < 0.9 ? 0.04 : 0),
+            wheelLatForce: Array(4).fill(car.speed * angularVelocity * 200),
+            wheelLongForce: Array(4).fill((car.throttle - car.brake) * 3000),
+            heightOfCOGAboveGround: 0.3,
+            localVelocityX: 0,
+            localVelocityY: 0,
+            localVelocityZ: car.speed,
+            angularVelocityX: 0,
+            angularVelocityY: angularVelocity,
+            angularVelocityZ: 0,
+            angularAccelerationX: 0,
+            angularAccelerationY: 0,
+            angularAccelerationZ: 0,
+            frontWheelsAngle: car.profile < 0.9 ? 0.1 : 0,
+            wheelVertForce: Array(4).fill(3000 + car.speed * car.speed * 1.5),
+            frontAeroHeight: 0.03 - car.speed * 0.0001,
+            rearAeroHeight: 0.06 - car.speed * 0.0001,
+            frontRollAngle: 0,
+            rearRollAngle: 0,
+            chassisYaw: 0,
+            chassisPitch: car.brake * 0.01,
+            wheelCamber: [-0.02, -0.02, -0.05, -0.05],
+            wheelCamberGain: [0, 0, 0, 0]
+        };
+    }
+
+    /** @private */
+    _buildSession() {
+        const { track, totalLaps } = this.config;
+        const leader = this._cars[this._order[0]];
+        const rain = this.config.scenarios.find((scenario) => scenario.type === 'rain');
+        const raceTime = this._phase === 'race' ? this._sessionTime - this._raceStartTime : 0;
+        const rainTime = rain ? (rain.lap - 1) * track.lapTime : Infinity;
+        const sessionDuration = Math.round(totalLaps * track.lapTime * 2);
+
+        const weatherForecastSamples = [0, 5, 10, 15, 30].map((timeOffset) => {
+            const raining = this._weather >= 3 || raceTime + timeOffset * 60 >= rainTime;
+            return {
+                sessionType: this.config.sessionType,
+                timeOffset,
+                weather: raining ? (rain ? rain.weather || 3 : this._weather) : this._weather,
+                trackTemperature: this._trackTemperature - (raining ? 8 : 0),
+                trackTemperatureChange: 2,
+                airTemperature: this._airTemperature - (raining ? 4 : 0),
+                airTemperatureChange: 2,
+                rainPercentage: raining ? 80 : 5
+            };
+        });
+
+        const flag = this._safetyCar ? 3 : 0;
+
+        return {
+            weather: this._weather,
+            trackTemperature: this._trackTemperature,
+            airTemperature: this._airTemperature,
+            totalLaps,
+            trackLength: track.length,
+            sessionType: this.config.sessionType,
+            trackId: track.trackId,
+            formula: 0,
+            sessionTimeLeft: Math.max(0, sessionDuration - Math.round(raceTime)),
+            sessionDuration,
+            pitSpeedLimit: 80,
+            gamePaused: 0,
+            isSpectating: 0,
+            spectatorCarIndex: 255,
+            sliProNativeSupport: 0,
+            numMarshalZones: 3,
+            marshalZones: [0.1, 0.45, 0.75].map((zoneStart) => ({ zoneStart, zoneFlag: flag })),
+            safetyCarStatus: this._safetyCarStatus(),
+            networkGame: 0,
+            numWeatherForecastSamples: weatherForecastSamples.length,
+            weatherForecastSamples,
+            forecastAccuracy: 0,
+            aiDifficulty: 90,
+            seasonLinkIdentifier: 0,
+            weekendLinkIdentifier: 0,
+            sessionLinkIdentifier: 0,
+            pitStopWindowIdealLap: Math.max(1, Math.floor(totalLaps / 3)),
+            pitStopWindowLatestLap: Math.max(1, Math.floor(totalLaps / 2)),
+            pitStopRejoinPosition: Math.min(this._cars.length, (leader ? this._order.indexOf(this.config.playerCarIndex) : 0) + 4),
+            steeringAssist: 0,
+            brakingAssist: 0,
+            gearboxAssist: 3,
+            pitAssist: 1,
+            pitReleaseAssist: 1,
+            ERSAssist: 1,
+            DRSAssist: 1,
+            dynamicRacingLine: 1,
+            dynamicRacingLineType: 0,
+            gameMode: 4,
+            ruleSet: 1,
+            timeOfDay: 14 * 60,
+            sessionLength: 2,
+            numSafetyCarPeriods: this._numSafetyCarPeriods,
+            numVirtualSafetyCarPeriods: this._numVirtualSafetyCarPeriods,
+            numRedFlagPeriods: 0,
+            numSessionsInWeekend: 1,
+            weekendStructure: [this.config.sessionType],
+            sector2LapDistanceStart: track.length / 3,
+            sector3LapDistanceStart: 2 * track.length / 3
+        };
+    }
+
+    /** @private */
+    _buildParticipants() {
+        return {
+            numActiveCars: this._cars.length,
+            participants: this._cars.map((car) => ({
+                aiControlled: car.aiControlled ? 1 : 0,
+                driverId: car.aiControlled ? car.carIdx : 255,
+                networkId: 255,
+                teamId: car.teamId,
+                myTeam: 0,
+                raceNumber: car.raceNumber,
+                nationality: car.nationality,
+                name: car.name,
+                yourTelemetry: 1,
+                showOnlineNames: 1,
+                techLevel: 0,
+                platform: 255,
+                numColours: 0
+            }))
+        };
+    }
+
+    /** @private */
+    _buildLobbyInfo() {
+        return {
+            numPlayers: this._cars.length,
+            lobbyPlayers: this._cars.map((car) => ({
+                aiControlled: car.aiControlled ? 1 : 0,
+                teamId: car.teamId,
+                nationality: car.nationality,
+                platform: 255,
+                name: car.name,
+                carNumber: car.raceNumber,
+                yourTelemetry: 1,
+                showOnlineNames: 1,
+                techLevel: 0,
+                readyStatus: 1
+            }))
+        };
+    }
+
+    /** @private */
+    _buildCarSetups() {
+        return {
+            carSetups: this._cars.map((car) => ({
+                frontWing: 28,
+                rearWing: 30,
+                onThrottle: 60,
+                offThrottle: 55,
+                frontCamber: -3.0,
+                rearCamber: -1.5,
+                frontToe: 0.05,
+                rearToe: 0.2,
+                frontSuspension: 20,
+                rearSuspension: 12,
+                frontAntiRollBar: 10,
+                rearAntiRollBar: 8,
+                frontSuspensionHeight: 22,
+                rearSuspensionHeight: 50,
+                brakePressure: 100,
+                brakeBias: 56,
+                engineBraking: 60,
+                rearLeftTyrePressure: 22.5,
+                rearRightTyrePressure: 22.5,
+                frontLeftTyrePressure: 24,
+                frontRightTyrePressure: 24,
+                ballast: 6,
+                fuelLoad: car.fuel
+            })),
+            nextFrontWingValue: 28
+        };
+    }
+
+    /** @private */
+    _buildCarDamage() {
+        return {
+            carDamageData: this._cars.map((car) => {
+                const wear = car.tyreSets[car.fittedIdx].wear;
+                return {
+                    tyresWear: [wear, wear, wear * 1.1, wear * 1.1],
+                    tyresDamage: Array(4).fill(Math.round(wear * 0.8)),
+                    brakesDamage: Array(4).fill(Math.round(car.currentLapNum * 0.5)),
+                    tyreBlisters: Array(4).fill(Math.round(Math.max(0, wear - 50) * 0.5)),
+                    frontLeftWingDamage: 0,
+                    frontRightWingDamage: 0,
+                    rearWingDamage: 0,
+                    floorDamage: 0,
+                    diffuserDamage: 0,
+                    sidepodDamage: 0,
+                    drsFault: 0,
+                    ersFault: 0,
+                    gearBoxDamage: Math.round(car.currentLapNum * 0.3),
+                    engineDamage: 0,
+                    engineMGUHWear: car.engineWear,
+                    engineESWear: car.engineWear,
+                    engineCEWear: car.engineWear,
+                    engineICEWear: car.engineWear,
+                    engineMGUKWear: car.engineWear,
+                    engineTCWear: car.engineWear,
+                    engineBlown: car.status === 'retired' ? 1 : 0,
+                    engineSeized: 0
+                };
+            })
+        };
+    }
+
+    /** @private */
+    _buildSessionHistory(carIdx) {
+        const car = this._cars[carIdx];
+        const laps = car.laps.map((lap) => ({
+            lapTimeInMS: lap.lapTimeInMS,
+            sector1TimeMSPart: lap.sector1TimeInMS % 60000,
+            sector1TimeMinutesPart: Math.floor(lap.sector1TimeInMS / 60000),
+            sector2TimeMSPart: lap.sector2TimeInMS % 60000,
+            sector2TimeMinutesPart: Math.floor(lap.sector2TimeInMS / 60000),
+            sector3TimeMSPart: lap.sector3TimeInMS % 60000,
+            sector3TimeMinutesPart: Math.floor(lap.sector3TimeInMS / 60000),
+            lapValidBitFlags: lap.valid ? 0x0F : 0
+        }));
+
+        const bestSector = (key) => {
+            let best = 0;
+            car.laps.forEach((lap, i) => {
+                if (best === 0 || lap[key] < car.laps[best - 1][key]) {
+                    best = i + 1;
+                }
+            });
+            return best;
+        };
+
+        const stints = [...car.stints, { endLap: 255, compound: car.compound }];
+
+        return {
+            carIdx,
+            numLaps: Math.min(100, laps.length + (car.status === 'running' ? 1 : 0)),
+            numTyreStints: stints.length,
+            bestLapTimeLapNum: car.bestLapNum,
+            bestSector1LapNum: bestSector('sector1TimeInMS'),
+            bestSector2LapNum: bestSector('sector2TimeInMS'),
+            bestSector3LapNum: bestSector('sector3TimeInMS'),
+            lapHistoryData: laps.slice(0, 100),
+            tyreStintsHistoryData: stints.slice(0, 8).map((stint) => ({
+                endLap: stint.endLap,
+                tyreActualCompound: COMPOUNDS[stint.compound].actual,
+                tyreVisualCompound: COMPOUNDS[stint.compound].visual
+            }))
+        };
+    }
+
+    /** @private */
+    _buildTyreSets(carIdx) {
+        const car = this._cars[carIdx];
+        const fittedPace = COMPOUNDS[car.compound].pace;
+
+        return {
+            carIdx,
+            tyreSetData: car.tyreSets.map((set, setIdx) => {
+                const compound = COMPOUNDS[set.compound];
+                const usableLife = Math.floor(60 / compound.wearPerLap);
+                return {
+                    actualTyreCompound: compound.actual,
+                    visualTyreCompound: compound.visual,
+                    wear: Math.round(set.wear),
+                    available: set.available ? 1 : 0,
+                    recommendedSession: this.config.sessionType,
+                    lifeSpan: Math.max(0, Math.round(usableLife - set.wear / compound.wearPerLap)),
+                    usableLife,
+                    lapDeltaTime: Math.round((compound.pace - fittedPace) * this.config.track.lapTime * 1000),
+                    fitted: setIdx === car.fittedIdx ? 1 : 0
+                };
+            }),
+            fittedIdx: car.fittedIdx
+        };
+    }
+
+    /** @private */
+    _buildTimeTrial() {
+        const car = this._cars[this.config.playerCarIndex];
+        const best = car.laps[car.bestLapNum - 1];
+        const dataSet = {
+            carIdx: car.carIdx,
+            teamId: car.teamId,
+            lapTimeInMS: best ? best.lapTimeInMS : 0,
+            sector1TimeInMS: best ? best.sector1TimeInMS : 0,
+            sector2TimeInMS: best ? best.sector2TimeInMS : 0,
+            sector3TimeInMS: best ? best.sector3TimeInMS : 0,
+            tractionControl: 1,
+            gearboxAssist: 3,
+            antiLockBrakes: 0,
+            equalCarPerformance: 0,
+            customSetup: 1,
+            valid: best ? 1 : 0
+        };
+
+        return {
+            playerSessionBestDataSet: dataSet,
+            personalBestDataSet: dataSet,
+            rivalDataSet: { ...dataSet, carIdx: 255, valid: 0 }
+        };
+    }
+
+    /** @private */
+    _buildFinalClassification() {
+        const pointsTable = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+        return {
+            numCars: this._cars.length,
+            classificationData: this._cars.map((car) => {
+                const position = this._order.indexOf(car.carIdx) + 1;
+                const best = car.laps[car.bestLapNum - 1];
+                const stints = [...car.stints, { endLap: car.currentLapNum, compound: car.compound }].slice(0, 8);
+
+                return {
+                    position,
+                    numLaps: car.laps.length,
+                    gridPosition: car.gridPosition,
+                    points: car.status === 'finished' ? pointsTable[position - 1] || 0 : 0,
+                    numPitStops: car.numPitStops,
+                    resultStatus: car.resultStatus,
+                    resultReason: car.status === 'retired' ? 8 : 2,
+                    bestLapTimeInMS: best ? best.lapTimeInMS : 0,
+                    totalRaceTime: car.finishTime,
+                    penaltiesTime: 0,
+                    numPenalties: 0,
+                    numTyreStints: stints.length,
+                    tyreStintsActual: stints.map((stint) => COMPOUNDS[stint.compound].actual),
+                    tyreStintsVisual: stints.map((stint) => COMPOUNDS[stint.compound].visual),
+                    tyreStintsEndLaps: stints.map((stint) => stint.endLap)
+                };
+            })
+        };
+    }
+}
+
+// Command line usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+    };
+
+    const simulator = new F1Simulator({
+        port: parseInt(option('port', '20777')),
+        address: option('address', '127.0.0.1'),
+        sendRate: parseInt(option('rate', '20')),
+        track: option('track', 'silverstone'),
+        totalLaps: parseInt(option('laps', '5')),
+        timeScale: parseFloat(option('time-scale', '1')),
+        packetFormat: parseInt(option('format', String(DEFAULT_PACKET_FORMAT))),
+        seed: parseInt(option('seed', '1')),
+        scenarios: args.includes('--no-scenarios') ? [] : undefined
+    });
+
+    simulator.on('started', ({ address, port, sendRate }) => {
+        console.log(`🏁 Simulating ${simulator.config.totalLaps} laps, sending to ${address}:${port} at ${sendRate} Hz`);
+        console.log('   Press Ctrl+C to stop\n');
+    });
+    simulator.on('scenario', (scenario) => {
+        console.log(`\n🎬 ${scenario.type}${scenario.carIdx !== undefined ? ` (car ${scenario.carIdx})` : ''} on lap ${scenario.lap}`);
+    });
+    simulator.on('error', (err) => console.error('❌ Send error:', err.message));
+    simulator.on('finished', async ({ results }) => {
+        console.log('\n\n🏆 Session finished');
+        results.slice(0, 3).forEach(({ position, name }) => console.log(`   P${position} ${name}`));
+        console.log(`   Sent ${simulator.stats.packetsSent} packets`);
+        await simulator.stop();
+    });
+
+    const statusInterval = setInterval(() => {
+        const { phase, leaderLap } = simulator.getState();
+        process.stdout.write(`\r📡 ${phase} - lap ${leaderLap}/${simulator.config.totalLaps} - ${simulator.stats.packetsSent} packets sent`);
+    }, 500);
+    simulator.on('stopped', () => clearInterval(statusInterval));
+
+    process.on('SIGINT', async () => {
+        console.log('\n\n⏹️  Simulation stopped by user');
+        if (simulator.isRunning) {
+            await simulator.stop();
+        }
+        process.exit(0);
+    });
+
+    simulator.start();
+}
+
+module.exports = {
+    F1Simulator,
+    TRACKS,
+    COMPOUNDS,
+    DEFAULT_SCENARIOS
+};
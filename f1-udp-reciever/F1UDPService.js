@@ -23,6 +23,36 @@
  *   // Handle motion data
  * });
  *
+ * // Listen to decoded session events
+ * service.on('event:penalty', ({ details }) => {
+ *   console.log(`Car ${details.vehicleIdx} penalised on lap ${details.lapNum}`);
+ * });
+ *
+ * // Know when the game stops sending (pause menu, crash, network drop)
+ * service.on('stalled', ({ silence }) => console.log(`No data for ${silence} ms`));
+ * service.on('resumed', ({ duration }) => console.log(`Data back after ${duration} ms`));
+ *
+ * // Or follow several games sending to the same port
+ * const leagueService = new F1UDPService({ port: 20777, demultiplex: true });
+ * leagueService.on('source:added', (source) => {
+ *   source.on('packet:lapdata', (data) => console.log(source.address, data.header.frameIdentifier));
+ * });
+ *
+ * // Or customize the pipeline with middleware
+ * service.use((packetData) => packetData.rinfo.address === '192.168.1.10');
+ *
+ * // Or receive all packets of a game frame at once
+ * const frameService = new F1UDPService({ port: 20777, parse: true, coalesceFrames: true });
+ * frameService.on('frame', ({ packets }) => {
+ *   useStore.setState({ telemetry: packets.CarTelemetry, lapData: packets.LapData });
+ * });
+ *
+ * // Or let the service decode payloads
+ * const parsingService = new F1UDPService({ port: 20777, parse: true });
+ * parsingService.on('packet:cartelemetry', ({ header, data }) => {
+ *   console.log(data.carTelemetryData[header.playerCarIndex].speed);
+ * });
+ *
  * // Start the service
  * await service.start();
  * ```
@@ -34,6 +64,20 @@
 
 const dgram = require('dgram');
 const EventEmitter = require('events');
+const {
+    parseHeader,
+    parsePacket,
+    parseSession,
+    parseEvent,
+    parseFinalClassification
+} = require('./packet-parser');
+const { PACKET_FORMATS, getPacketLayout } = require('./packet-formats');
+const { PacketLossTracker, mergeStatistics } = require('./PacketLossTracker');
+const { PacketForwarder } = require('./PacketForwarder');
+const { FrameCoalescer } = require('./FrameCoalescer');
+const { ParserPool } = require('./ParserPool');
+const { MetricsServer } = require('./MetricsServer');
+const { PacketSource, sourceKey } = require('./PacketSource');
 
 /**
  * Packet type definitions for F1 25
@@ -60,6 +104,15 @@ const PACKET_TYPES = {
     14: 'TimeTrial'        // Time trial stats
 };
 
+/** Packet ID of the Event packet */
+const EVENT_PACKET_ID = 3;
+
+/** Packet ID of the Final Classification packet */
+const FINAL_CLASSIFICATION_PACKET_ID = 8;
+
+/** Packet ID of the Session packet */
+const SESSION_PACKET_ID = 1;
+
 /**
  * @typedef {Object} ServiceConfig
  * @property {number} [port=20777] - UDP port to listen on
@@ -68,11 +121,34 @@ const PACKET_TYPES = {
  * @property {boolean} [forwardingEnabled=false] - Enable packet forwarding to another address
  * @property {string} [forwardingAddress='127.0.0.1'] - Address to forward packets to
  * @property {number} [forwardingPort=20778] - Port to forward packets to
+ * @property {ForwardingTarget[]} [forwardingTargets=[]] - Additional forwarding targets, each with
+ * its own packet types, decimation and packet format
+ * @property {boolean} [parse=false] - Decode packet payloads into `data` objects
+ * @property {number} [parseWorkers=0] - Decode payloads in this many worker threads instead of the
+ * main thread (with `parse`); packets are still emitted in arrival order. Decoded payloads are copied
+ * back to the main thread, which costs most of what decoding does, so compare both with
+ * `npm run benchmark-parser` on the target machine first
+ * @property {number} [sessionTimeout=10000] - Milliseconds without packets after which the session ends
+ * @property {boolean} [coalesceFrames=false] - Also emit one `frame` event with all packets of each game frame
+ * @property {number} [frameFlushTimeout=20] - Milliseconds to wait for more packets of the last frame
+ * @property {number} [stallTimeout=2000] - Milliseconds without packets after which the stream is stalled
+ * @property {boolean} [autoRebind=true] - Rebind the socket after a socket error while running
+ * @property {number} [rebindDelay=500] - Milliseconds before the first rebind attempt, doubled after each failure
+ * @property {number} [maxRebindDelay=30000] - Longest delay between rebind attempts
+ * @property {number|null} [metricsPort=null] - Serve Prometheus metrics on this HTTP port, disabled if null
+ * @property {string} [metricsAddress='0.0.0.0'] - Address of the metrics endpoint
+ * @property {boolean} [demultiplex=false] - Split packets into one PacketSource per game (address,
+ * port and session UID), each with its own statistics and session state. The sources then emit
+ * `session:start`, `session:end`, `packetLoss` and `flashback` instead of the service, whose
+ * session stays null and whose packet loss statistics add up those of the sources. With
+ * `coalesceFrames` each source groups its own frames, and the service emits them all
+ * @property {number} [sourceTimeout=600000] - Milliseconds without packets after which a source is
+ * removed (with `demultiplex`); after `sessionTimeout` its session only ends, and resumes on its next packet
  */
 
 /**
  * @typedef {Object} PacketHeader
- * @property {number} packetFormat - Packet format (2025 for F1 25)
+ * @property {number} packetFormat - Packet format (2023 for F1 23, 2024 for F1 24, 2025 for F1 25)
  * @property {number} gameYear - Game year - last two digits e.g. 25
  * @property {number} gameMajorVersion - Game major version - "X.00"
  * @property {number} gameMinorVersion - Game minor version - "1.XX"
@@ -93,18 +169,84 @@ const PACKET_TYPES = {
  * @property {Object} rinfo - Remote info (address, port)
  * @property {number} timestamp - Local timestamp when packet was received
  * @property {PacketHeader} header - Parsed packet header
+ * @property {Object|null} [data] - Decoded packet payload (only when `parse` is enabled)
+ * @property {Object.<string, *>} [tags] - Values attached by middleware
+ */
+
+/**
+ * Middleware run on every valid packet before it is forwarded and emitted
+ * Return `false` (or `null`) to drop the packet, a PacketData to replace it,
+ * or nothing to keep the (possibly modified) packet
+ *
+ * @callback Middleware
+ * @param {PacketData} packetData - Packet data
+ * @returns {PacketData|boolean|null|undefined} Replacement, `false` to drop, or nothing
  */
 
 /**
  * @typedef {Object} ServiceStatistics
  * @property {number} packetsReceived - Total packets received
  * @property {number} bytesReceived - Total bytes received
+ * @property {number} packetsDropped - Packets dropped by middleware, or lost by a parser worker
+ * @property {number} invalidPackets - Packets without a valid header
+ * @property {number} parseErrors - Packets whose payload could not be decoded (with `parse`)
  * @property {number} packetsPerSecond - Current packets per second rate
  * @property {string} averagePacketsPerSecond - Average packets per second since start
  * @property {string} runtime - Service runtime in seconds
  * @property {Object.<string, number>} packetCounts - Count of each packet type received
+ * @property {Object.<string, number>} byteCounts - Bytes received for each packet type
  * @property {number|null} lastPacketTime - Timestamp of last received packet
  * @property {boolean} isRunning - Whether service is currently running
+ * @property {PacketLossStatistics} packetLoss - Lost, duplicated and out-of-order packets and
+ * flashbacks, detected from the frame identifiers, with counts per packet type in `byType`
+ * @property {Array<ForwardingTarget & {stats: ForwardingTargetStatistics}>} forwarding - Forwarding targets
+ * @property {ParserPoolStatistics|null} parserPool - Worker decoding statistics, null without `parseWorkers`
+ * @property {ConnectionHealth} connection - Socket and packet stream health
+ * @property {SourceInfo[]} sources - Active sources (only with `demultiplex`)
+ */
+
+/**
+ * @typedef {Object} ConnectionHealth
+ * @property {string} status - 'stopped', 'listening' (no packet yet), 'receiving', 'stalled' or 'rebinding'
+ * @property {number|null} silence - Milliseconds since the last packet, null before the first packet
+ * @property {number} stalls - Number of times the stream stalled
+ * @property {number} stalledTime - Total milliseconds spent stalled, including the current stall
+ * @property {number} socketErrors - Socket errors while running
+ * @property {number} rebinds - Successful rebinds after socket errors
+ * @property {string|null} lastError - Message of the last socket error
+ */
+
+/**
+ * @typedef {Object} SessionEvent
+ * @property {string} code - 4-character event string code (e.g. 'PENA')
+ * @property {string} type - Event name (e.g. 'penalty'), see EVENT_TYPES
+ * @property {Object} details - Decoded event details, empty for events without details
+ * @property {PacketHeader} header - Parsed packet header
+ * @property {number} timestamp - Local timestamp when packet was received
+ */
+
+/**
+ * @typedef {Object} SessionInfo
+ * @property {bigint} sessionUID - Unique identifier of the session
+ * @property {number} packetFormat - Packet format of the game
+ * @property {number} gameYear - Game year - last two digits e.g. 25
+ * @property {number} playerCarIndex - Index of the player car
+ * @property {number|null} sessionType - Session type, null until a Session packet is received
+ * @property {number|null} trackId - Track ID, null until a Session packet is received
+ * @property {number} startTime - Local timestamp of the first packet of the session
+ * @property {number|null} endTime - Local timestamp of the end of the session
+ * @property {number} packetsReceived - Packets received during the session
+ * @property {boolean} resumed - Whether packets of an already seen session resumed after a timeout or restart
+ * @property {boolean} active - Whether the session is still running
+ * @property {string|null} endReason - 'sessionChanged', 'ended' (SEND event), 'timeout' or 'stopped'
+ */
+
+/**
+ * @typedef {Object} SessionResultsEvent
+ * @property {number} numCars - Number of cars in the final classification
+ * @property {RaceResult[]} results - Results ordered by finishing position
+ * @property {PacketHeader} header - Parsed packet header
+ * @property {number} timestamp - Local timestamp when packet was received
  */
 
 /**
@@ -113,7 +255,10 @@ const PACKET_TYPES = {
  * @class F1UDPService
  * @extends EventEmitter
  *
- * @fires F1UDPService#listening - Service started listening
+ * @fires F1UDPService#listening - Service started listening, or listens again after a rebind
+ * @fires F1UDPService#stalled - No packet received for `stallTimeout` milliseconds
+ * @fires F1UDPService#resumed - Packets received again after a stall
+ * @fires F1UDPService#rebinding - Socket failed, a rebind is scheduled
  * @fires F1UDPService#packet - Any packet received
  * @fires F1UDPService#packet:motion - Motion packet received
  * @fires F1UDPService#packet:session - Session packet received
@@ -130,8 +275,18 @@ const PACKET_TYPES = {
  * @fires F1UDPService#packet:tyresets - Tyre sets packet received
  * @fires F1UDPService#packet:motionex - Extended motion packet received
  * @fires F1UDPService#packet:timetrial - Time trial packet received
+ * @fires F1UDPService#event - Decoded session event (any event code)
+ * @fires F1UDPService#event:* - Decoded session event by name, e.g. event:penalty
+ * @fires F1UDPService#session:start - First packet of a new session, on the sources with demultiplex
+ * @fires F1UDPService#session:end - Session changed, ended, timed out or service stopped
+ * @fires F1UDPService#session:results - Final classification at the end of a session
+ * @fires F1UDPService#frame - All packets of a game frame (only when `coalesceFrames` is enabled)
+ * @fires F1UDPService#source:added - First packet of a new source (only with `demultiplex`)
+ * @fires F1UDPService#source:removed - Source changed session, sent nothing for `sourceTimeout` or service stopped
+ * @fires F1UDPService#packetLoss - Packets missing from the frame sequence, on the sources with demultiplex
+ * @fires F1UDPService#flashback - Player used a flashback
  * @fires F1UDPService#stats - Statistics update (every second)
- * @fires F1UDPService#error - Error occurred
+ * @fires F1UDPService#error - Socket error, only when 'error' has listeners (a warning otherwise)
  * @fires F1UDPService#warning - Warning message
  * @fires F1UDPService#stopped - Service stopped
  * @fires F1UDPService#invalidPacket - Invalid packet received
@@ -148,7 +303,11 @@ class F1UDPService extends EventEmitter {
      * const service = new F1UDPService({
      *   port: 20777,
      *   forwardingEnabled: true,
-     *   forwardingPort: 20778
+     *   forwardingPort: 20778,
+     *   forwardingTargets: [
+     *     { id: 'motion-rig', port: 20780, packetTypes: ['Motion'], decimation: 2 },
+     *     { id: 'dash', port: 20781, packetFormat: 2023 }
+     *   ]
      * });
      * ```
      */
@@ -162,15 +321,26 @@ class F1UDPService extends EventEmitter {
             bufferSize: options.bufferSize || 4 * 1024 * 1024,
             forwardingEnabled: options.forwardingEnabled || false,
             forwardingAddress: options.forwardingAddress || '127.0.0.1',
-            forwardingPort: options.forwardingPort || 20778
+            forwardingPort: options.forwardingPort || 20778,
+            forwardingTargets: options.forwardingTargets || [],
+            parse: options.parse || false,
+            parseWorkers: options.parseWorkers || 0,
+            sessionTimeout: options.sessionTimeout || 10000,
+            coalesceFrames: options.coalesceFrames || false,
+            frameFlushTimeout: options.frameFlushTimeout !== undefined ? options.frameFlushTimeout : 20,
+            stallTimeout: options.stallTimeout || 2000,
+            autoRebind: options.autoRebind !== false,
+            rebindDelay: options.rebindDelay || 500,
+            maxRebindDelay: options.maxRebindDelay || 30000,
+            metricsPort: options.metricsPort || null,
+            metricsAddress: options.metricsAddress || '0.0.0.0',
+            demultiplex: options.demultiplex || false,
+            sourceTimeout: options.sourceTimeout || 600000
         };
 
         /** @type {dgram.Socket|null} */
         this.socket = null;
 
-        /** @type {dgram.Socket|null} */
-        this.forwardSocket = null;
-
         /** @type {boolean} */
         this.isRunning = false;
 
@@ -178,16 +348,106 @@ class F1UDPService extends EventEmitter {
         this.stats = {
             packetsReceived: 0,
             bytesReceived: 0,
+            packetsDropped: 0,
+            invalidPackets: 0,
+            parseErrors: 0,
             sessionStartTime: null,
             lastPacketTime: null,
             packetsPerSecond: 0,
-            packetCounts: {}
+            packetCounts: {},
+            byteCounts: {}
         };
 
         /** @private */
         this._packetRateInterval = null;
         /** @private */
         this._packetRateCounter = 0;
+        /** @private */
+        this._watchdogInterval = null;
+        /** @private */
+        this._health = {
+            stalledSince: null,
+            stalls: 0,
+            stalledTime: 0,
+            socketErrors: 0,
+            rebinds: 0,
+            lastError: null
+        };
+        /**
+         * Metrics endpoint, while running with `metricsPort`
+         * @private
+         * @type {MetricsServer|null}
+         */
+        this._metrics = null;
+        /**
+         * Active sources by key, with `demultiplex`
+         * @private
+         * @type {Map<string, PacketSource>}
+         */
+        this._sources = new Map();
+        /**
+         * Packet loss of the removed sources, kept in the service statistics
+         * @private
+         * @type {PacketLossStatistics|null}
+         */
+        this._removedSourceLoss = null;
+        /** @private Consecutive failed rebinds, for the backoff */
+        this._rebindAttempts = 0;
+        /** @private */
+        this._rebindTimer = null;
+        /** @private Unsupported "format.version" pairs already warned about */
+        this._unsupportedFormats = new Set();
+        /**
+         * @private
+         * @type {SessionInfo|null}
+         */
+        this._session = null;
+        /** @private */
+        this._packetLoss = new PacketLossTracker();
+
+        /** @private */
+        this._forwarder = new PacketForwarder();
+        this._forwarder.on('warning', (message) => this.emit('warning', message));
+        if (this.config.forwardingEnabled) {
+            this._forwarder.addTarget({
+                id: 'default',
+                address: this.config.forwardingAddress,
+                port: this.config.forwardingPort
+            });
+        }
+        this.config.forwardingTargets.forEach((target) => this._forwarder.addTarget(target));
+
+        /**
+         * @private
+         * @type {Middleware[]}
+         */
+        this._middleware = [];
+        /** @private Middleware already warned about, to warn once per middleware */
+        this._failedMiddleware = new WeakSet();
+        /** @private Packet types already warned about, to warn once per type until the statistics reset */
+        this._failedPacketTypes = new Set();
+
+        /**
+         * Worker pool decoding payloads, while running with `parseWorkers`
+         * @private
+         * @type {ParserPool|null}
+         */
+        this._parser = null;
+
+        /** @private */
+        this._frames = null;
+        // Sources coalesce their own frames, the frames of several games would split each other
+        if (this.config.coalesceFrames && !this.config.demultiplex) {
+            this._frames = new FrameCoalescer({ flushTimeout: this.config.frameFlushTimeout });
+            this._frames.on('frame', (frame) => {
+                /**
+                 * Frame event
+                 * @event F1UDPService#frame
+                 * @type {Frame}
+                 */
+                this.emit('frame', frame);
+            });
+        }
     }
 
     /**
@@ -195,7 +455,8 @@ class F1UDPService extends EventEmitter {
      *
      * @async
      * @returns {Promise<void>} Resolves when service is listening
-     * @throws {Error} If service is already running
+     * @throws {Error} If service is already running, or the socket could not be bound
+     * (socket errors once listening are recovered by rebinding, see `autoRebind`)
      *
      * @example
      * ```javascript
@@ -212,58 +473,47 @@ class F1UDPService extends EventEmitter {
             throw new Error('Service is already running');
         }
 
-        return new Promise((resolve, reject) => {
-            this.socket = dgram.createSocket('udp4');
+        if (this.config.parse && this.config.parseWorkers > 0) {
+            this._parser = new ParserPool({ size: this.config.parseWorkers });
+            this._parser.on('warning', (message) => this.emit('warning', message));
+        }
 
-            // Setup forwarding socket if enabled
-            if (this.config.forwardingEnabled) {
-                this.forwardSocket = dgram.createSocket('udp4');
+        let address;
+        try {
+            address = await this._bind();
+        } catch (err) {
+            if (this._parser) {
+                await this._parser.close();
+                this._parser = null;
             }
+            throw err;
+        }
 
-            // Setup error handling
-            this.socket.on('error', (err) => {
-                this.emit('error', err);
-                reject(err);
-            });
-
-            // Setup message handling
-            this.socket.on('message', (msg, rinfo) => {
-                this._handleMessage(msg, rinfo);
-            });
-
-            // Setup listening event
-            this.socket.on('listening', () => {
-                const address = this.socket.address();
-
-                // Try to optimize buffer size
-                try {
-                    this.socket.setRecvBufferSize(this.config.bufferSize);
-                } catch (err) {
-                    this.emit('warning', 'Could not set UDP buffer size');
-                }
-
-                this.isRunning = true;
-                this.stats.sessionStartTime = Date.now();
-                this._startPacketRateMonitor();
-
-                /**
-                 * Listening event
-                 * @event F1UDPService#listening
-                 * @type {Object}
-                 * @property {string} address - Listening address
-                 * @property {number} port - Listening port
-                 */
-                this.emit('listening', {
-                    address: address.address,
-                    port: address.port
-                });
+        this.isRunning = true;
+        this.stats.sessionStartTime = Date.now();
+        this._startPacketRateMonitor();
 
-                resolve();
+        if (this.config.metricsPort) {
+            const metrics = new MetricsServer(this, {
+                port: this.config.metricsPort,
+                address: this.config.metricsAddress
             });
+            try {
+                await metrics.start();
+                this._metrics = metrics;
+            } catch (err) {
+                this.emit('warning', `Could not start metrics endpoint on port ${this.config.metricsPort}: ${err.message}`);
+            }
+        }
 
-            // Bind socket
-            this.socket.bind(this.config.port, this.config.address);
-        });
+        /**
+         * Listening event
+         * @event F1UDPService#listening
+         * @type {Object}
+         * @property {string} address - Listening address
+         * @property {number} port - Listening port
+         */
+        this.emit('listening', address);
     }
 
     /**
@@ -284,18 +534,45 @@ class F1UDPService extends EventEmitter {
             throw new Error('Service is not running');
         }
 
+        this._stopPacketRateMonitor();
+        clearTimeout(this._rebindTimer);
+        this._rebindTimer = null;
+
+        // Packets arriving from now on are ignored, decoded inline they would overtake
+        // the packets still in the workers
+        if (this.socket) {
+            this.socket.removeAllListeners('message');
+        }
+
+        if (this._metrics) {
+            await this._metrics.stop();
+            this._metrics = null;
+        }
+
+        // Let the packets being decoded in workers through before the session ends
+        if (this._parser) {
+            const parser = this._parser;
+            this._parser = null;
+            await parser.close();
+        }
+
         return new Promise((resolve) => {
-            this._stopPacketRateMonitor();
+            this._endSession('stopped', Date.now());
+            this._sources.forEach((source) => this._removeSource(source, 'stopped'));
 
             // Close forwarding socket if exists
-            if (this.forwardSocket) {
-                this.forwardSocket.close();
-                this.forwardSocket = null;
-            }
+            this._forwarder.close();
 
-            this.socket.close(() => {
+            const stopped = () => {
                 this.isRunning = false;
                 this.socket = null;
+                this._endStall(Date.now());
+
+                // The last frame is complete, no more packets are received
+                if (this._frames) {
+                    this._frames.flush();
+                    this._frames.clear();
+                }
 
                 /**
                  * Stopped event
@@ -303,10 +580,214 @@ class F1UDPService extends EventEmitter {
                  */
                 this.emit('stopped');
                 resolve();
+            };
+
+            // The socket is already closed while waiting to rebind
+            if (this.socket) {
+                this.socket.close(stopped);
+            } else {
+                stopped();
+            }
+        });
+    }
+
+    /**
+     * Create the socket and bind it
+     * Errors before the socket listens reject, later errors trigger a rebind
+     *
+     * @private
+     * @returns {Promise<{address: string, port: number}>} Listening address
+     */
+    _bind() {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+            let listening = false;
+            this.socket = socket;
+
+            // Setup error handling
+            socket.on('error', (err) => {
+                this._emitError(err);
+
+                if (!listening) {
+                    socket.close();
+                    this.socket = null;
+                    reject(err);
+                } else {
+                    this._handleSocketError(socket, err);
+                }
+            });
+
+            // Setup message handling
+            socket.on('message', (msg, rinfo) => {
+                this._handleMessage(msg, rinfo);
+            });
+
+            // Setup listening event
+            socket.on('listening', () => {
+                listening = true;
+                const address = socket.address();
+
+                // Try to optimize buffer size
+                try {
+                    socket.setRecvBufferSize(this.config.bufferSize);
+                } catch (err) {
+                    this.emit('warning', 'Could not set UDP buffer size');
+                }
+
+                resolve({
+                    address: address.address,
+                    port: address.port
+                });
             });
+
+            // Bind socket
+            socket.bind(this.config.port, this.config.address);
         });
     }
 
+    /**
+     * Report a socket error
+     * Emitted as 'error' only when it has listeners, as an unhandled 'error'
+     * event would throw out of the socket handler before the rebind, and as a
+     * warning otherwise
+     *
+     * @private
+     * @param {Error} err - Socket error
+     */
+    _emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            /**
+             * Error event
+             * @event F1UDPService#error
+             * @type {Error}
+             */
+            this.emit('error', err);
+        } else {
+            this.emit('warning', `Socket error: ${err.message}`);
+        }
+    }
+
+    /**
+     * Close a failed socket and schedule a rebind
+     *
+     * @private
+     * @param {dgram.Socket} socket - Socket that failed
+     * @param {Error} err - Socket error
+     */
+    _handleSocketError(socket, err) {
+        this._health.socketErrors++;
+        this._health.lastError = err.message;
+
+        // Ignore errors of a socket already replaced, and keep a failed socket open without autoRebind
+        if (socket !== this.socket || !this.config.autoRebind) {
+            return;
+        }
+
+        try {
+            socket.close();
+        } catch (closeError) {
+            // Already closed by the error
+        }
+        this.socket = null;
+        this._scheduleRebind(err);
+    }
+
+    /**
+     * Rebind the socket after a delay, doubled after each failed attempt
+     *
+     * @private
+     * @param {Error} err - Error that caused the rebind
+     */
+    _scheduleRebind(err) {
+        this._rebindAttempts++;
+        const delay = Math.min(
+            this.config.rebindDelay * 2 ** (this._rebindAttempts - 1),
+            this.config.maxRebindDelay
+        );
+
+        /**
+         * Rebinding event
+         * @event F1UDPService#rebinding
+         * @type {Object}
+         * @property {number} attempt - Rebind attempt, starting at 1
+         * @property {number} delay - Milliseconds before the attempt
+         * @property {Error} error - Error that caused the rebind
+         */
+        this.emit('rebinding', { attempt: this._rebindAttempts, delay, error: err });
+
+        this._rebindTimer = setTimeout(async () => {
+            this._rebindTimer = null;
+
+            let address;
+            try {
+                address = await this._bind();
+            } catch (bindError) {
+                if (this.isRunning) {
+                    this._scheduleRebind(bindError);
+                }
+                return;
+            }
+
+            // Stopped while binding
+            if (!this.isRunning) {
+                if (this.socket) {
+                    this.socket.close();
+                    this.socket = null;
+                }
+                return;
+            }
+
+            this._rebindAttempts = 0;
+            this._health.rebinds++;
+            this.emit('listening', address);
+        }, delay);
+    }
+
+    /**
+     * Emit `stalled` when no packet was received for `stallTimeout` milliseconds
+     * Checked at least every 250 ms, and every quarter of the stall timeout when it is shorter than 1 s
+     *
+     * @private
+     * @param {number} now - Current timestamp
+     */
+    _checkStall(now) {
+        const { lastPacketTime } = this.stats;
+        if (this._health.stalledSince !== null || lastPacketTime === null
+            || now - lastPacketTime < this.config.stallTimeout) {
+            return;
+        }
+
+        this._health.stalledSince = lastPacketTime;
+        this._health.stalls++;
+
+        /**
+         * Stalled event
+         * @event F1UDPService#stalled
+         * @type {Object}
+         * @property {number} lastPacketTime - Timestamp of the last packet
+         * @property {number} silence - Milliseconds since the last packet
+         */
+        this.emit('stalled', { lastPacketTime, silence: now - lastPacketTime });
+    }
+
+    /**
+     * End the current stall, if any
+     *
+     * @private
+     * @param {number} now - Current timestamp
+     * @returns {number|null} Duration of the stall, null if the stream was not stalled
+     */
+    _endStall(now) {
+        if (this._health.stalledSince === null) {
+            return null;
+        }
+
+        const duration = now - this._health.stalledSince;
+        this._health.stalledTime += duration;
+        this._health.stalledSince = null;
+        return duration;
+    }
+
     /**
      * Handle incoming UDP message
      *
@@ -323,6 +804,17 @@ class F1UDPService extends EventEmitter {
         this.stats.lastPacketTime = now;
         this._packetRateCounter++;
 
+        const stallDuration = this._endStall(now);
+        if (stallDuration !== null) {
+            /**
+             * Resumed event
+             * @event F1UDPService#resumed
+             * @type {Object}
+             * @property {number} duration - Milliseconds without packets
+             */
+            this.emit('resumed', { duration: stallDuration });
+        }
+
         // Parse packet header
         const header = this._parsePacketHeader(msg);
 
@@ -334,6 +826,7 @@ class F1UDPService extends EventEmitter {
              * @property {Buffer} buffer - Raw packet buffer
              * @property {Object} rinfo - Remote info
              */
+            this.stats.invalidPackets++;
             this.emit('invalidPacket', { buffer: msg, rinfo });
             return;
         }
@@ -341,6 +834,7 @@ class F1UDPService extends EventEmitter {
         // Update packet type statistics
         const packetTypeName = PACKET_TYPES[header.packetId] || 'Unknown';
         this.stats.packetCounts[packetTypeName] = (this.stats.packetCounts[packetTypeName] || 0) + 1;
+        this.stats.byteCounts[packetTypeName] = (this.stats.byteCounts[packetTypeName] || 0) + msg.length;
 
         // Create packet data object
         /** @type {PacketData} */
@@ -352,15 +846,51 @@ class F1UDPService extends EventEmitter {
             header
         };
 
-        // Forward packet if enabled
-        if (this.config.forwardingEnabled && this.forwardSocket) {
-            this.forwardSocket.send(
-                msg,
-                this.config.forwardingPort,
-                this.config.forwardingAddress
-            );
+        // Decode payload in a worker, the buffer is handed back with the payload
+        if (this._parser) {
+            this._parser.parse(msg, header).then(({ buffer, data, failed }) => {
+                if (failed) {
+                    this._countParseError(packetTypeName, buffer.length);
+                }
+                this._dispatchPacket({ ...packetData, buffer, data });
+            }, () => {
+                // The pool warns once for all the packets of a stopped worker
+                this.stats.packetsDropped++;
+            });
+            return;
+        }
+
+        // Decode payload if enabled
+        if (this.config.parse) {
+            packetData.data = this._parsePacketData(msg, header);
+        }
+
+        this._dispatchPacket(packetData);
+    }
+
+    /**
+     * Run the middleware, then follow the session and loss, forward and emit a packet
+     * Packets dropped by the middleware (another rig, sampled out) do not count
+     * toward the session or the packet loss
+     *
+     * @private
+     * @param {PacketData} packetData - Packet data, decoded if `parse` is enabled
+     */
+    _dispatchPacket(packetData) {
+        packetData = this._runMiddleware(packetData);
+        if (!packetData) {
+            this.stats.packetsDropped++;
+            return;
         }
 
+        this._checkPacketLoss(packetData.buffer, packetData.header);
+        this._trackSession(packetData.buffer, packetData.header, packetData.timestamp);
+
+        // Forward packet to the targets that accept it
+        this._forwarder.forward(packetData.buffer, packetData.header);
+
+        const handlerStart = this._metrics ? process.hrtime.bigint() : null;
+
         /**
          * Generic packet event
          * @event F1UDPService#packet
@@ -373,68 +903,394 @@ class F1UDPService extends EventEmitter {
          * @event F1UDPService#packet:*
          * @type {PacketData}
          */
-        this.emit(`packet:${packetTypeName.toLowerCase()}`, packetData);
+        this.emit(`packet:${packetData.packetType.toLowerCase()}`, packetData);
+
+        if (handlerStart !== null) {
+            this._metrics.observeHandler(packetData.packetType, Number(process.hrtime.bigint() - handlerStart) / 1e9);
+        }
+
+        if (this.config.demultiplex) {
+            this._routeToSource(packetData);
+        }
+
+        if (this._frames) {
+            this._frames.add(packetData);
+        }
+
+        if (packetData.header.packetId === EVENT_PACKET_ID) {
+            this._emitSessionEvent(packetData);
+        } else if (packetData.header.packetId === FINAL_CLASSIFICATION_PACKET_ID) {
+            this._emitSessionResults(packetData);
+        }
     }
 
     /**
-     * Parse packet header from buffer
+     * Run the middleware chain on a packet
+     * A middleware that throws drops the packet, with a warning on its first error
      *
      * @private
-     * @param {Buffer} buffer - Raw packet buffer
-     * @returns {PacketHeader|null} Parsed header data or null if invalid
+     * @param {PacketData} packetData - Packet data
+     * @returns {PacketData|null} Packet to forward and emit, or null if it was dropped
      */
-    _parsePacketHeader(buffer) {
-        // F1 25 packet header is 29 bytes
-        if (buffer.length < 29) {
-            return null;
-        }
-
-        try {
-            /** @type {PacketHeader} */
-            const header = {
-                packetFormat: buffer.readUInt16LE(0),
-                gameYear: buffer.readUInt8(2),
-                gameMajorVersion: buffer.readUInt8(3),
-                gameMinorVersion: buffer.readUInt8(4),
-                packetVersion: buffer.readUInt8(5),
-                packetId: buffer.readUInt8(6),
-                sessionUID: buffer.readBigUInt64LE(7),
-                sessionTime: buffer.readFloatLE(15),
-                frameIdentifier: buffer.readUInt32LE(19),
-                overallFrameIdentifier: buffer.readUInt32LE(23),
-                playerCarIndex: buffer.readUInt8(27),
-                secondaryPlayerCarIndex: buffer.readUInt8(28)
-            };
+    _runMiddleware(packetData) {
+        let current = packetData;
 
-            // Validate packet format (should be 2025 for F1 25)
-            if (header.packetFormat !== 2025) {
-                this.emit('warning', `Unexpected packet format: ${header.packetFormat}`);
+        for (const middleware of this._middleware) {
+            let result;
+            try {
+                result = middleware(current);
+            } catch (error) {
+                if (!this._failedMiddleware.has(middleware)) {
+                    this._failedMiddleware.add(middleware);
+                    this.emit('warning', `Middleware ${middleware.name || '(anonymous)'} failed on ${current.packetType} packet: ${error.message}`);
+                }
+                return null;
             }
 
-            return header;
-        } catch (error) {
-            return null;
+            if (result === false || result === null) {
+                return null;
+            }
+            if (result && typeof result === 'object') {
+                current = result;
+            }
         }
+
+        return current;
     }
 
     /**
-     * Start packet rate monitoring
-     * Updates statistics every second
+     * Emit the session results for a Final Classification packet
+     * Final Classification packets are always decoded, even when `parse` is disabled
      *
      * @private
+     * @param {PacketData} packetData - Final Classification packet data
      */
-    _startPacketRateMonitor() {
-        this._packetRateInterval = setInterval(() => {
-            this.stats.packetsPerSecond = this._packetRateCounter;
-            this._packetRateCounter = 0;
+    _emitSessionResults(packetData) {
+        const classification = parseFinalClassification(packetData.buffer);
+        if (!classification) {
+            return;
+        }
 
-            /**
+        /**
+         * Session results event
+         * @event F1UDPService#session:results
+         * @type {SessionResultsEvent}
+         */
+        this.emit('session:results', {
+            ...classification,
+            header: packetData.header,
+            timestamp: packetData.timestamp
+        });
+    }
+
+    /**
+     * Emit a decoded session event for an Event packet
+     * Event packets are always decoded, even when `parse` is disabled
+     *
+     * @private
+     * @param {PacketData} packetData - Event packet data
+     */
+    _emitSessionEvent(packetData) {
+        const event = packetData.data || parseEvent(packetData.buffer);
+        if (!event) {
+            return;
+        }
+
+        /** @type {SessionEvent} */
+        const sessionEvent = {
+            code: event.eventStringCode,
+            type: event.eventType,
+            details: event.eventDetails,
+            header: packetData.header,
+            timestamp: packetData.timestamp
+        };
+
+        /**
+         * Session event
+         * @event F1UDPService#event
+         * @type {SessionEvent}
+         */
+        this.emit('event', sessionEvent);
+
+        /**
+         * Specific session event, e.g. event:penalty, event:overtake, event:fastestLap
+         * @event F1UDPService#event:*
+         * @type {SessionEvent}
+         */
+        this.emit(`event:${sessionEvent.type}`, sessionEvent);
+
+        if (this.config.demultiplex) {
+            return;
+        }
+        if (sessionEvent.code === 'SSTA' && !(this._session && this._session.active)) {
+            this._startSession(packetData.header, packetData.timestamp, false);
+        } else if (sessionEvent.code === 'SEND') {
+            this._endSession('ended', packetData.timestamp);
+        }
+    }
+
+    /**
+     * Follow the session of a packet: start a session on a new sessionUID,
+     * resume it after a timeout, and fill in its track and type
+     *
+     * @private
+     * @param {Buffer} buffer - Raw packet buffer
+     * @param {PacketHeader} header - Parsed packet header
+     * @param {number} now - Local timestamp
+     */
+    _trackSession(buffer, header, now) {
+        // Each source follows its own session, the games would restart each other's
+        if (this.config.demultiplex) {
+            return;
+        }
+
+        const session = this._session;
+
+        if (session && header.sessionUID !== session.sessionUID) {
+            this._endSession('sessionChanged', now);
+            this._startSession(header, now, false);
+        } else if (!session) {
+            this._startSession(header, now, false);
+        } else if (!session.active && session.endReason !== 'ended') {
+            // Packets after SEND still belong to the ended session, only a timeout or restart resumes it
+            this._startSession(header, now, true);
+        }
+
+        this._session.packetsReceived++;
+
+        if (header.packetId === SESSION_PACKET_ID && this._session.sessionType === null) {
+            const info = parseSession(buffer);
+            if (info) {
+                this._session.sessionType = info.sessionType;
+                this._session.trackId = info.trackId;
+            }
+        }
+    }
+
+    /**
+     * Check the frame identifiers of a packet for lost packets and flashbacks
+     *
+     * @private
+     * @param {Buffer} buffer - Raw packet buffer
+     * @param {PacketHeader} header - Parsed packet header
+     */
+    _checkPacketLoss(buffer, header) {
+        if (this.config.demultiplex) {
+            return;
+        }
+
+        const { lost, flashback } = this._packetLoss.update(header, buffer);
+
+        if (flashback) {
+            /**
+             * Flashback event
+             * @event F1UDPService#flashback
+             * @type {Object}
+             * @property {number} frameIdentifier - Frame the session rewound to
+             * @property {number} overallFrameIdentifier - Overall frame, which keeps increasing
+             * @property {PacketHeader} header - Header of the first packet after the flashback
+             */
+            this.emit('flashback', {
+                frameIdentifier: header.frameIdentifier,
+                overallFrameIdentifier: header.overallFrameIdentifier,
+                header
+            });
+        }
+
+        if (lost > 0) {
+            /**
+             * Packet loss event
+             * @event F1UDPService#packetLoss
+             * @type {Object}
+             * @property {string} packetType - Type of the lost packets
+             * @property {number} lost - Number of packets missing before this one
+             * @property {PacketHeader} header - Header of the packet received after the gap
+             */
+            this.emit('packetLoss', {
+                packetType: PACKET_TYPES[header.packetId] || 'Unknown',
+                lost,
+                header
+            });
+        }
+    }
+
+    /**
+     * Start a session
+     *
+     * @private
+     * @param {PacketHeader} header - Header of the first packet of the session
+     * @param {number} now - Local timestamp
+     * @param {boolean} resumed - Whether the session resumes after a timeout
+     */
+    _startSession(header, now, resumed) {
+        const previous = this._session;
+        const known = resumed && previous;
+
+        this._session = {
+            sessionUID: header.sessionUID,
+            packetFormat: header.packetFormat,
+            gameYear: header.gameYear,
+            playerCarIndex: header.playerCarIndex,
+            sessionType: known ? previous.sessionType : null,
+            trackId: known ? previous.trackId : null,
+            startTime: now,
+            endTime: null,
+            packetsReceived: 0,
+            resumed,
+            active: true,
+            endReason: null
+        };
+
+        /**
+         * Session start event
+         * Per-session state (trackers, stores) should be cleared unless `resumed` is set
+         * @event F1UDPService#session:start
+         * @type {SessionInfo}
+         */
+        this.emit('session:start', { ...this._session });
+    }
+
+    /**
+     * End the active session, if any
+     *
+     * @private
+     * @param {string} reason - 'sessionChanged', 'ended', 'timeout' or 'stopped'
+     * @param {number} now - Local timestamp
+     */
+    _endSession(reason, now) {
+        // The last frame belongs to the ending session
+        if (this._frames) {
+            this._frames.flush();
+        }
+
+        if (!this._session || !this._session.active) {
+            return;
+        }
+
+        this._session.active = false;
+        this._session.endReason = reason;
+        this._session.endTime = reason === 'timeout' ? this.stats.lastPacketTime : now;
+
+        /**
+         * Session end event
+         * @event F1UDPService#session:end
+         * @type {SessionInfo}
+         * @property {number} duration - Session duration in milliseconds
+         */
+        this.emit('session:end', {
+            ...this._session,
+            duration: this._session.endTime - this._session.startTime
+        });
+    }
+
+    /**
+     * Parse packet header from buffer
+     *
+     * @private
+     * @param {Buffer} buffer - Raw packet buffer
+     * @returns {PacketHeader|null} Parsed header data or null if invalid
+     */
+    _parsePacketHeader(buffer) {
+        try {
+            /** @type {PacketHeader|null} */
+            const header = parseHeader(buffer);
+
+            // F1 25 packet header is 29 bytes
+            if (!header) {
+                return null;
+            }
+
+            // Validate packet format (2023, 2024 or 2025), warning once per format
+            const format = `${header.packetFormat}.${header.packetVersion}`;
+            if (!getPacketLayout(header.packetFormat, header.packetVersion) && !this._unsupportedFormats.has(format)) {
+                this._unsupportedFormats.add(format);
+                this.emit('warning', `Unexpected packet format: ${header.packetFormat} (version ${header.packetVersion}), supported formats are ${Object.keys(PACKET_FORMATS).join(', ')}`);
+            }
+
+            return header;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Decode packet payload
+     *
+     * @private
+     * @param {Buffer} buffer - Raw packet buffer
+     * @param {PacketHeader} header - Parsed packet header
+     * @returns {Object|null} Decoded payload without the header, or null if it could not be decoded
+     */
+    _parsePacketData(buffer, header) {
+        const packetTypeName = PACKET_TYPES[header.packetId];
+        if (!packetTypeName || !getPacketLayout(header.packetFormat, header.packetVersion)) {
+            return null;
+        }
+
+        const packet = parsePacket(buffer, header);
+        if (!packet) {
+            this._countParseError(packetTypeName, buffer.length);
+            return null;
+        }
+
+        delete packet.header;
+        return packet;
+    }
+
+    /**
+     * Count a packet whose payload could not be decoded
+     * Warns once per packet type, a format mismatch fails every packet of the type
+     *
+     * @private
+     * @param {string} packetTypeName - Packet type name
+     * @param {number} length - Packet size in bytes
+     */
+    _countParseError(packetTypeName, length) {
+        this.stats.parseErrors++;
+
+        if (!this._failedPacketTypes.has(packetTypeName)) {
+            this._failedPacketTypes.add(packetTypeName);
+            this.emit('warning', `Could not parse ${packetTypeName} packet (${length} bytes), further failures are only counted in parseErrors`);
+        }
+    }
+
+    /**
+     * Start packet rate monitoring
+     * Updates statistics every second
+     *
+     * @private
+     */
+    _startPacketRateMonitor() {
+        this._packetRateInterval = setInterval(() => {
+            this.stats.packetsPerSecond = this._packetRateCounter;
+            this._packetRateCounter = 0;
+
+            const now = Date.now();
+            if (this._session && this._session.active
+                && now - this.stats.lastPacketTime >= this.config.sessionTimeout) {
+                this._endSession('timeout', now);
+            }
+
+            this._sources.forEach((source) => {
+                const silence = now - source.lastPacketTime;
+                if (silence >= this.config.sourceTimeout) {
+                    this._removeSource(source, 'timeout');
+                } else if (silence >= this.config.sessionTimeout) {
+                    source.timeout(now);
+                }
+            });
+
+            /**
              * Statistics update event
              * @event F1UDPService#stats
              * @type {ServiceStatistics}
              */
             this.emit('stats', this.getStatistics());
         }, 1000);
+
+        this._watchdogInterval = setInterval(() => {
+            this._checkStall(Date.now());
+        }, Math.min(250, this.config.stallTimeout / 4));
     }
 
     /**
@@ -447,6 +1303,10 @@ class F1UDPService extends EventEmitter {
             clearInterval(this._packetRateInterval);
             this._packetRateInterval = null;
         }
+        if (this._watchdogInterval) {
+            clearInterval(this._watchdogInterval);
+            this._watchdogInterval = null;
+        }
     }
 
     /**
@@ -467,17 +1327,80 @@ class F1UDPService extends EventEmitter {
             ? (now - this.stats.sessionStartTime) / 1000
             : 0;
 
+        const { byPacketId, ...packetLoss } = this._getPacketLoss();
+        packetLoss.byType = {};
+        Object.entries(byPacketId).forEach(([packetId, counts]) => {
+            packetLoss.byType[PACKET_TYPES[packetId] || 'Unknown'] = counts;
+        });
+
         return {
             packetsReceived: this.stats.packetsReceived,
             bytesReceived: this.stats.bytesReceived,
+            packetsDropped: this.stats.packetsDropped,
+            invalidPackets: this.stats.invalidPackets,
+            parseErrors: this.stats.parseErrors,
             packetsPerSecond: this.stats.packetsPerSecond,
             averagePacketsPerSecond: runtime > 0
                 ? (this.stats.packetsReceived / runtime).toFixed(2)
                 : '0',
             runtime: runtime.toFixed(2),
             packetCounts: { ...this.stats.packetCounts },
+            byteCounts: { ...this.stats.byteCounts },
             lastPacketTime: this.stats.lastPacketTime,
-            isRunning: this.isRunning
+            isRunning: this.isRunning,
+            packetLoss,
+            forwarding: this._forwarder.getTargets(),
+            parserPool: this._parser ? this._parser.getStatistics() : null,
+            connection: this._getConnectionHealth(now),
+            sources: this.getSources()
+        };
+    }
+
+    /**
+     * Get the packet loss statistics, added up over the sources with `demultiplex`
+     *
+     * @private
+     * @returns {PacketLossStatistics} Statistics
+     */
+    _getPacketLoss() {
+        if (!this.config.demultiplex) {
+            return this._packetLoss.getStatistics();
+        }
+
+        const statistics = Array.from(this._sources.values()).map((source) => source.getStatistics().packetLoss);
+        if (this._removedSourceLoss) {
+            statistics.push(this._removedSourceLoss);
+        }
+        return mergeStatistics(statistics);
+    }
+
+    /**
+     * Get the socket and packet stream health
+     *
+     * @private
+     * @param {number} now - Current timestamp
+     * @returns {ConnectionHealth} Connection health
+     */
+    _getConnectionHealth(now) {
+        const { stalledSince, ...health } = this._health;
+        const { lastPacketTime } = this.stats;
+
+        let status = 'receiving';
+        if (!this.isRunning) {
+            status = 'stopped';
+        } else if (!this.socket) {
+            status = 'rebinding';
+        } else if (stalledSince !== null) {
+            status = 'stalled';
+        } else if (lastPacketTime === null) {
+            status = 'listening';
+        }
+
+        return {
+            status,
+            silence: lastPacketTime !== null ? now - lastPacketTime : null,
+            ...health,
+            stalledTime: health.stalledTime + (stalledSince !== null ? now - stalledSince : 0)
         };
     }
 
@@ -494,12 +1417,28 @@ class F1UDPService extends EventEmitter {
         this.stats = {
             packetsReceived: 0,
             bytesReceived: 0,
+            packetsDropped: 0,
+            invalidPackets: 0,
+            parseErrors: 0,
             sessionStartTime: Date.now(),
             lastPacketTime: null,
             packetsPerSecond: 0,
-            packetCounts: {}
+            packetCounts: {},
+            byteCounts: {}
         };
+        this._failedPacketTypes.clear();
         this._packetRateCounter = 0;
+        this._packetLoss.reset();
+        this._removedSourceLoss = null;
+        this._sources.forEach((source) => source.resetStatistics());
+        this._health = {
+            stalledSince: this._health.stalledSince,
+            stalls: 0,
+            stalledTime: 0,
+            socketErrors: 0,
+            rebinds: 0,
+            lastError: null
+        };
 
         /**
          * Statistics reset event
@@ -508,6 +1447,201 @@ class F1UDPService extends EventEmitter {
         this.emit('statsReset');
     }
 
+    /**
+     * Add a middleware at the end of the chain
+     * Middleware runs on every valid packet, in the order it was added, after
+     * the payload is decoded (with `parse`) and before forwarding and events.
+     * The session and packet loss only follow the packets it keeps, so filtering
+     * out another rig does not end the session
+     *
+     * @param {Middleware} middleware - Middleware function
+     * @returns {F1UDPService} The service, for chaining
+     * @throws {TypeError} If the middleware is not a function
+     *
+     * @example
+     * ```javascript
+     * const { dropPacketTypes, sample, tag } = require('./middleware');
+     *
+     * service
+     *   .use(dropPacketTypes(['MotionEx', 'TyreSets']))
+     *   .use(sample(3, ['Motion']))
+     *   .use(tag({ rig: 'sim-1' }));
+     * ```
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+        this._middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Remove a middleware from the chain
+     *
+     * @param {Middleware} middleware - Middleware function passed to `use()`
+     * @returns {boolean} True if the middleware was in the chain
+     */
+    removeMiddleware(middleware) {
+        const index = this._middleware.indexOf(middleware);
+        if (index === -1) {
+            return false;
+        }
+        this._middleware.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Add a forwarding target, also while the service is running
+     *
+     * @param {ForwardingTarget} target - Target to add
+     * @returns {string} Target identifier
+     * @throws {Error} If the port, a packet type or the packet format is invalid, or the id is taken
+     *
+     * @example
+     * ```javascript
+     * const id = service.addForwardingTarget({ port: 20779, packetTypes: ['CarTelemetry', 'LapData'] });
+     * service.removeForwardingTarget(id);
+     * ```
+     */
+    addForwardingTarget(target) {
+        return this._forwarder.addTarget(target);
+    }
+
+    /**
+     * Remove a forwarding target
+     *
+     * @param {string} id - Target identifier ('default' for forwardingAddress:forwardingPort)
+     * @returns {boolean} True if the target existed
+     */
+    removeForwardingTarget(id) {
+        return this._forwarder.removeTarget(id);
+    }
+
+    /**
+     * Get the forwarding targets and their statistics
+     *
+     * @returns {Array<ForwardingTarget & {stats: ForwardingTargetStatistics}>} Targets
+     */
+    getForwardingTargets() {
+        return this._forwarder.getTargets();
+    }
+
+    /**
+     * List the active sources, with `demultiplex`
+     *
+     * @returns {SourceInfo[]} Active sources, most recent first
+     */
+    getSources() {
+        return Array.from(this._sources.values())
+            .map((source) => source.getInfo())
+            .sort((a, b) => b.firstPacketTime - a.firstPacketTime);
+    }
+
+    /**
+     * Get an active source to subscribe to its packets, with `demultiplex`
+     *
+     * @param {string} key - Source key ("address:port/sessionUID"), or "address:port" or
+     * "address" for the most recent source sent from there
+     * @returns {PacketSource|null} Source, or null if no active source matches
+     *
+     * @example
+     * ```javascript
+     * const rig = service.getSource('192.168.1.10');
+     * if (rig) {
+     *   rig.on('packet:cartelemetry', ({ data }) => console.log(data));
+     *   console.log(rig.getStatistics().packetLoss.lossRate);
+     * }
+     * ```
+     */
+    getSource(key) {
+        if (this._sources.has(key)) {
+            return this._sources.get(key);
+        }
+
+        let match = null;
+        this._sources.forEach((source) => {
+            if ((source.address === key || `${source.address}:${source.port}` === key)
+                && (!match || source.firstPacketTime >= match.firstPacketTime)) {
+                match = source;
+            }
+        });
+        return match;
+    }
+
+    /**
+     * Pass a packet to its source, creating the source on its first packet
+     * A game starting a new session replaces its previous source
+     *
+     * @private
+     * @param {PacketData} packetData - Packet data
+     */
+    _routeToSource(packetData) {
+        const { rinfo, header } = packetData;
+        const key = sourceKey(rinfo.address, rinfo.port, header.sessionUID);
+        let source = this._sources.get(key);
+
+        if (!source) {
+            this._sources.forEach((previous) => {
+                if (previous.address === rinfo.address && previous.port === rinfo.port) {
+                    this._removeSource(previous, 'sessionChanged');
+                }
+            });
+
+            source = new PacketSource(packetData, {
+                coalesceFrames: this.config.coalesceFrames,
+                frameFlushTimeout: this.config.frameFlushTimeout
+            });
+            source.on('frame', (frame) => this.emit('frame', frame));
+            this._sources.set(key, source);
+
+            /**
+             * Source added event
+             * @event F1UDPService#source:added
+             * @type {PacketSource}
+             */
+            this.emit('source:added', source);
+        }
+
+        source.handlePacket(packetData);
+    }
+
+    /**
+     * Close a source and stop listing it
+     *
+     * @private
+     * @param {PacketSource} source - Source
+     * @param {string} reason - 'sessionChanged', 'timeout' or 'stopped'
+     */
+    _removeSource(source, reason) {
+        this._sources.delete(source.key);
+        source.close(reason);
+
+        const { packetLoss } = source.getStatistics();
+        this._removedSourceLoss = this._removedSourceLoss
+            ? mergeStatistics([this._removedSourceLoss, packetLoss])
+            : packetLoss;
+
+        /**
+         * Source removed event
+         * @event F1UDPService#source:removed
+         * @type {Object}
+         * @property {SourceInfo} source - Source information
+         * @property {string} reason - 'sessionChanged', 'timeout' or 'stopped'
+         */
+        this.emit('source:removed', { source: source.getInfo(), reason });
+    }
+
+    /**
+     * Get the current session
+     *
+     * @returns {SessionInfo|null} Current or last session, or null if no packet was received yet or
+     * with demultiplex, where each source has its own session
+     */
+    getSession() {
+        return this._session ? { ...this._session } : null;
+    }
+
     /**
      * Get available packet types
      *
@@ -556,6 +1690,36 @@ module.exports = {
  *   forwardingEnabled?: boolean;
  *   forwardingAddress?: string;
  *   forwardingPort?: number;
+ *   forwardingTargets?: ForwardingTarget[];
+ *   parse?: boolean;
+ *   parseWorkers?: number;
+ *   sessionTimeout?: number;
+ *   coalesceFrames?: boolean;
+ *   frameFlushTimeout?: number;
+ *   stallTimeout?: number;
+ *   autoRebind?: boolean;
+ *   rebindDelay?: number;
+ *   maxRebindDelay?: number;
+ *   metricsPort?: number | null;
+ *   metricsAddress?: string;
+ *   demultiplex?: boolean;
+ *   sourceTimeout?: number;
+ * }
+ *
+ * export interface ForwardingTarget {
+ *   id?: string;
+ *   address?: string;
+ *   port: number;
+ *   packetTypes?: Array<number | string>;
+ *   decimation?: number;
+ *   packetFormat?: number;
+ * }
+ *
+ * export interface ForwardingTargetStatistics {
+ *   forwarded: number;
+ *   filtered: number;
+ *   unconvertible: number;
+ *   failed: number;
  * }
  *
  * export interface PacketHeader {
@@ -579,17 +1743,157 @@ module.exports = {
  *   rinfo: any;
  *   timestamp: number;
  *   header: PacketHeader;
+ *   data?: Record<string, any> | null;
+ *   tags?: Record<string, any>;
+ * }
+ *
+ * export type Middleware = (packetData: PacketData) => PacketData | boolean | null | undefined;
+ *
+ * export interface Frame {
+ *   sessionUID: bigint;
+ *   overallFrameIdentifier: number;
+ *   frameIdentifier: number;
+ *   sessionTime: number;
+ *   timestamp: number;
+ *   packets: Record<string, PacketData>;
+ *   all: PacketData[];
+ * }
+ *
+ * export interface SessionEvent {
+ *   code: string;
+ *   type: string;
+ *   details: Record<string, number>;
+ *   header: PacketHeader;
+ *   timestamp: number;
+ * }
+ *
+ * export interface RaceResult {
+ *   carIdx: number;
+ *   position: number;
+ *   numLaps: number;
+ *   gridPosition: number;
+ *   points: number;
+ *   numPitStops: number;
+ *   resultStatus: number;
+ *   resultReason: number;
+ *   bestLapTimeInMS: number;
+ *   totalRaceTime: number;
+ *   penaltiesTime: number;
+ *   numPenalties: number;
+ *   tyreStints: Array<{ endLap: number; tyreActualCompound: number; tyreVisualCompound: number }>;
+ * }
+ *
+ * export interface SessionInfo {
+ *   sessionUID: bigint;
+ *   packetFormat: number;
+ *   gameYear: number;
+ *   playerCarIndex: number;
+ *   sessionType: number | null;
+ *   trackId: number | null;
+ *   startTime: number;
+ *   endTime: number | null;
+ *   packetsReceived: number;
+ *   resumed: boolean;
+ *   active: boolean;
+ *   endReason: 'sessionChanged' | 'ended' | 'timeout' | 'stopped' | null;
+ * }
+ *
+ * export interface SessionEndEvent extends SessionInfo {
+ *   duration: number;
+ * }
+ *
+ * export interface SessionResultsEvent {
+ *   numCars: number;
+ *   results: RaceResult[];
+ *   header: PacketHeader;
+ *   timestamp: number;
+ * }
+ *
+ * export interface PacketLossCounts {
+ *   received: number;
+ *   lost: number;
+ *   duplicated: number;
+ *   outOfOrder: number;
+ * }
+ *
+ * export interface PacketLossStatistics extends PacketLossCounts {
+ *   flashbacks: number;
+ *   lossRate: number;
+ *   byType: Record<string, PacketLossCounts>;
+ * }
+ *
+ * export interface ParserPoolStatistics {
+ *   size: number;
+ *   parsed: number;
+ *   failed: number;
+ *   copied: number;
+ *   batches: number;
+ *   pending: number;
  * }
  *
  * export interface ServiceStatistics {
  *   packetsReceived: number;
  *   bytesReceived: number;
+ *   packetsDropped: number;
+ *   invalidPackets: number;
+ *   parseErrors: number;
  *   packetsPerSecond: number;
  *   averagePacketsPerSecond: string;
  *   runtime: string;
  *   packetCounts: Record<string, number>;
+ *   byteCounts: Record<string, number>;
  *   lastPacketTime: number | null;
  *   isRunning: boolean;
+ *   packetLoss: PacketLossStatistics;
+ *   forwarding: Array<ForwardingTarget & { stats: ForwardingTargetStatistics }>;
+ *   parserPool: ParserPoolStatistics | null;
+ *   connection: ConnectionHealth;
+ *   sources: SourceInfo[];
+ * }
+ *
+ * export interface SourceInfo {
+ *   key: string;
+ *   address: string;
+ *   port: number;
+ *   sessionUID: bigint;
+ *   packetFormat: number;
+ *   playerCarIndex: number;
+ *   firstPacketTime: number;
+ *   lastPacketTime: number;
+ *   packetsReceived: number;
+ *   active: boolean;
+ * }
+ *
+ * export interface SourceStatistics {
+ *   packetsReceived: number;
+ *   bytesReceived: number;
+ *   packetCounts: Record<string, number>;
+ *   byteCounts: Record<string, number>;
+ *   packetLoss: Omit<PacketLossStatistics, 'byType'> & { byPacketId: Record<number, PacketLossCounts> };
+ * }
+ *
+ * export declare class PacketSource extends EventEmitter {
+ *   readonly key: string;
+ *   readonly address: string;
+ *   readonly port: number;
+ *   readonly sessionUID: bigint;
+ *   readonly state: any; // SessionState
+ *   active: boolean;
+ *   getInfo(): SourceInfo;
+ *   getStatistics(): SourceStatistics;
+ *   getSession(): SessionInfo | null;
+ *   timeout(now: number): void;
+ *   resetStatistics(): void;
+ * }
+ *
+ * export interface ConnectionHealth {
+ *   status: 'stopped' | 'listening' | 'receiving' | 'stalled' | 'rebinding';
+ *   silence: number | null;
+ *   stalls: number;
+ *   stalledTime: number;
+ *   socketErrors: number;
+ *   rebinds: number;
+ *   lastError: string | null;
  * }
  *
  * export declare class F1UDPService extends EventEmitter {
@@ -600,6 +1904,14 @@ module.exports = {
  *   resetStatistics(): void;
  *   isServiceRunning(): boolean;
  *   getConfiguration(): ServiceConfig;
+ *   getSession(): SessionInfo | null;
+ *   use(middleware: Middleware): this;
+ *   removeMiddleware(middleware: Middleware): boolean;
+ *   addForwardingTarget(target: ForwardingTarget): string;
+ *   removeForwardingTarget(id: string): boolean;
+ *   getForwardingTargets(): Array<ForwardingTarget & { stats: ForwardingTargetStatistics }>;
+ *   getSources(): SourceInfo[];
+ *   getSource(key: string): PacketSource | null;
  *   static getPacketTypes(): Record<number, string>;
  * }
  * ```
@@ -0,0 +1,161 @@
+/**
+ * Frame Coalescer
+ *
+ * @description
+ * Groups the packets of one game frame, so telemetry, lap data and status can
+ * be read together as a consistent snapshot. The game sends every packet of a
+ * frame before moving to the next one, so a frame is complete as soon as a
+ * packet of a newer `overallFrameIdentifier` arrives. The last frame is
+ * flushed after a timeout, as no newer packet may come (pause, end of session).
+ *
+ * Packets arriving after their frame was flushed are dropped from the frames,
+ * and counted in `latePackets`.
+ *
+ * @example
+ * ```javascript
+ * const { FrameCoalescer } = require('./FrameCoalescer');
+ *
+ * const frames = new FrameCoalescer({ flushTimeout: 20 });
+ * service.on('packet', (packetData) => frames.add(packetData));
+ *
+ * frames.on('frame', ({ packets }) => {
+ *   if (packets.CarTelemetry && packets.LapData) {
+ *     render(packets.CarTelemetry, packets.LapData);
+ *   }
+ * });
+ * ```
+ *
+ * @module FrameCoalescer
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * @typedef {Object} Frame
+ * @property {bigint} sessionUID - Unique identifier of the session
+ * @property {number} overallFrameIdentifier - Overall frame, which does not go back after flashbacks
+ * @property {number} frameIdentifier - Frame of the session
+ * @property {number} sessionTime - Session timestamp of the first packet of the frame
+ * @property {number} timestamp - Local timestamp of the first packet of the frame
+ * @property {Object.<string, PacketData>} packets - Last packet of each type, by packet type name
+ * @property {PacketData[]} all - Every packet of the frame, in arrival order (e.g. several events)
+ */
+
+/**
+ * Frame Coalescer Class
+ *
+ * @class FrameCoalescer
+ * @extends EventEmitter
+ *
+ * @fires FrameCoalescer#frame - All packets of a frame
+ */
+class FrameCoalescer extends EventEmitter {
+    /**
+     * Create a new coalescer
+     *
+     * @constructor
+     * @param {Object} [options={}] - Options
+     * @param {number} [options.flushTimeout=20] - Milliseconds to wait for more packets of the last frame
+     */
+    constructor(options = {}) {
+        super();
+
+        /** @type {number} */
+        this.flushTimeout = options.flushTimeout !== undefined ? options.flushTimeout : 20;
+
+        /**
+         * Packets received after their frame was flushed
+         * @type {number}
+         */
+        this.latePackets = 0;
+
+        /**
+         * Frame being filled
+         * @private
+         * @type {Frame|null}
+         */
+        this._frame = null;
+        /** @private */
+        this._timer = null;
+        /** @private Last flushed frame */
+        this._flushed = null;
+    }
+
+    /**
+     * Add a packet to its frame
+     *
+     * @param {PacketData} packetData - Packet data from F1UDPService
+     */
+    add(packetData) {
+        const { header } = packetData;
+
+        if (this._frame && (header.sessionUID !== this._frame.sessionUID
+            || header.overallFrameIdentifier > this._frame.overallFrameIdentifier)) {
+            this.flush();
+        }
+
+        if (!this._frame) {
+            if (this._flushed && header.sessionUID === this._flushed.sessionUID
+                && header.overallFrameIdentifier <= this._flushed.overallFrameIdentifier) {
+                this.latePackets++;
+                return;
+            }
+
+            this._frame = {
+                sessionUID: header.sessionUID,
+                overallFrameIdentifier: header.overallFrameIdentifier,
+                frameIdentifier: header.frameIdentifier,
+                sessionTime: header.sessionTime,
+                timestamp: packetData.timestamp,
+                packets: {},
+                all: []
+            };
+        } else if (header.overallFrameIdentifier < this._frame.overallFrameIdentifier) {
+            this.latePackets++;
+            return;
+        }
+
+        this._frame.packets[packetData.packetType] = packetData;
+        this._frame.all.push(packetData);
+
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.flush(), this.flushTimeout);
+    }
+
+    /**
+     * Emit the frame being filled, if any
+     */
+    flush() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        const frame = this._frame;
+        if (!frame) {
+            return;
+        }
+
+        this._frame = null;
+        this._flushed = { sessionUID: frame.sessionUID, overallFrameIdentifier: frame.overallFrameIdentifier };
+
+        /**
+         * Frame event
+         * @event FrameCoalescer#frame
+         * @type {Frame}
+         */
+        this.emit('frame', frame);
+    }
+
+    /**
+     * Drop the frame being filled without emitting it
+     */
+    clear() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._frame = null;
+        this._flushed = null;
+    }
+}
+
+module.exports = {
+    FrameCoalescer
+};
@@ -0,0 +1,302 @@
+/**
+ * Metrics Server
+ *
+ * @description
+ * Serves the health of an F1UDPService over HTTP in the Prometheus text
+ * format, to graph the receiver during long sessions: packets and bytes per
+ * packet type, parse errors, invalid packets, detected loss, `packet` handler
+ * latency, forwarding failures, connection health and memory use.
+ *
+ * Enabled with the `metricsPort` option of F1UDPService, which also records
+ * the handler latency histograms.
+ *
+ * @example
+ * ```javascript
+ * const service = new F1UDPService({ port: 20777, metricsPort: 9464 });
+ * await service.start();
+ *
+ * // prometheus.yml
+ * // scrape_configs:
+ * //   - job_name: f1-udp
+ * //     static_configs:
+ * //       - targets: ['localhost:9464']
+ * ```
+ *
+ * @module MetricsServer
+ */
+
+const http = require('http');
+
+/** Upper bounds of the handler latency buckets, in seconds */
+const LATENCY_BUCKETS = [0.00005, 0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1];
+
+/** Content type of the Prometheus text format */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * @typedef {Object} MetricSample
+ * @property {Object.<string, string>} [labels] - Label values
+ * @property {number} value - Sample value
+ * @property {string} [suffix] - Appended to the metric name (e.g. '_bucket')
+ */
+
+/**
+ * Escape a label value
+ *
+ * @private
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format one metric with its HELP and TYPE lines
+ *
+ * @private
+ * @param {string} name - Metric name
+ * @param {string} type - 'counter', 'gauge' or 'histogram'
+ * @param {string} help - Description
+ * @param {MetricSample[]} samples - Samples
+ * @returns {string} Metric in the Prometheus text format
+ */
+function formatMetric(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+    samples.forEach(({ labels = {}, value, suffix = '' }) => {
+        const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`);
+        const formatted = Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : 'NaN');
+        lines.push(`${name}${suffix}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatted}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Latency histogram with cumulative buckets
+ *
+ * @class LatencyHistogram
+ */
+class LatencyHistogram {
+    /**
+     * Create an empty histogram
+     *
+     * @constructor
+     * @param {number[]} [buckets=LATENCY_BUCKETS] - Bucket upper bounds in seconds, ascending
+     */
+    constructor(buckets = LATENCY_BUCKETS) {
+        /** @type {number[]} */
+        this.buckets = buckets;
+        /** @type {number[]} Observations per bucket (not cumulative), the last one is +Inf */
+        this.counts = new Array(buckets.length + 1).fill(0);
+        /** @type {number} */
+        this.sum = 0;
+        /** @type {number} */
+        this.count = 0;
+    }
+
+    /**
+     * Record a duration
+     *
+     * @param {number} seconds - Duration in seconds
+     */
+    observe(seconds) {
+        let index = this.buckets.findIndex((bound) => seconds <= bound);
+        if (index === -1) {
+            index = this.buckets.length;
+        }
+
+        this.counts[index]++;
+        this.sum += seconds;
+        this.count++;
+    }
+
+    /**
+     * Get the samples of the histogram
+     *
+     * @param {Object.<string, string>} labels - Labels of the histogram
+     * @returns {MetricSample[]} Cumulative buckets, sum and count
+     */
+    toSamples(labels) {
+        let cumulative = 0;
+        const samples = this.counts.map((count, i) => {
+            cumulative += count;
+            const le = i < this.buckets.length ? String(this.buckets[i]) : '+Inf';
+            return { labels: { ...labels, le }, value: cumulative, suffix: '_bucket' };
+        });
+
+        samples.push({ labels, value: this.sum, suffix: '_sum' });
+        samples.push({ labels, value: this.count, suffix: '_count' });
+        return samples;
+    }
+}
+
+/**
+ * Metrics Server Class
+ *
+ * @class MetricsServer
+ */
+class MetricsServer {
+    /**
+     * Create a metrics server for a service
+     *
+     * @constructor
+     * @param {F1UDPService} service - Service to report on
+     * @param {Object} [options={}] - Options
+     * @param {number} [options.port=9464] - HTTP port
+     * @param {string} [options.address='0.0.0.0'] - Address to bind to
+     * @param {string} [options.path='/metrics'] - Path of the metrics
+     */
+    constructor(service, options = {}) {
+        /** @private */
+        this._service = service;
+
+        /** @type {{port: number, address: string, path: string}} */
+        this.config = {
+            port: options.port || 9464,
+            address: options.address || '0.0.0.0',
+            path: options.path || '/metrics'
+        };
+
+        /**
+         * Handler latency per packet type
+         * @private
+         * @type {Map<string, LatencyHistogram>}
+         */
+        this._latency = new Map();
+
+        /** @type {http.Server|null} */
+        this.server = null;
+    }
+
+    /**
+     * Start serving the metrics
+     *
+     * @async
+     * @returns {Promise<{address: string, port: number}>} Listening address
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this._handleRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.address, () => {
+                this.server.off('error', reject);
+                const { address, port } = this.server.address();
+                resolve({ address, port });
+            });
+        });
+    }
+
+    /**
+     * Stop serving the metrics
+     *
+     * @async
+     * @returns {Promise<void>} Resolves when the server is closed
+     */
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+
+            this.server.close(() => resolve());
+            // Scrapers keep their connection open between scrapes
+            if (this.server.closeIdleConnections) {
+                this.server.closeIdleConnections();
+            }
+            this.server = null;
+        });
+    }
+
+    /**
+     * Record the time spent in the `packet` handlers of a packet
+     *
+     * @param {string} packetType - Packet type name
+     * @param {number} seconds - Duration in seconds
+     */
+    observeHandler(packetType, seconds) {
+        if (!this._latency.has(packetType)) {
+            this._latency.set(packetType, new LatencyHistogram());
+        }
+        this._latency.get(packetType).observe(seconds);
+    }
+
+    /**
+     * Render all metrics in the Prometheus text format
+     *
+     * @returns {string} Metrics
+     */
+    render() {
+        const stats = this._service.getStatistics();
+        const { packetLoss, connection } = stats;
+        const memory = process.memoryUsage();
+        const byType = (counts) => Object.entries(counts).map(([type, value]) => ({ labels: { type }, value }));
+        const byTarget = (field) => stats.forwarding.map((target) => ({ labels: { target: target.id }, value: target.stats[field] }));
+        const byLossType = (field) => Object.entries(packetLoss.byType).map(([type, counts]) => ({ labels: { type }, value: counts[field] }));
+
+        const metrics = [
+            formatMetric('f1_udp_up', 'gauge', 'Whether the service is running', [{ value: stats.isRunning ? 1 : 0 }]),
+            formatMetric('f1_udp_packets_total', 'counter', 'Packets received by packet type', byType(stats.packetCounts)),
+            formatMetric('f1_udp_bytes_total', 'counter', 'Bytes received by packet type', byType(stats.byteCounts)),
+            formatMetric('f1_udp_packets_per_second', 'gauge', 'Packets received during the last second', [{ value: stats.packetsPerSecond }]),
+            formatMetric('f1_udp_active_sources', 'gauge', 'Games sending packets (with demultiplex)', [{ value: stats.sources.length }]),
+            formatMetric('f1_udp_invalid_packets_total', 'counter', 'Packets without a valid header', [{ value: stats.invalidPackets }]),
+            formatMetric('f1_udp_parse_errors_total', 'counter', 'Packets whose payload could not be decoded', [{ value: stats.parseErrors }]),
+            formatMetric('f1_udp_packets_dropped_total', 'counter', 'Packets dropped by middleware or lost by a parser worker', [{ value: stats.packetsDropped }]),
+            formatMetric('f1_udp_packets_lost_total', 'counter', 'Packets missing from the frame sequence by packet type', byLossType('lost')),
+            formatMetric('f1_udp_packets_duplicated_total', 'counter', 'Packets received twice by packet type', byLossType('duplicated')),
+            formatMetric('f1_udp_packets_out_of_order_total', 'counter', 'Packets received after a newer packet by packet type', byLossType('outOfOrder')),
+            formatMetric('f1_udp_packet_loss_ratio', 'gauge', 'Lost packets over expected packets', [{ value: packetLoss.lossRate }]),
+            formatMetric('f1_udp_flashbacks_total', 'counter', 'Flashback rewinds', [{ value: packetLoss.flashbacks }]),
+            formatMetric('f1_udp_handler_duration_seconds', 'histogram', 'Time spent in the packet event handlers by packet type',
+                Array.from(this._latency.entries()).flatMap(([type, histogram]) => histogram.toSamples({ type }))),
+            formatMetric('f1_udp_forwarded_packets_total', 'counter', 'Packets forwarded by target', byTarget('forwarded')),
+            formatMetric('f1_udp_forwarding_failures_total', 'counter', 'Packets that could not be converted or sent by target', byTarget('failed')),
+            formatMetric('f1_udp_forwarding_unconvertible_total', 'counter', 'Packets missing from the packet format of the target', byTarget('unconvertible')),
+            formatMetric('f1_udp_stalled', 'gauge', 'Whether no packet was received for the stall timeout', [{ value: connection.status === 'stalled' ? 1 : 0 }]),
+            formatMetric('f1_udp_stalls_total', 'counter', 'Times the packet stream stalled', [{ value: connection.stalls }]),
+            formatMetric('f1_udp_socket_errors_total', 'counter', 'Socket errors while running', [{ value: connection.socketErrors }]),
+            formatMetric('f1_udp_rebinds_total', 'counter', 'Successful rebinds after socket errors', [{ value: connection.rebinds }]),
+            formatMetric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes', [{ value: memory.rss }]),
+            formatMetric('nodejs_heap_size_total_bytes', 'gauge', 'Process heap size in bytes', [{ value: memory.heapTotal }]),
+            formatMetric('nodejs_heap_size_used_bytes', 'gauge', 'Process heap size used in bytes', [{ value: memory.heapUsed }]),
+            formatMetric('nodejs_external_memory_bytes', 'gauge', 'Memory used by C++ objects bound to JavaScript objects in bytes', [{ value: memory.external }])
+        ];
+
+        return `${metrics.join('\n')}\n`;
+    }
+
+    /**
+     * Answer an HTTP request
+     *
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    _handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+
+        if (path !== this.config.path) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+            res.end('Method not allowed\n');
+            return;
+        }
+
+        const body = this.render();
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(body) });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    }
+}
+
+module.exports = {
+    MetricsServer,
+    LatencyHistogram,
+    LATENCY_BUCKETS
+};
@@ -0,0 +1,328 @@
+/**
+ * Packet Forwarder
+ *
+ * @description
+ * Forwards received packets to several targets, such as a motion platform, a
+ * dash app and a logger running next to each other. Each target can receive
+ * only some packet types, a decimated rate (one packet in N of each type) and
+ * packets converted to an older packet format. Targets can be added and
+ * removed while packets are flowing.
+ *
+ * Event and Final Classification packets are never decimated, as they are
+ * only sent once.
+ *
+ * @example
+ * ```javascript
+ * const { PacketForwarder } = require('./PacketForwarder');
+ *
+ * const forwarder = new PacketForwarder();
+ *
+ * // Motion platform: motion only, at half rate
+ * forwarder.addTarget({ id: 'motion-rig', port: 20780, packetTypes: ['Motion', 'MotionEx'], decimation: 2 });
+ *
+ * // Dash app that only understands F1 23 packets
+ * forwarder.addTarget({ id: 'dash', address: '192.168.1.20', port: 20777, packetFormat: 2023 });
+ *
+ * socket.on('message', (msg) => forwarder.forward(msg, parseHeader(msg)));
+ * ```
+ *
+ * @module PacketForwarder
+ */
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const { convertPacket } = require('./packet-encoder');
+const { getPacketLayout } = require('./packet-formats');
+
+/**
+ * Packet type names, used to accept names in allowlists
+ *
+ * @private
+ * @constant {string[]}
+ */
+const PACKET_TYPE_NAMES = [
+    'Motion', 'Session', 'LapData', 'Event', 'Participants', 'CarSetups', 'CarTelemetry',
+    'CarStatus', 'FinalClassification', 'LobbyInfo', 'CarDamage', 'SessionHistory',
+    'TyreSets', 'MotionEx', 'TimeTrial'
+];
+
+/** Packet types that are never decimated */
+const UNDECIMATED_PACKET_IDS = new Set([3, 8]);
+
+/**
+ * @typedef {Object} ForwardingTarget
+ * @property {string} [id] - Target identifier, generated if omitted
+ * @property {string} [address='127.0.0.1'] - Address to forward packets to
+ * @property {number} port - Port to forward packets to
+ * @property {Array<number|string>} [packetTypes] - Packet IDs or type names (e.g. 'CarTelemetry')
+ * to forward, all types if omitted
+ * @property {number} [decimation=1] - Forward one packet in N of each packet type
+ * @property {number} [packetFormat] - Convert packets to this packet format (2023, 2024 or 2025)
+ */
+
+/**
+ * @typedef {Object} ForwardingTargetStatistics
+ * @property {number} forwarded - Packets sent to the target
+ * @property {number} filtered - Packets skipped by the allowlist or decimation
+ * @property {number} unconvertible - Packets or events missing from the target packet format
+ * @property {number} failed - Packets that could not be converted or sent
+ */
+
+/**
+ * Normalise a packet type allowlist into packet IDs
+ *
+ * @private
+ * @param {Array<number|string>} packetTypes - Packet IDs or type names
+ * @returns {Set<number>} Packet IDs
+ * @throws {Error} If a packet type is unknown
+ */
+function toPacketIds(packetTypes) {
+    return new Set(packetTypes.map((packetType) => {
+        if (typeof packetType === 'number' && PACKET_TYPE_NAMES[packetType]) {
+            return packetType;
+        }
+
+        const packetId = PACKET_TYPE_NAMES.findIndex((name) => name.toLowerCase() === String(packetType).toLowerCase());
+        if (packetId === -1) {
+            throw new Error(`Unknown packet type: ${packetType}`);
+        }
+        return packetId;
+    }));
+}
+
+/**
+ * Packet Forwarder Class
+ *
+ * @class PacketForwarder
+ * @extends EventEmitter
+ *
+ * @fires PacketForwarder#warning - A packet could not be converted or sent
+ */
+class PacketForwarder extends EventEmitter {
+    /**
+     * Create a new forwarder
+     *
+     * @constructor
+     * @param {ForwardingTarget[]} [targets=[]] - Initial targets
+     */
+    constructor(targets = []) {
+        super();
+
+        /** @private */
+        this._targets = new Map();
+        /** @private */
+        this._nextId = 1;
+        /** @private Shared socket for all targets, created on the first packet */
+        this._socket = null;
+        /** @private Targets already warned about, per "id:reason" */
+        this._warned = new Set();
+
+        targets.forEach((target) => this.addTarget(target));
+    }
+
+    /**
+     * Add a forwarding target
+     *
+     * @param {ForwardingTarget} target - Target to add
+     * @returns {string} Target identifier
+     * @throws {Error} If the port, a packet type or the packet format is invalid, or the id is taken
+     */
+    addTarget(target) {
+        if (!Number.isInteger(target.port) || target.port <= 0 || target.port > 65535) {
+            throw new Error(`Invalid forwarding port: ${target.port}`);
+        }
+        if (target.packetFormat !== undefined && !getPacketLayout(target.packetFormat)) {
+            throw new Error(`Unsupported packet format: ${target.packetFormat}`);
+        }
+
+        const id = target.id !== undefined ? String(target.id) : `target-${this._nextId++}`;
+        if (this._targets.has(id)) {
+            throw new Error(`Forwarding target "${id}" already exists`);
+        }
+
+        this._targets.set(id, {
+            config: {
+                id,
+                address: target.address || '127.0.0.1',
+                port: target.port,
+                packetTypes: target.packetTypes ? [...target.packetTypes] : null,
+                decimation: Math.max(1, Math.floor(target.decimation || 1)),
+                packetFormat: target.packetFormat
+            },
+            packetIds: target.packetTypes ? toPacketIds(target.packetTypes) : null,
+            counters: {},
+            stats: { forwarded: 0, filtered: 0, unconvertible: 0, failed: 0 }
+        });
+
+        return id;
+    }
+
+    /**
+     * Remove a forwarding target
+     *
+     * @param {string} id - Target identifier
+     * @returns {boolean} True if the target existed
+     */
+    removeTarget(id) {
+        return this._targets.delete(id);
+    }
+
+    /**
+     * Get the targets and their statistics
+     *
+     * @returns {Array<ForwardingTarget & {stats: ForwardingTargetStatistics}>} Targets
+     */
+    getTargets() {
+        return Array.from(this._targets.values()).map(({ config, stats }) => ({
+            ...config,
+            stats: { ...stats }
+        }));
+    }
+
+    /**
+     * Forward a packet to every target that accepts it
+     *
+     * @param {Buffer} buffer - Raw packet buffer
+     * @param {PacketHeader} header - Parsed packet header
+     */
+    forward(buffer, header) {
+        if (this._targets.size === 0) {
+            return;
+        }
+
+        // Conversions are shared by the targets that want the same format
+        const converted = new Map();
+
+        this._targets.forEach((target) => {
+            const { config, stats } = target;
+
+            if (!this._accepts(target, header.packetId)) {
+                stats.filtered++;
+                return;
+            }
+
+            let packet = buffer;
+            if (config.packetFormat !== undefined && config.packetFormat !== header.packetFormat) {
+                if (!converted.has(config.packetFormat)) {
+                    converted.set(config.packetFormat, this._convert(buffer, config.packetFormat, config.id));
+                }
+                packet = converted.get(config.packetFormat);
+
+                if (packet === null) {
+                    stats.unconvertible++;
+                    return;
+                }
+                if (packet instanceof Error) {
+                    stats.failed++;
+                    return;
+                }
+            }
+
+            this._send(target, packet);
+        });
+    }
+
+    /**
+     * Close the forwarding socket
+     * A new socket is created if packets are forwarded again
+     */
+    close() {
+        if (this._socket) {
+            this._socket.close();
+            this._socket = null;
+        }
+    }
+
+    /**
+     * Apply the allowlist and decimation of a target
+     *
+     * @private
+     * @param {Object} target - Target state
+     * @param {number} packetId - Packet type identifier
+     * @returns {boolean} True if the packet should be forwarded
+     */
+    _accepts(target, packetId) {
+        if (target.packetIds && !target.packetIds.has(packetId)) {
+            return false;
+        }
+
+        const { decimation } = target.config;
+        if (decimation === 1 || UNDECIMATED_PACKET_IDS.has(packetId)) {
+            return true;
+        }
+
+        const count = target.counters[packetId] || 0;
+        target.counters[packetId] = count + 1;
+        return count % decimation === 0;
+    }
+
+    /**
+     * Convert a packet, turning encoding errors into a value
+     *
+     * @private
+     * @param {Buffer} buffer - Raw packet buffer
+     * @param {number} packetFormat - Target packet format
+     * @param {string} id - Target identifier, for the warning
+     * @returns {Buffer|null|Error} Converted packet, null if not representable, or the error
+     */
+    _convert(buffer, packetFormat, id) {
+        try {
+            return convertPacket(buffer, packetFormat);
+        } catch (err) {
+            this._warn(id, `convert:${buffer.readUInt8(6)}`, `Could not convert packet ${buffer.readUInt8(6)} to format ${packetFormat} for "${id}": ${err.message}`);
+            return err;
+        }
+    }
+
+    /**
+     * Send a packet to a target
+     *
+     * @private
+     * @param {Object} target - Target state
+     * @param {Buffer} packet - Packet to send
+     */
+    _send(target, packet) {
+        const { config, stats } = target;
+
+        if (!this._socket) {
+            this._socket = dgram.createSocket('udp4');
+            this._socket.on('error', (err) => this._warn('socket', err.code, `Forwarding socket error: ${err.message}`));
+        }
+
+        this._socket.send(packet, config.port, config.address, (err) => {
+            if (err) {
+                stats.failed++;
+                this._warn(config.id, err.code, `Could not forward to "${config.id}" (${config.address}:${config.port}): ${err.message}`);
+            } else {
+                stats.forwarded++;
+            }
+        });
+    }
+
+    /**
+     * Emit a warning once per target and reason
+     *
+     * @private
+     * @param {string} id - Target identifier
+     * @param {string} reason - Reason of the warning
+     * @param {string} message - Warning message
+     */
+    _warn(id, reason, message) {
+        const key = `${id}:${reason}`;
+        if (this._warned.has(key)) {
+            return;
+        }
+        this._warned.add(key);
+
+        /**
+         * Warning event
+         * @event PacketForwarder#warning
+         * @type {string}
+         */
+        this.emit('warning', message);
+    }
+}
+
+module.exports = {
+    PacketForwarder
+};
@@ -0,0 +1,344 @@
+/**
+ * Packet Loss Tracker
+ *
+ * @description
+ * Detects lost, duplicated and out-of-order packets from the frame identifiers
+ * of the packet header, independently of the send rate. Each packet type is
+ * followed on its own, since most types are not sent on every frame: the
+ * usual frame step of a type is the median of the last gaps between two of
+ * its packets, and a larger gap counts the missing packets in between. Loss
+ * is only counted once a few gaps were seen, and a late packet only cancels
+ * a loss when it falls inside a gap that was counted as lost. A gap of many
+ * steps is a pause and not loss: Motion and Motion Ex packets are only sent
+ * while the player drives, and stop in the garage or the menus.
+ *
+ * `overallFrameIdentifier` never goes back, while `frameIdentifier` rewinds
+ * when the player uses a flashback, so a packet whose frame goes back with a
+ * newer overall frame is a flashback and not a late packet.
+ *
+ * Session History and Tyre Sets carry one car per packet and are followed per
+ * car. Event and Final Classification packets are sent on demand and are only
+ * checked for repeated bytes. Session, Participants and Lobby Info packets are
+ * sent at a varying rate (e.g. Participants on every change and every 5
+ * seconds), so they are checked for duplicates and order but never counted as
+ * lost. Frames are forgotten when the session UID changes.
+ *
+ * @example
+ * ```javascript
+ * const { PacketLossTracker } = require('./PacketLossTracker');
+ * const { parseHeader } = require('./packet-parser');
+ *
+ * const loss = new PacketLossTracker();
+ *
+ * socket.on('message', (msg) => {
+ *   const { lost, flashback } = loss.update(parseHeader(msg), msg);
+ *   if (lost > 0) {
+ *     console.log(`${lost} packets lost`);
+ *   }
+ * });
+ *
+ * console.log(loss.getStatistics().lossRate);
+ * ```
+ *
+ * @module PacketLossTracker
+ */
+
+/** Packet types sent on demand, without a regular frame step */
+const ON_DEMAND_PACKET_IDS = new Set([3, 8]);
+
+/** Packet types sent at a varying rate, without loss detection */
+const IRREGULAR_PACKET_IDS = new Set([1, 4, 9]);
+
+/** Packet types carrying the data of one car, followed per car index */
+const PER_CAR_PACKET_IDS = new Set([11, 12]);
+
+/** Offset of the car index in Session History and Tyre Sets packets (right after the header) */
+const CAR_INDEX_OFFSET = 29;
+
+/** Number of recent gaps the frame step of a packet type is taken from */
+const STEP_SAMPLES = 15;
+
+/** Number of gaps needed before the frame step is trusted to count lost packets */
+const MIN_STEP_SAMPLES = 5;
+
+/**
+ * Rounding margin of a gap in frame steps: a gap counts one lost packet from
+ * 1.75 steps, as types not sent on every frame drift by a frame (e.g. 2, 2, 3, 2)
+ */
+const STEP_JITTER = 0.25;
+
+/**
+ * Frames a packet can arrive late or early by before its stream is considered
+ * restarted (e.g. the game was restarted without a new session UID)
+ */
+const MAX_REORDER_FRAMES = 600;
+
+/** Frame steps a gap can last before it counts as a pause of the packet type instead of loss */
+const MAX_LOST_STEPS = 60;
+
+/**
+ * @typedef {Object} PacketLossCounts
+ * @property {number} received - Packets received
+ * @property {number} lost - Packets missing from the frame sequence
+ * @property {number} duplicated - Packets received twice for the same frame
+ * @property {number} outOfOrder - Packets received after a newer packet of the same type
+ */
+
+/**
+ * @typedef {Object} PacketLossStatistics
+ * @property {number} received - Packets received
+ * @property {number} lost - Packets missing from the frame sequence
+ * @property {number} duplicated - Packets received twice for the same frame
+ * @property {number} outOfOrder - Packets received after a newer packet of the same type
+ * @property {number} flashbacks - Number of flashback rewinds
+ * @property {number} lossRate - Lost packets over expected packets (0 to 1)
+ * @property {Object.<number, PacketLossCounts>} byPacketId - Counts per packet ID
+ */
+
+/**
+ * @typedef {Object} PacketLossResult
+ * @property {number} lost - Packets missing right before this one
+ * @property {boolean} duplicated - Whether this packet was already received
+ * @property {boolean} outOfOrder - Whether this packet arrived after a newer one
+ * @property {boolean} flashback - Whether this packet is the first after a flashback
+ */
+
+/**
+ * Create empty counts
+ *
+ * @private
+ * @returns {PacketLossCounts} Counts
+ */
+function createCounts() {
+    return { received: 0, lost: 0, duplicated: 0, outOfOrder: 0 };
+}
+
+/**
+ * Compute the loss rate of counts
+ *
+ * @private
+ * @param {PacketLossCounts} totals - Counts
+ * @returns {number} Lost packets over expected packets (0 to 1)
+ */
+function lossRate(totals) {
+    const expected = totals.received - totals.duplicated + totals.lost;
+    return expected > 0 ? totals.lost / expected : 0;
+}
+
+/**
+ * Add up the statistics of several trackers, e.g. one per game sending to the receiver
+ *
+ * @param {PacketLossStatistics[]} statistics - Statistics to add up
+ * @returns {PacketLossStatistics} Total statistics
+ */
+function mergeStatistics(statistics) {
+    const totals = createCounts();
+    const byPacketId = {};
+    let flashbacks = 0;
+
+    statistics.forEach((stats) => {
+        flashbacks += stats.flashbacks;
+        Object.keys(totals).forEach((name) => {
+            totals[name] += stats[name];
+        });
+        Object.entries(stats.byPacketId).forEach(([packetId, counts]) => {
+            const merged = byPacketId[packetId] || (byPacketId[packetId] = createCounts());
+            Object.keys(merged).forEach((name) => {
+                merged[name] += counts[name];
+            });
+        });
+    });
+
+    return { ...totals, flashbacks, lossRate: lossRate(totals), byPacketId };
+}
+
+/**
+ * Packet Loss Tracker Class
+ *
+ * @class PacketLossTracker
+ */
+class PacketLossTracker {
+    /**
+     * Create a new tracker
+     *
+     * @constructor
+     */
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Check a packet against the previous packets of its type
+     *
+     * @param {PacketHeader} header - Parsed packet header
+     * @param {Buffer} [buffer] - Raw packet buffer, used to follow per-car packets per car
+     * @returns {PacketLossResult} What was detected for this packet
+     */
+    update(header, buffer) {
+        const { packetId, frameIdentifier, overallFrameIdentifier } = header;
+        const result = { lost: 0, duplicated: false, outOfOrder: false, flashback: false };
+
+        if (header.sessionUID !== this._sessionUID) {
+            this.resetFrames();
+            this._sessionUID = header.sessionUID;
+        }
+
+        if (!this._counts[packetId]) {
+            this._counts[packetId] = createCounts();
+        }
+        const counts = this._counts[packetId];
+        counts.received++;
+
+        // Flashbacks rewind the frame of every packet type, detect them once across all types
+        if (overallFrameIdentifier > this._lastOverallFrame) {
+            if (frameIdentifier < this._lastFrame) {
+                this.flashbacks++;
+                result.flashback = true;
+            }
+            this._lastOverallFrame = overallFrameIdentifier;
+            this._lastFrame = frameIdentifier;
+        }
+
+        const key = PER_CAR_PACKET_IDS.has(packetId) && buffer && buffer.length > CAR_INDEX_OFFSET
+            ? `${packetId}:${buffer.readUInt8(CAR_INDEX_OFFSET)}`
+            : String(packetId);
+        const stream = this._streams.get(key);
+
+        // Bytes of on-demand packets are copied, as the buffer can be handed over to a parsing worker
+        const bytes = ON_DEMAND_PACKET_IDS.has(packetId) && buffer ? Buffer.from(buffer) : null;
+
+        if (!stream || Math.abs(overallFrameIdentifier - stream.overallFrame) > MAX_REORDER_FRAMES) {
+            this._streams.set(key, { overallFrame: overallFrameIdentifier, gaps: [], lostGaps: [], bytes });
+            return result;
+        }
+
+        const gap = overallFrameIdentifier - stream.overallFrame;
+
+        // Several events can be sent in the same frame, only identical bytes are a duplicate
+        if (ON_DEMAND_PACKET_IDS.has(packetId)) {
+            if (gap === 0 && bytes && stream.bytes && bytes.equals(stream.bytes)) {
+                counts.duplicated++;
+                result.duplicated = true;
+            } else if (gap >= 0) {
+                stream.overallFrame = overallFrameIdentifier;
+                stream.bytes = bytes;
+            }
+            return result;
+        }
+
+        if (gap === 0) {
+            counts.duplicated++;
+            result.duplicated = true;
+            return result;
+        }
+
+        if (gap < 0) {
+            counts.outOfOrder++;
+            result.outOfOrder = true;
+
+            // A late packet fills a gap that was counted as lost
+            const lostGap = stream.lostGaps.find(({ from, to, missing }) =>
+                missing > 0 && overallFrameIdentifier > from && overallFrameIdentifier < to);
+            if (lostGap) {
+                lostGap.missing--;
+                counts.lost--;
+            }
+            return result;
+        }
+
+        const previousFrame = stream.overallFrame;
+        stream.overallFrame = overallFrameIdentifier;
+        if (IRREGULAR_PACKET_IDS.has(packetId)) {
+            return result;
+        }
+
+        stream.gaps.push(gap);
+        if (stream.gaps.length > STEP_SAMPLES) {
+            stream.gaps.shift();
+        }
+        if (stream.gaps.length < MIN_STEP_SAMPLES) {
+            return result;
+        }
+
+        const sorted = [...stream.gaps].sort((a, b) => a - b);
+        const step = sorted[Math.floor(sorted.length / 2)];
+
+        // The type was paused, count again from this packet without the pause in the step
+        if (gap > step * MAX_LOST_STEPS) {
+            stream.gaps.pop();
+            stream.lostGaps = [];
+            return result;
+        }
+
+        result.lost = Math.max(0, Math.floor(gap / step + STEP_JITTER) - 1);
+        counts.lost += result.lost;
+
+        // Gaps are kept while their packets can still arrive late
+        stream.lostGaps = stream.lostGaps.filter(({ to, missing }) =>
+            missing > 0 && overallFrameIdentifier - to <= MAX_REORDER_FRAMES);
+        if (result.lost > 0) {
+            stream.lostGaps.push({ from: previousFrame, to: overallFrameIdentifier, missing: result.lost });
+        }
+        return result;
+    }
+
+    /**
+     * Get the loss statistics since the last reset
+     *
+     * @returns {PacketLossStatistics} Statistics
+     */
+    getStatistics() {
+        const byPacketId = {};
+        const totals = createCounts();
+
+        Object.entries(this._counts).forEach(([packetId, counts]) => {
+            byPacketId[packetId] = { ...counts };
+            Object.keys(totals).forEach((name) => {
+                totals[name] += counts[name];
+            });
+        });
+
+        return {
+            ...totals,
+            flashbacks: this.flashbacks,
+            lossRate: lossRate(totals),
+            byPacketId
+        };
+    }
+
+    /**
+     * Forget the previous frames, keeping the counts
+     * Done automatically when the session UID changes, as frames start again from zero
+     */
+    resetFrames() {
+        /** @private */
+        this._sessionUID = null;
+        /** @private Last frame, recent gaps and gaps counted as lost per packet type (or type and car) */
+        this._streams = new Map();
+        /** @private */
+        this._lastOverallFrame = -1;
+        /** @private */
+        this._lastFrame = -1;
+    }
+
+    /**
+     * Clear all counts and frames
+     */
+    reset() {
+        /** @private Counts per packet ID */
+        this._counts = {};
+
+        /**
+         * Number of flashback rewinds
+         * @type {number}
+         */
+        this.flashbacks = 0;
+
+        this.resetFrames();
+    }
+}
+
+module.exports = {
+    PacketLossTracker,
+    mergeStatistics
+};
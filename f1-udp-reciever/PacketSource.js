@@ -0,0 +1,418 @@
+/**
+ * Packet Source
+ *
+ * @description
+ * One game sending to the receiver: the packets of one address and port for
+ * one session UID. When several rigs send to the same port, F1UDPService with
+ * `demultiplex` enabled gives each of them a source with its own statistics,
+ * packet loss and session state, and emits the source's packets on it only.
+ *
+ * A source follows the session of its game: it emits `session:start` on its
+ * first packet or an SSTA event, `session:end` on an SEND event, a timeout or
+ * when it is closed, and `packetLoss` and `flashback` from its own frame
+ * sequence. With `coalesceFrames` it groups its own packets into `frame`
+ * events, so the frames of several rigs are not mixed.
+ *
+ * A source whose session timed out stays listed and resumes the session on its
+ * next packet, so listeners keep receiving packets after a pause in the menus.
+ * A rig starting a new session gets a new source, as its session UID changes.
+ *
+ * @example
+ * ```javascript
+ * const service = new F1UDPService({ port: 20777, demultiplex: true });
+ *
+ * service.on('source:added', (source) => {
+ *   console.log(`New game at ${source.address}:${source.port}`);
+ *   source.on('packet:lapdata', ({ header }) => {
+ *     const car = source.state.getCar(header.playerCarIndex);
+ *     console.log(source.key, car && car.lapData.currentLapNum);
+ *   });
+ * });
+ *
+ * console.log(service.getSources());
+ * ```
+ *
+ * @module PacketSource
+ */
+
+const EventEmitter = require('events');
+const { parseEvent } = require('./packet-parser');
+const { PacketLossTracker } = require('./PacketLossTracker');
+const { FrameCoalescer } = require('./FrameCoalescer');
+const { SessionState } = require('./SessionState');
+
+/** Event packet ID */
+const EVENT_PACKET_ID = 3;
+
+/**
+ * @typedef {Object} SourceInfo
+ * @property {string} key - Source key, "address:port/sessionUID"
+ * @property {string} address - Address the packets are sent from
+ * @property {number} port - Port the packets are sent from
+ * @property {bigint} sessionUID - Unique identifier of the session
+ * @property {number} packetFormat - Packet format of the game
+ * @property {number} playerCarIndex - Index of the player car
+ * @property {number} firstPacketTime - Local timestamp of the first packet
+ * @property {number} lastPacketTime - Local timestamp of the last packet
+ * @property {number} packetsReceived - Packets received
+ * @property {boolean} active - Whether packets can still arrive for the source
+ */
+
+/**
+ * @typedef {Object} SourceStatistics
+ * @property {number} packetsReceived - Packets received
+ * @property {number} bytesReceived - Bytes received
+ * @property {Object.<string, number>} packetCounts - Count of each packet type received
+ * @property {Object.<string, number>} byteCounts - Bytes received for each packet type
+ * @property {PacketLossStatistics} packetLoss - Lost, duplicated and out-of-order packets of this
+ * source, with counts per packet ID in `byPacketId`
+ */
+
+/**
+ * Build the key of a source
+ *
+ * @param {string} address - Address the packets are sent from
+ * @param {number} port - Port the packets are sent from
+ * @param {bigint} sessionUID - Unique identifier of the session
+ * @returns {string} Source key
+ */
+function sourceKey(address, port, sessionUID) {
+    return `${address}:${port}/${sessionUID}`;
+}
+
+/**
+ * Packet Source Class
+ *
+ * @class PacketSource
+ * @extends EventEmitter
+ *
+ * @fires PacketSource#packet - Any packet of the source
+ * @fires PacketSource#packet:* - Packet of the source by type, e.g. packet:cartelemetry
+ * @fires PacketSource#session:start - Session started, on the first packet or an SSTA event
+ * @fires PacketSource#session:end - Session ended by an SEND event, a timeout or the source closing
+ * @fires PacketSource#packetLoss - Packets missing from the frame sequence of the source
+ * @fires PacketSource#flashback - The session of the source rewound
+ * @fires PacketSource#frame - All packets of a game frame of the source (only with `coalesceFrames`)
+ * @fires PacketSource#closed - No more packets are expected
+ */
+class PacketSource extends EventEmitter {
+    /**
+     * Create a source from its first packet
+     *
+     * @constructor
+     * @param {PacketData} packetData - First packet of the source
+     * @param {Object} [options={}] - Options
+     * @param {boolean} [options.coalesceFrames=false] - Emit one `frame` event with all packets of each game frame
+     * @param {number} [options.frameFlushTimeout=20] - Milliseconds to wait for more packets of the last frame
+     */
+    constructor(packetData, options = {}) {
+        super();
+
+        const { rinfo, header, timestamp } = packetData;
+
+        /** @type {string} */
+        this.key = sourceKey(rinfo.address, rinfo.port, header.sessionUID);
+        /** @type {string} */
+        this.address = rinfo.address;
+        /** @type {number} */
+        this.port = rinfo.port;
+        /** @type {bigint} */
+        this.sessionUID = header.sessionUID;
+        /** @type {number} */
+        this.packetFormat = header.packetFormat;
+        /** @type {number} */
+        this.playerCarIndex = header.playerCarIndex;
+        /** @type {number} */
+        this.firstPacketTime = timestamp;
+        /** @type {number} */
+        this.lastPacketTime = timestamp;
+        /** @type {boolean} */
+        this.active = true;
+
+        /**
+         * Session and cars of this source only
+         * @type {SessionState}
+         */
+        this.state = new SessionState();
+
+        /** @private */
+        this._stats = { packetsReceived: 0, bytesReceived: 0, packetCounts: {}, byteCounts: {} };
+        /** @private */
+        this._packetLoss = new PacketLossTracker();
+        /**
+         * Current or last session of the source
+         * @private
+         * @type {SessionInfo|null}
+         */
+        this._session = null;
+
+        /** @private */
+        this._frames = null;
+        if (options.coalesceFrames) {
+            this._frames = new FrameCoalescer({ flushTimeout: options.frameFlushTimeout });
+            this._frames.on('frame', (frame) => {
+                /**
+                 * Frame event, as F1UDPService#frame
+                 * @event PacketSource#frame
+                 * @type {Frame}
+                 */
+                this.emit('frame', frame);
+            });
+        }
+    }
+
+    /**
+     * Add a packet of this source and emit it
+     *
+     * @param {PacketData} packetData - Packet data
+     */
+    handlePacket(packetData) {
+        const { buffer, header, packetType, timestamp } = packetData;
+
+        this.lastPacketTime = timestamp;
+        this.playerCarIndex = header.playerCarIndex;
+
+        this._stats.packetsReceived++;
+        this._stats.bytesReceived += buffer.length;
+        this._stats.packetCounts[packetType] = (this._stats.packetCounts[packetType] || 0) + 1;
+        this._stats.byteCounts[packetType] = (this._stats.byteCounts[packetType] || 0) + buffer.length;
+
+        if (!this._session) {
+            this._startSession(header, timestamp, false);
+        } else if (this._session.endReason === 'timeout') {
+            this._startSession(header, timestamp, true);
+        }
+        this._session.packetsReceived++;
+
+        this._checkPacketLoss(buffer, header, packetType);
+
+        this.state.handlePacket(packetData);
+
+        const { info } = this.state.session;
+        if (info && this._session.sessionType === null) {
+            this._session.sessionType = info.sessionType;
+            this._session.trackId = info.trackId;
+        }
+
+        /**
+         * Packet event
+         * @event PacketSource#packet
+         * @type {PacketData}
+         */
+        this.emit('packet', packetData);
+
+        /**
+         * Specific packet type event
+         * @event PacketSource#packet:*
+         * @type {PacketData}
+         */
+        this.emit(`packet:${packetType.toLowerCase()}`, packetData);
+
+        if (this._frames) {
+            this._frames.add(packetData);
+        }
+
+        if (header.packetId === EVENT_PACKET_ID) {
+            const event = packetData.data || parseEvent(buffer);
+            const code = event && event.eventStringCode;
+
+            if (code === 'SSTA' && !this._session.active) {
+                this._startSession(header, timestamp, false);
+            } else if (code === 'SEND') {
+                this._endSession('ended', timestamp);
+            }
+        }
+    }
+
+    /**
+     * Check the frame identifiers of a packet for lost packets and flashbacks
+     *
+     * @private
+     * @param {Buffer} buffer - Raw packet buffer
+     * @param {PacketHeader} header - Parsed packet header
+     * @param {string} packetType - Packet type name
+     */
+    _checkPacketLoss(buffer, header, packetType) {
+        const { lost, flashback } = this._packetLoss.update(header, buffer);
+
+        if (flashback) {
+            /**
+             * Flashback event, as F1UDPService#flashback
+             * @event PacketSource#flashback
+             * @type {Object}
+             */
+            this.emit('flashback', {
+                frameIdentifier: header.frameIdentifier,
+                overallFrameIdentifier: header.overallFrameIdentifier,
+                header
+            });
+        }
+
+        if (lost > 0) {
+            /**
+             * Packet loss event, as F1UDPService#packetLoss
+             * @event PacketSource#packetLoss
+             * @type {Object}
+             */
+            this.emit('packetLoss', { packetType, lost, header });
+        }
+    }
+
+    /**
+     * Start a session of the source
+     *
+     * @private
+     * @param {PacketHeader} header - Header of the first packet of the session
+     * @param {number} now - Local timestamp
+     * @param {boolean} resumed - Whether the session resumes after a timeout
+     */
+    _startSession(header, now, resumed) {
+        const { info } = this.state.session;
+
+        this._session = {
+            sessionUID: header.sessionUID,
+            packetFormat: header.packetFormat,
+            gameYear: header.gameYear,
+            playerCarIndex: header.playerCarIndex,
+            sessionType: info ? info.sessionType : null,
+            trackId: info ? info.trackId : null,
+            startTime: now,
+            endTime: null,
+            packetsReceived: 0,
+            resumed,
+            active: true,
+            endReason: null
+        };
+
+        /**
+         * Session start event, as F1UDPService#session:start
+         * @event PacketSource#session:start
+         * @type {SessionInfo}
+         */
+        this.emit('session:start', { ...this._session });
+    }
+
+    /**
+     * End the active session of the source, if any
+     *
+     * @private
+     * @param {string} reason - 'sessionChanged', 'ended', 'timeout' or 'stopped'
+     * @param {number} now - Local timestamp
+     */
+    _endSession(reason, now) {
+        // The last frame belongs to the ending session
+        if (this._frames) {
+            this._frames.flush();
+        }
+
+        if (!this._session || !this._session.active) {
+            return;
+        }
+
+        this._session.active = false;
+        this._session.endReason = reason;
+        this._session.endTime = reason === 'timeout' ? this.lastPacketTime : now;
+
+        /**
+         * Session end event, as F1UDPService#session:end
+         * @event PacketSource#session:end
+         * @type {SessionInfo}
+         * @property {number} duration - Session duration in milliseconds
+         */
+        this.emit('session:end', {
+            ...this._session,
+            duration: this._session.endTime - this._session.startTime
+        });
+    }
+
+    /**
+     * End the session after no packet was received for the session timeout
+     * The source stays open and resumes the session on its next packet
+     *
+     * @param {number} now - Local timestamp
+     */
+    timeout(now) {
+        this._endSession('timeout', now);
+    }
+
+    /**
+     * Get the session of the source
+     *
+     * @returns {SessionInfo|null} Current or last session, or null before the first packet
+     */
+    getSession() {
+        return this._session ? { ...this._session } : null;
+    }
+
+    /**
+     * Get the source description
+     *
+     * @returns {SourceInfo} Source information
+     */
+    getInfo() {
+        return {
+            key: this.key,
+            address: this.address,
+            port: this.port,
+            sessionUID: this.sessionUID,
+            packetFormat: this.packetFormat,
+            playerCarIndex: this.playerCarIndex,
+            firstPacketTime: this.firstPacketTime,
+            lastPacketTime: this.lastPacketTime,
+            packetsReceived: this._stats.packetsReceived,
+            active: this.active
+        };
+    }
+
+    /**
+     * Get the statistics of this source
+     *
+     * @returns {SourceStatistics} Statistics
+     */
+    getStatistics() {
+        return {
+            packetsReceived: this._stats.packetsReceived,
+            bytesReceived: this._stats.bytesReceived,
+            packetCounts: { ...this._stats.packetCounts },
+            byteCounts: { ...this._stats.byteCounts },
+            packetLoss: this._packetLoss.getStatistics()
+        };
+    }
+
+    /**
+     * Clear the packet and loss counts of this source
+     */
+    resetStatistics() {
+        this._stats = { packetsReceived: 0, bytesReceived: 0, packetCounts: {}, byteCounts: {} };
+        this._packetLoss.reset();
+    }
+
+    /**
+     * Mark the source as closed, ending its session
+     *
+     * @param {string} reason - 'sessionChanged', 'timeout' or 'stopped'
+     */
+    close(reason) {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        this._endSession(reason, Date.now());
+        if (this._frames) {
+            this._frames.clear();
+        }
+
+        /**
+         * Closed event
+         * @event PacketSource#closed
+         * @type {Object}
+         * @property {string} reason - 'sessionChanged', 'timeout' or 'stopped'
+         */
+        this.emit('closed', { reason });
+    }
+}
+
+module.exports = {
+    PacketSource,
+    sourceKey
+};
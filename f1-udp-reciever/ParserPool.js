@@ -0,0 +1,411 @@
+/**
+ * Parser Pool
+ *
+ * @description
+ * Decodes packets in a pool of worker threads, so full decoding of every
+ * packet type at 60 Hz does not compete with WebSocket and UI work on the
+ * main event loop. Packet buffers are transferred to the workers and back
+ * instead of being copied; a buffer cannot be read while its packet is being
+ * decoded.
+ *
+ * Packets received in the same event loop turn are sent to the least busy
+ * worker in one message, as a message per packet costs more than decoding
+ * it. Results are released in arrival order across all packet types, so
+ * events and session changes are delivered in the order the game sent them.
+ *
+ * The decoded payloads are copied back to the main thread, which takes most
+ * of the time decoding them there would. The pool only pays off with spare
+ * CPU cores and a busy main thread: run the benchmark on the target machine.
+ *
+ * Usage (benchmark):
+ *   node ParserPool.js --benchmark [--workers 2] [--packets 20000]
+ *
+ * @example
+ * ```javascript
+ * const { ParserPool } = require('./ParserPool');
+ *
+ * const pool = new ParserPool({ size: 2 });
+ *
+ * socket.on('message', async (msg) => {
+ *   const header = parseHeader(msg);
+ *   const { buffer, data } = await pool.parse(msg, header);
+ *   console.log(header.packetId, data);
+ * });
+ *
+ * await pool.close();
+ * ```
+ *
+ * @module ParserPool
+ */
+
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+const { performance } = require('perf_hooks');
+
+/** Worker thread entry point */
+const WORKER_PATH = path.join(__dirname, 'parse-worker.js');
+
+/** Most packets sent to a worker in one message */
+const MAX_BATCH_SIZE = 64;
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {Buffer} buffer - Raw packet buffer, handed back by the worker
+ * @property {Object|null} data - Decoded payload without the header, null if the packet
+ * has no known layout or could not be decoded
+ * @property {boolean} failed - Whether the packet has a known layout but could not be decoded
+ */
+
+/**
+ * @typedef {Object} ParserPoolStatistics
+ * @property {number} size - Number of workers
+ * @property {number} parsed - Packets decoded
+ * @property {number} failed - Packets that could not be decoded, or were lost with a worker
+ * @property {number} copied - Buffers copied because they shared memory with other data
+ * @property {number} batches - Messages sent to the workers
+ * @property {number} pending - Packets waiting for a worker or for an older packet
+ */
+
+/**
+ * Parser Pool Class
+ *
+ * @class ParserPool
+ * @extends EventEmitter
+ *
+ * @fires ParserPool#warning - A worker stopped unexpectedly and was replaced
+ * @fires ParserPool#drain - No packet is pending
+ */
+class ParserPool extends EventEmitter {
+    /**
+     * Create a new pool and start its workers
+     *
+     * @constructor
+     * @param {Object} [options={}] - Options
+     * @param {number} [options.size] - Number of workers, one less than the CPU count by default (at least 1)
+     */
+    constructor(options = {}) {
+        super();
+
+        /** @type {number} */
+        this.size = Math.max(1, Math.floor(options.size || os.cpus().length - 1));
+
+        /** @type {ParserPoolStatistics} */
+        this.stats = { size: this.size, parsed: 0, failed: 0, copied: 0, batches: 0, pending: 0 };
+
+        /** @private Workers and the jobs they are decoding, by job id */
+        this._workers = [];
+        /** @private Jobs in arrival order, until they are settled */
+        this._queue = [];
+        /** @private Jobs waiting to be sent to a worker */
+        this._batch = [];
+        /** @private */
+        this._batchImmediate = null;
+        /** @private */
+        this._nextId = 1;
+        /** @private */
+        this._closing = null;
+
+        for (let i = 0; i < this.size; i++) {
+            this._spawn();
+        }
+    }
+
+    /**
+     * Decode a packet in a worker
+     * The buffer is transferred to the worker, use the buffer of the result afterwards
+     *
+     * @param {Buffer} buffer - Raw packet buffer
+     * @param {PacketHeader} header - Parsed packet header
+     * @returns {Promise<ParseResult>} Resolves after the older packets
+     * @throws {Error} If the pool is closing
+     */
+    parse(buffer, header) {
+        if (this._closing) {
+            return Promise.reject(new Error('Parser pool is closed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            // Buffers sharing their memory (e.g. slices of a larger buffer) are copied before transfer
+            let arrayBuffer = buffer.buffer;
+            if (buffer.byteOffset !== 0 || buffer.byteLength !== arrayBuffer.byteLength) {
+                arrayBuffer = new Uint8Array(buffer).buffer;
+                this.stats.copied++;
+            }
+
+            const job = { id: this._nextId++, buffer: arrayBuffer, header, resolve, reject, result: null, error: null };
+            this._queue.push(job);
+            this._batch.push(job);
+            this.stats.pending++;
+
+            if (this._batch.length >= MAX_BATCH_SIZE) {
+                this._sendBatch();
+            } else if (!this._batchImmediate) {
+                this._batchImmediate = setImmediate(() => this._sendBatch());
+            }
+        });
+    }
+
+    /**
+     * Get the pool statistics
+     *
+     * @returns {ParserPoolStatistics} Statistics
+     */
+    getStatistics() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Wait for the packets being decoded, then stop the workers
+     *
+     * @async
+     * @returns {Promise<void>} Resolves when the workers have stopped
+     */
+    async close() {
+        if (!this._closing) {
+            this._closing = new Promise((resolve) => {
+                if (this.stats.pending === 0) {
+                    resolve();
+                } else {
+                    this.once('drain', resolve);
+                }
+            }).then(() => Promise.all(this._workers.map((worker) => {
+                worker.stopping = true;
+                return worker.thread.terminate();
+            })));
+        }
+
+        await this._closing;
+    }
+
+    /**
+     * Send the waiting jobs to the least busy worker
+     *
+     * @private
+     */
+    _sendBatch() {
+        clearImmediate(this._batchImmediate);
+        this._batchImmediate = null;
+
+        const jobs = this._batch;
+        this._batch = [];
+        if (jobs.length === 0) {
+            return;
+        }
+
+        // Workers that crash while the pool closes are not replaced
+        if (this._workers.length === 0) {
+            const error = new Error('No parser worker running');
+            this.emit('warning', `${error.message}, ${jobs.length} packets lost`);
+            jobs.forEach((job) => {
+                job.error = error;
+                this.stats.failed++;
+            });
+            this._release();
+            return;
+        }
+
+        const worker = this._workers.reduce((idlest, candidate) => (candidate.jobs.size < idlest.jobs.size ? candidate : idlest));
+        const packets = jobs.map(({ id, buffer, header }) => ({ id, buffer, header }));
+        const buffers = packets.map(({ buffer }) => buffer);
+
+        jobs.forEach((job) => {
+            job.buffer = null;
+            worker.jobs.set(job.id, job);
+        });
+        this.stats.batches++;
+        worker.thread.postMessage({ packets }, buffers);
+    }
+
+    /**
+     * Start a worker
+     *
+     * @private
+     */
+    _spawn() {
+        const worker = { thread: new Worker(WORKER_PATH), jobs: new Map(), stopping: false };
+
+        worker.thread.on('message', ({ results }) => {
+            results.forEach(({ id, buffer, data, failed }) => {
+                const job = worker.jobs.get(id);
+                worker.jobs.delete(id);
+
+                job.result = { buffer: Buffer.from(buffer), data, failed };
+                if (failed) {
+                    this.stats.failed++;
+                } else {
+                    this.stats.parsed++;
+                }
+            });
+            this._release();
+        });
+
+        worker.thread.on('error', (err) => this._replace(worker, err));
+
+        // Also stops without an error, e.g. process.exit() or an out of memory abort
+        worker.thread.on('exit', (code) => {
+            if (!worker.stopping && this._workers.includes(worker)) {
+                this._replace(worker, new Error(`exited with code ${code}`));
+            }
+        });
+
+        this._workers.push(worker);
+    }
+
+    /**
+     * Replace a worker that stopped, failing the packets it was decoding
+     * Their buffers were transferred to the worker and are lost
+     *
+     * @private
+     * @param {Object} worker - Worker state
+     * @param {Error} err - Worker error
+     */
+    _replace(worker, err) {
+        this._workers.splice(this._workers.indexOf(worker), 1);
+        if (!this._closing) {
+            this._spawn();
+        }
+
+        /**
+         * Warning event
+         * @event ParserPool#warning
+         * @type {string}
+         */
+        this.emit('warning', `Parser worker stopped (${err.message}), ${worker.jobs.size} packets lost`);
+
+        worker.jobs.forEach((job) => {
+            job.error = err;
+            this.stats.failed++;
+        });
+        worker.jobs.clear();
+        this._release();
+    }
+
+    /**
+     * Settle the decoded jobs at the head of the queue
+     *
+     * @private
+     */
+    _release() {
+        const queue = this._queue;
+
+        while (queue.length > 0 && (queue[0].result || queue[0].error)) {
+            const job = queue.shift();
+            this.stats.pending--;
+
+            if (job.error) {
+                job.reject(job.error);
+            } else {
+                job.resolve(job.result);
+            }
+        }
+
+        if (this.stats.pending === 0) {
+            /**
+             * Drain event
+             * @event ParserPool#drain
+             */
+            this.emit('drain');
+        }
+    }
+}
+
+/**
+ * Compare decoding on the main thread with decoding in a pool
+ * Packets are generated by the simulator, with 22 cars and every packet type
+ *
+ * @async
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.workers] - Pool size, see ParserPool
+ * @param {number} [options.packets=20000] - Number of packets to decode
+ * @returns {Promise<{packets: number, bytes: number, workers: number, mainThread: Object, pool: Object}>}
+ * Packets per second and event loop busy time (ms) of each mode
+ */
+async function benchmark(options = {}) {
+    // Required here, the simulator is only needed to generate benchmark packets
+    const { F1Simulator } = require('./F1Simulator');
+    const { parseHeader, parsePacket } = require('./packet-parser');
+
+    const count = options.packets || 20000;
+    const simulator = new F1Simulator({ sendRate: 60, seed: 1 });
+    const packets = [];
+    while (packets.length < count) {
+        const frame = simulator.tick();
+        if (frame.length === 0) {
+            simulator.reset();
+        }
+        packets.push(...frame);
+    }
+    packets.length = count;
+
+    const headers = packets.map((buffer) => parseHeader(buffer));
+    const bytes = packets.reduce((total, buffer) => total + buffer.length, 0);
+
+    // Main thread: the event loop is busy for the whole decoding
+    packets.slice(0, 1000).forEach((buffer, i) => parsePacket(buffer, headers[i]));
+    let start = performance.now();
+    packets.forEach((buffer, i) => parsePacket(buffer, headers[i]));
+    const inlineTime = performance.now() - start;
+
+    // Pool: only dispatching and receiving results keeps the event loop busy
+    const pool = new ParserPool({ size: options.workers });
+    await Promise.all(packets.slice(0, pool.size * 10).map((buffer, i) => pool.parse(Buffer.from(buffer), headers[i])));
+
+    const utilization = performance.eventLoopUtilization();
+    start = performance.now();
+    await Promise.all(packets.map((buffer, i) => pool.parse(buffer, headers[i])));
+    const poolTime = performance.now() - start;
+    const { active } = performance.eventLoopUtilization(utilization);
+    await pool.close();
+
+    return {
+        packets: count,
+        bytes,
+        workers: pool.size,
+        mainThread: { packetsPerSecond: count / (inlineTime / 1000), busyTime: inlineTime },
+        pool: { packetsPerSecond: count / (poolTime / 1000), busyTime: active }
+    };
+}
+
+// Command line usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+    };
+
+    if (!args.includes('--benchmark')) {
+        console.log('Usage: node ParserPool.js --benchmark [--workers N] [--packets N]');
+        process.exit(1);
+    }
+
+    console.log('⏱️  Benchmarking packet decoding...\n');
+
+    benchmark({
+        workers: parseInt(option('workers', '0')) || undefined,
+        packets: parseInt(option('packets', '20000'))
+    }).then(({ packets, bytes, workers, mainThread, pool }) => {
+        const busyGain = 100 * (1 - pool.busyTime / mainThread.busyTime);
+
+        console.log(`📦 ${packets} packets (${(bytes / 1024 / 1024).toFixed(1)} MB)\n`);
+        console.log(`   Main thread: ${Math.round(mainThread.packetsPerSecond)} packets/s, event loop busy ${mainThread.busyTime.toFixed(0)} ms`);
+        console.log(`   ${workers} worker${workers > 1 ? 's' : ''}:   ${Math.round(pool.packetsPerSecond)} packets/s, event loop busy ${pool.busyTime.toFixed(0)} ms`);
+        console.log(`\n📈 Throughput x${(pool.packetsPerSecond / mainThread.packetsPerSecond).toFixed(2)}, event loop time ${busyGain >= 0 ? 'saved' : 'added'}: ${Math.abs(busyGain).toFixed(0)}%`);
+        if (os.cpus().length < 2) {
+            console.log('   ⚠️  Single CPU: workers share the core with the main thread');
+        }
+        if (busyGain < 0) {
+            console.log('   💡 Decoding on the main thread is cheaper here, keep parseWorkers at 0');
+        }
+    }).catch((error) => {
+        console.error('❌ Benchmark failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    ParserPool,
+    benchmark
+};
@@ -0,0 +1,156 @@
+/**
+ * Per-Car Tracker
+ *
+ * @description
+ * Base class of the trackers of packets the game sends for one car at a
+ * time, cycling through the grid (Session History, Tyre Sets). It keeps the
+ * latest value decoded for each car index, clears them when a new session
+ * starts and can listen to a service directly with `attach()`.
+ *
+ * Subclasses pass the packet type and decoder to the constructor and
+ * implement `update()`, which stores the value with `_set()` and emits their
+ * own events.
+ *
+ * @module PerCarTracker
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Per-Car Tracker Class
+ *
+ * @class PerCarTracker
+ * @extends EventEmitter
+ *
+ * @fires PerCarTracker#reset - All cars cleared
+ */
+class PerCarTracker extends EventEmitter {
+    /**
+     * Create a new tracker
+     *
+     * @constructor
+     * @param {string} packetType - Packet type name, as in the `packet:*` events of F1UDPService
+     * @param {function(Buffer): (Object|null)} decode - Decodes a packet into a value with a `carIdx`
+     */
+    constructor(packetType, decode) {
+        super();
+
+        /** @type {string} */
+        this.packetType = packetType;
+
+        /**
+         * Latest value per car index
+         * @type {Map<number, Object>}
+         */
+        this.cars = new Map();
+
+        /** @private */
+        this._decode = decode;
+        /** @private */
+        this._sessionUID = null;
+        /** @private */
+        this._detach = null;
+    }
+
+    /**
+     * Update the tracker from the packets received by a service
+     * The tracker is cleared on every new session, but kept when a session resumes
+     *
+     * @param {F1UDPService|PacketSource} service - Service, or a source of a demultiplexing service
+     * @returns {function(): void} Function that stops listening
+     */
+    attach(service) {
+        if (this._detach) {
+            this._detach();
+        }
+
+        const eventName = `packet:${this.packetType.toLowerCase()}`;
+        const onPacket = (packetData) => this.handlePacket(packetData);
+        const onSessionStart = ({ resumed }) => {
+            if (!resumed) {
+                this.reset();
+            }
+        };
+        service.on(eventName, onPacket);
+        service.on('session:start', onSessionStart);
+
+        this._detach = () => {
+            service.removeListener(eventName, onPacket);
+            service.removeListener('session:start', onSessionStart);
+            this._detach = null;
+        };
+        return this._detach;
+    }
+
+    /**
+     * Stop listening to the attached service
+     */
+    detach() {
+        if (this._detach) {
+            this._detach();
+        }
+    }
+
+    /**
+     * Handle a packet received from F1UDPService
+     * The tracker is cleared when the packet belongs to a new session
+     *
+     * @param {PacketData} packetData - Packet data
+     * @returns {Object|null} Decoded value, or null if the packet could not be decoded
+     */
+    handlePacket(packetData) {
+        const { header, buffer } = packetData;
+
+        if (this._sessionUID !== null && header.sessionUID !== this._sessionUID) {
+            this.reset();
+        }
+        this._sessionUID = header.sessionUID;
+
+        const value = this._decode(buffer);
+        if (value) {
+            this.update(value);
+        }
+        return value;
+    }
+
+    /**
+     * Store the value of one car, implemented by subclasses
+     *
+     * @abstract
+     * @param {Object} value - Decoded value with a `carIdx`
+     */
+    update(value) {
+        this._set(value);
+    }
+
+    /**
+     * Store the value of one car
+     *
+     * @protected
+     * @param {Object} value - Decoded value with a `carIdx`
+     * @returns {Object|undefined} Previous value of the car
+     */
+    _set(value) {
+        const previous = this.cars.get(value.carIdx);
+        this.cars.set(value.carIdx, value);
+        return previous;
+    }
+
+    /**
+     * Clear all cars
+     */
+    reset() {
+        this.cars.clear();
+        this._sessionUID = null;
+
+        /**
+         * Reset event
+         * @event PerCarTracker#reset
+         */
+        this.emit('reset');
+    }
+}
+
+module.exports = {
+    PerCarTracker
+};
@@ -0,0 +1,136 @@
+/**
+ * Session History Tracker
+ *
+ * @description
+ * Accumulates Session History packets (packet 11) into the complete lap list
+ * and tyre stints of every car. The game sends the history of one car per
+ * packet, cycling through the grid, so the tracker keeps the latest history
+ * received for each car index.
+ *
+ * @example
+ * ```javascript
+ * const { F1UDPService } = require('./F1UDPService');
+ * const { SessionHistoryTracker } = require('./SessionHistoryTracker');
+ *
+ * const service = new F1UDPService({ port: 20777 });
+ * const history = new SessionHistoryTracker();
+ *
+ * history.attach(service);
+ * history.on('lapCompleted', ({ carIdx, lap }) => {
+ *   console.log(`Car ${carIdx} completed lap ${lap.lapNum} in ${lap.lapTimeInMS}ms`);
+ * });
+ *
+ * await service.start();
+ * ```
+ *
+ * @module SessionHistoryTracker
+ */
+
+const { PerCarTracker } = require('./PerCarTracker');
+const { parseSessionHistory } = require('./packet-parser');
+
+/**
+ * Session History Tracker Class
+ *
+ * @class SessionHistoryTracker
+ * @extends PerCarTracker
+ *
+ * @fires SessionHistoryTracker#updated - History of a car updated
+ * @fires SessionHistoryTracker#lapCompleted - A car completed a new lap
+ * @fires PerCarTracker#reset - All histories cleared
+ */
+class SessionHistoryTracker extends PerCarTracker {
+    /**
+     * Create a new tracker
+     *
+     * @constructor
+     */
+    constructor() {
+        super('SessionHistory', parseSessionHistory);
+
+        /**
+         * Latest history per car index
+         * @type {Map<number, SessionHistory>}
+         */
+        this.histories = this.cars;
+    }
+
+    /**
+     * Store the history of one car
+     *
+     * @param {SessionHistory} history - Parsed session history
+     */
+    update(history) {
+        const previous = this._set(history);
+
+        /**
+         * History updated event
+         * @event SessionHistoryTracker#updated
+         * @type {SessionHistory}
+         */
+        this.emit('updated', history);
+
+        history.laps.forEach((lap, i) => {
+            const previousLap = previous && previous.laps[i];
+            if (lap.lapTimeInMS > 0 && !(previousLap && previousLap.lapTimeInMS > 0)) {
+                /**
+                 * Lap completed event
+                 * @event SessionHistoryTracker#lapCompleted
+                 * @type {Object}
+                 * @property {number} carIdx - Index of the car
+                 * @property {LapHistory} lap - The completed lap
+                 */
+                this.emit('lapCompleted', { carIdx: history.carIdx, lap });
+            }
+        });
+    }
+
+    /**
+     * Get the history of one car
+     *
+     * @param {number} carIdx - Car index
+     * @returns {SessionHistory|null} History, or null if none was received yet
+     */
+    getCarHistory(carIdx) {
+        return this.histories.get(carIdx) || null;
+    }
+
+    /**
+     * Get the completed laps of one car
+     *
+     * @param {number} carIdx - Car index
+     * @returns {LapHistory[]} Laps with a recorded lap time
+     */
+    getCompletedLaps(carIdx) {
+        const history = this.histories.get(carIdx);
+        return history ? history.laps.filter((lap) => lap.lapTimeInMS > 0) : [];
+    }
+
+    /**
+     * Get the best lap of one car
+     *
+     * @param {number} carIdx - Car index
+     * @returns {LapHistory|null} Best lap, or null if no lap was completed
+     */
+    getBestLap(carIdx) {
+        const history = this.histories.get(carIdx);
+        if (!history || history.bestLapTimeLapNum === 0) {
+            return null;
+        }
+        return history.laps[history.bestLapTimeLapNum - 1] || null;
+    }
+
+    /**
+     * Get the histories of all cars
+     *
+     * @returns {SessionHistory[]} Histories, ordered by car index
+     */
+    getAllHistories() {
+        return Array.from(this.histories.values())
+            .sort((a, b) => a.carIdx - b.carIdx);
+    }
+}
+
+module.exports = {
+    SessionHistoryTracker
+};
@@ -0,0 +1,537 @@
+/**
+ * Session State
+ *
+ * @description
+ * Joins every packet type into one model of the session and of each car,
+ * keyed by car index. A car gets its entry from the first packet that carries
+ * data for it, so telemetry, lap data or damage received before the car's
+ * Participants entry is kept and the name is filled in once it arrives.
+ *
+ * Every update emits the fields that changed, so a UI can re-render only what
+ * moved, and `getSnapshot()` returns a copy of the whole model for stores
+ * such as Zustand.
+ *
+ * @example
+ * ```javascript
+ * const { F1UDPService } = require('./F1UDPService');
+ * const { SessionState } = require('./SessionState');
+ *
+ * const service = new F1UDPService({ port: 20777 });
+ * const state = new SessionState();
+ * state.attach(service);
+ *
+ * state.on('car:updated', ({ carIdx, section, changed, car }) => {
+ *   if (section === 'lapData' && changed.includes('carPosition')) {
+ *     console.log(`${car.participant ? car.participant.name : carIdx} is now P${car.lapData.carPosition}`);
+ *   }
+ * });
+ *
+ * useStore.setState({ session: state.getSnapshot() });
+ *
+ * await service.start();
+ * ```
+ *
+ * @module SessionState
+ */
+
+const EventEmitter = require('events');
+const {
+    parsePacket,
+    toSession,
+    toCarDamage,
+    toSessionHistory,
+    toTyreSets,
+    toFinalClassification,
+    toPhysicsChannels,
+    toLobbyPlayers,
+    toTimeTrial
+} = require('./packet-parser');
+const { MAX_CARS } = require('./packet-structs');
+
+/**
+ * @typedef {Object} CarState
+ * @property {number} carIdx - Index of the car
+ * @property {boolean} isPlayer - Whether this is the player car
+ * @property {Object|null} participant - ParticipantData, null until a Participants packet is received
+ * @property {Object|null} motion - CarMotionData
+ * @property {Object|null} lapData - LapData
+ * @property {Object|null} telemetry - CarTelemetryData
+ * @property {Object|null} status - CarStatusData
+ * @property {CarDamage|null} damage - Grouped damage model
+ * @property {Object|null} setup - CarSetupData
+ * @property {SessionHistory|null} history - Laps and tyre stints
+ * @property {TyreSets|null} tyreSets - Tyre set allocation
+ * @property {PhysicsChannels|null} physics - Physics channels (player car only)
+ * @property {RaceResult|null} result - Final classification entry
+ * @property {number|null} lastUpdated - Local timestamp of the last update
+ */
+
+/**
+ * @typedef {Object} SessionModel
+ * @property {bigint|null} sessionUID - Unique identifier of the session
+ * @property {number|null} packetFormat - Packet format of the game
+ * @property {number} playerCarIndex - Index of the player car
+ * @property {number} secondaryPlayerCarIndex - Index of the secondary player car, 255 if none
+ * @property {number} sessionTime - Session timestamp of the last packet
+ * @property {number} frameIdentifier - Frame of the last packet
+ * @property {number|null} numActiveCars - Number of active cars, null until a Participants packet is received
+ * @property {Object|null} info - Decoded Session packet
+ * @property {LobbyPlayer[]|null} lobby - Players of the online lobby
+ * @property {TimeTrial|null} timeTrial - Time trial laps
+ * @property {SessionResults|null} results - Final classification
+ */
+
+/**
+ * @typedef {Object} SessionSnapshot
+ * @property {SessionModel} session - Session model
+ * @property {CarState[]} cars - Cars with data, ordered by car index
+ */
+
+/**
+ * Fields of a car that are updated from a packet with data for every car
+ *
+ * @private
+ * @constant {Object.<number, {section: string, select: function(Object): Object[]}>}
+ */
+const ALL_CARS_PACKETS = {
+    0: { section: 'motion', select: (packet) => packet.carMotionData },
+    2: { section: 'lapData', select: (packet) => packet.lapData },
+    5: { section: 'setup', select: (packet) => packet.carSetups },
+    6: { section: 'telemetry', select: (packet) => packet.carTelemetryData },
+    7: { section: 'status', select: (packet) => packet.carStatusData },
+    10: { section: 'damage', select: (packet) => packet.carDamageData.map(toCarDamage) }
+};
+
+/**
+ * Fields of the session that are replaced by a packet
+ *
+ * @private
+ * @constant {Object.<number, {section: string, select: function(Object): Object}>}
+ */
+const SESSION_PACKETS = {
+    1: { section: 'info', select: toSession },
+    9: { section: 'lobby', select: toLobbyPlayers },
+    14: { section: 'timeTrial', select: toTimeTrial }
+};
+
+/** Packet IDs handled separately */
+const PARTICIPANTS_PACKET_ID = 4;
+const FINAL_CLASSIFICATION_PACKET_ID = 8;
+const SESSION_HISTORY_PACKET_ID = 11;
+const TYRE_SETS_PACKET_ID = 12;
+const MOTION_EX_PACKET_ID = 13;
+
+/** Packet types without data for the state (Event) */
+const IGNORED_PACKET_IDS = new Set([3]);
+
+/**
+ * Deep equality of decoded values (primitives, arrays and plain objects)
+ *
+ * @private
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equal
+ */
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    return keys.every((key) => isEqual(a[key], b[key]));
+}
+
+/**
+ * List the top-level fields that differ between two versions of a section
+ *
+ * @private
+ * @param {Object|null} previous - Previous value
+ * @param {Object|Array} next - New value
+ * @returns {string[]} Names of the changed fields (indexes for arrays)
+ */
+function changedFields(previous, next) {
+    return Object.keys(next).filter((key) => !previous || !isEqual(previous[key], next[key]));
+}
+
+/**
+ * Deep copy of decoded values
+ *
+ * @private
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+    }
+    return value;
+}
+
+/**
+ * Create an empty session model
+ *
+ * @private
+ * @returns {SessionModel} Session model
+ */
+function createSession() {
+    return {
+        sessionUID: null,
+        packetFormat: null,
+        playerCarIndex: 0,
+        secondaryPlayerCarIndex: 255,
+        sessionTime: 0,
+        frameIdentifier: 0,
+        numActiveCars: null,
+        info: null,
+        lobby: null,
+        timeTrial: null,
+        results: null
+    };
+}
+
+/**
+ * Session State Class
+ *
+ * @class SessionState
+ * @extends EventEmitter
+ *
+ * @fires SessionState#car:added - First data received for a car
+ * @fires SessionState#car:updated - Fields of a car changed
+ * @fires SessionState#session:updated - Fields of the session changed
+ * @fires SessionState#reset - State cleared
+ */
+class SessionState extends EventEmitter {
+    /**
+     * Create a new session state
+     *
+     * @constructor
+     */
+    constructor() {
+        super();
+
+        /** @type {SessionModel} */
+        this.session = createSession();
+
+        /**
+         * Cars with data, by car index
+         * @type {Map<number, CarState>}
+         */
+        this.cars = new Map();
+
+        /** @private */
+        this._detach = null;
+    }
+
+    /**
+     * Update the state from every packet received by a service
+     * The service does not need `parse` enabled, packets are decoded here.
+     * The state is cleared on every new session, but kept when a session resumes
+     *
+     * @param {F1UDPService} service - Service to listen to
+     * @returns {function(): void} Function that stops listening
+     */
+    attach(service) {
+        if (this._detach) {
+            this._detach();
+        }
+
+        const onPacket = (packetData) => this.handlePacket(packetData);
+        const onSessionStart = ({ resumed }) => {
+            if (!resumed) {
+                this.reset();
+            }
+        };
+        service.on('packet', onPacket);
+        service.on('session:start', onSessionStart);
+
+        this._detach = () => {
+            service.removeListener('packet', onPacket);
+            service.removeListener('session:start', onSessionStart);
+            this._detach = null;
+        };
+        return this._detach;
+    }
+
+    /**
+     * Stop listening to the attached service
+     */
+    detach() {
+        if (this._detach) {
+            this._detach();
+        }
+    }
+
+    /**
+     * Handle a packet received from F1UDPService
+     * The decoded `data` of the packet is used when the service parses packets,
+     * the buffer is decoded otherwise. The state is cleared when the packet
+     * belongs to a new session
+     *
+     * @param {PacketData} packetData - Packet data
+     */
+    handlePacket(packetData) {
+        const { header, buffer } = packetData;
+        const timestamp = packetData.timestamp || Date.now();
+
+        if (this.session.sessionUID !== null && header.sessionUID !== this.session.sessionUID) {
+            this.reset();
+        }
+
+        this.session.sessionUID = header.sessionUID;
+        this.session.packetFormat = header.packetFormat;
+        this.session.sessionTime = header.sessionTime;
+        this.session.frameIdentifier = header.frameIdentifier;
+        if (header.playerCarIndex !== this.session.playerCarIndex
+            || header.secondaryPlayerCarIndex !== this.session.secondaryPlayerCarIndex) {
+            this.session.playerCarIndex = header.playerCarIndex;
+            this.session.secondaryPlayerCarIndex = header.secondaryPlayerCarIndex;
+            this.cars.forEach((car) => {
+                car.isPlayer = car.carIdx === header.playerCarIndex;
+            });
+        }
+
+        const { packetId } = header;
+        if (IGNORED_PACKET_IDS.has(packetId)) {
+            return;
+        }
+
+        const packet = packetData.data || parsePacket(buffer, header);
+        if (!packet) {
+            return;
+        }
+
+        if (ALL_CARS_PACKETS[packetId]) {
+            const { section, select } = ALL_CARS_PACKETS[packetId];
+            select(packet).slice(0, this._numCars()).forEach((value, carIdx) => {
+                this._updateCar(carIdx, section, value, timestamp);
+            });
+        } else if (SESSION_PACKETS[packetId]) {
+            const { section, select } = SESSION_PACKETS[packetId];
+            this._updateSession(section, select(packet));
+        } else if (packetId === PARTICIPANTS_PACKET_ID) {
+            this._handleParticipants(packet, timestamp);
+        } else if (packetId === FINAL_CLASSIFICATION_PACKET_ID) {
+            const classification = toFinalClassification(packet);
+            this._updateSession('results', classification);
+            classification.results.forEach((result) => {
+                this._updateCar(result.carIdx, 'result', result, timestamp);
+            });
+        } else if (packetId === SESSION_HISTORY_PACKET_ID) {
+            const history = toSessionHistory(packet);
+            this._updateCar(history.carIdx, 'history', history, timestamp);
+        } else if (packetId === TYRE_SETS_PACKET_ID) {
+            const tyreSets = toTyreSets(packet);
+            this._updateCar(tyreSets.carIdx, 'tyreSets', tyreSets, timestamp);
+        } else if (packetId === MOTION_EX_PACKET_ID) {
+            this._updateCar(header.playerCarIndex, 'physics', toPhysicsChannels(packet), timestamp);
+        }
+    }
+
+    /**
+     * Get a car
+     *
+     * @param {number} carIdx - Car index
+     * @returns {CarState|null} Car, or null if no data was received for it yet
+     */
+    getCar(carIdx) {
+        return this.cars.get(carIdx) || null;
+    }
+
+    /**
+     * Get the player car
+     *
+     * @returns {CarState|null} Player car, or null if no data was received for it yet
+     */
+    getPlayerCar() {
+        return this.getCar(this.session.playerCarIndex);
+    }
+
+    /**
+     * Get the cars ordered by race position
+     * Cars without lap data are listed last, by car index
+     *
+     * @returns {CarState[]} Cars
+     */
+    getCarsByPosition() {
+        const position = (car) => (car.lapData && car.lapData.carPosition) || Infinity;
+        return this._sortedCars().sort((a, b) => position(a) - position(b) || a.carIdx - b.carIdx);
+    }
+
+    /**
+     * Get a copy of the whole state, safe to keep or hand to a store
+     *
+     * @returns {SessionSnapshot} Snapshot
+     */
+    getSnapshot() {
+        return {
+            session: clone(this.session),
+            cars: this._sortedCars().map(clone)
+        };
+    }
+
+    /**
+     * Clear the session and every car
+     */
+    reset() {
+        this.session = createSession();
+        this.cars.clear();
+
+        /**
+         * Reset event
+         * @event SessionState#reset
+         */
+        this.emit('reset');
+    }
+
+    /**
+     * Number of cars to keep from packets with data for every car
+     * All 22 slots until Participants tells how many cars are active
+     *
+     * @private
+     * @returns {number} Number of cars
+     */
+    _numCars() {
+        return this.session.numActiveCars === null ? MAX_CARS : this.session.numActiveCars;
+    }
+
+    /**
+     * Cars ordered by car index
+     *
+     * @private
+     * @returns {CarState[]} Cars
+     */
+    _sortedCars() {
+        return Array.from(this.cars.values()).sort((a, b) => a.carIdx - b.carIdx);
+    }
+
+    /**
+     * Handle a Participants packet
+     * Cars beyond the number of active cars are dropped
+     *
+     * @private
+     * @param {Object} packet - Decoded Participants packet
+     * @param {number} timestamp - Local timestamp
+     */
+    _handleParticipants(packet, timestamp) {
+        const numActiveCars = Math.min(packet.numActiveCars, MAX_CARS);
+        if (numActiveCars !== this.session.numActiveCars) {
+            this._updateSession('numActiveCars', numActiveCars);
+            this.cars.forEach((car, carIdx) => {
+                if (carIdx >= numActiveCars) {
+                    this.cars.delete(carIdx);
+                }
+            });
+        }
+
+        packet.participants.slice(0, numActiveCars).forEach((participant, carIdx) => {
+            this._updateCar(carIdx, 'participant', participant, timestamp);
+        });
+    }
+
+    /**
+     * Replace a section of a car and emit the changed fields
+     * Only the replaced section is compared, and only while `car:updated` has listeners
+     *
+     * @private
+     * @param {number} carIdx - Car index
+     * @param {string} section - Section of CarState
+     * @param {Object} value - New value of the section
+     * @param {number} timestamp - Local timestamp
+     */
+    _updateCar(carIdx, section, value, timestamp) {
+        let car = this.cars.get(carIdx);
+        if (!car) {
+            car = {
+                carIdx,
+                isPlayer: carIdx === this.session.playerCarIndex,
+                participant: null,
+                motion: null,
+                lapData: null,
+                telemetry: null,
+                status: null,
+                damage: null,
+                setup: null,
+                history: null,
+                tyreSets: null,
+                physics: null,
+                result: null,
+                lastUpdated: null
+            };
+            this.cars.set(carIdx, car);
+
+            /**
+             * Car added event
+             * @event SessionState#car:added
+             * @type {CarState}
+             */
+            this.emit('car:added', car);
+        }
+
+        const previous = car[section];
+        car[section] = value;
+        car.lastUpdated = timestamp;
+
+        if (this.listenerCount('car:updated') === 0) {
+            return;
+        }
+
+        const changed = changedFields(previous, value);
+        if (changed.length === 0) {
+            return;
+        }
+
+        /**
+         * Car updated event
+         * @event SessionState#car:updated
+         * @type {Object}
+         * @property {number} carIdx - Car index
+         * @property {string} section - Updated section of CarState (e.g. 'telemetry')
+         * @property {string[]} changed - Fields of the section that changed
+         * @property {CarState} car - Updated car
+         */
+        this.emit('car:updated', { carIdx, section, changed, car });
+    }
+
+    /**
+     * Replace a section of the session and emit the changed fields
+     *
+     * @private
+     * @param {string} section - Section of SessionModel
+     * @param {*} value - New value of the section
+     */
+    _updateSession(section, value) {
+        const previous = this.session[section];
+        if (isEqual(previous, value)) {
+            return;
+        }
+
+        const changed = typeof value === 'object' && value !== null ? changedFields(previous, value) : [];
+        this.session[section] = value;
+
+        /**
+         * Session updated event
+         * @event SessionState#session:updated
+         * @type {Object}
+         * @property {string} section - Updated section of SessionModel (e.g. 'info')
+         * @property {string[]} changed - Fields of the section that changed, empty for plain values
+         * @property {SessionModel} session - Updated session
+         */
+        this.emit('session:updated', { section, changed, session: this.session });
+    }
+}
+
+module.exports = {
+    SessionState
+};
@@ -0,0 +1,149 @@
+/**
+ * Tyre Sets Tracker
+ *
+ * @description
+ * Keeps the tyre allocation of every car from Tyre Sets packets (packet 12):
+ * the 20 sets available to a car (13 dry, 7 wet), their wear and remaining
+ * life, and which set is fitted. Like Session History, the game sends one car
+ * per packet, so the tracker keeps the latest allocation for each car index.
+ *
+ * @example
+ * ```javascript
+ * const { TyreSetsTracker } = require('./TyreSetsTracker');
+ *
+ * const tyres = new TyreSetsTracker();
+ * tyres.attach(service);
+ *
+ * const allocation = tyres.getAllocation(header.playerCarIndex);
+ * console.log(`${allocation.fresh.length} fresh sets left`);
+ * ```
+ *
+ * @module TyreSetsTracker
+ */
+
+const { PerCarTracker } = require('./PerCarTracker');
+const { parseTyreSets } = require('./packet-parser');
+
+/**
+ * @typedef {Object} TyreAllocation
+ * @property {number} carIdx - Index of the car
+ * @property {TyreSet|null} fitted - Currently fitted set
+ * @property {TyreSet[]} sets - All sets of the allocation
+ * @property {TyreSet[]} available - Sets that can still be used
+ * @property {TyreSet[]} fresh - Available sets without any wear
+ */
+
+/**
+ * Tyre Sets Tracker Class
+ *
+ * @class TyreSetsTracker
+ * @extends PerCarTracker
+ *
+ * @fires TyreSetsTracker#updated - Allocation of a car updated
+ * @fires TyreSetsTracker#fittedChanged - A car has a different set fitted
+ * @fires PerCarTracker#reset - All allocations cleared
+ */
+class TyreSetsTracker extends PerCarTracker {
+    /**
+     * Create a new tracker
+     *
+     * @constructor
+     */
+    constructor() {
+        super('TyreSets', parseTyreSets);
+
+        /**
+         * Latest tyre sets per car index
+         * @type {Map<number, TyreSets>}
+         */
+        this.tyreSets = this.cars;
+    }
+
+    /**
+     * Store the tyre sets of one car
+     *
+     * @param {TyreSets} tyreSets - Parsed tyre sets
+     */
+    update(tyreSets) {
+        const previous = this._set(tyreSets);
+
+        /**
+         * Allocation updated event
+         * @event TyreSetsTracker#updated
+         * @type {TyreAllocation}
+         */
+        this.emit('updated', this.getAllocation(tyreSets.carIdx));
+
+        if (previous && previous.fittedIdx !== tyreSets.fittedIdx) {
+            /**
+             * Fitted set changed event
+             * @event TyreSetsTracker#fittedChanged
+             * @type {Object}
+             * @property {number} carIdx - Index of the car
+             * @property {TyreSet|null} previous - Previously fitted set
+             * @property {TyreSet|null} fitted - Newly fitted set
+             */
+            this.emit('fittedChanged', {
+                carIdx: tyreSets.carIdx,
+                previous: previous.sets[previous.fittedIdx] || null,
+                fitted: tyreSets.sets[tyreSets.fittedIdx] || null
+            });
+        }
+    }
+
+    /**
+     * Get the tyre allocation of one car
+     *
+     * @param {number} carIdx - Car index
+     * @returns {TyreAllocation|null} Allocation, or null if none was received yet
+     */
+    getAllocation(carIdx) {
+        const tyreSets = this.tyreSets.get(carIdx);
+        if (!tyreSets) {
+            return null;
+        }
+
+        const available = tyreSets.sets.filter((set) => set.available);
+
+        return {
+            carIdx,
+            fitted: tyreSets.sets[tyreSets.fittedIdx] || null,
+            sets: tyreSets.sets,
+            available,
+            fresh: available.filter((set) => set.wear === 0)
+        };
+    }
+
+    /**
+     * Get the available sets of one car for a visual compound
+     *
+     * @param {number} carIdx - Car index
+     * @param {number} visualTyreCompound - Visual compound (16 = soft, 17 = medium, 18 = hard, 7 = inter, 8 = wet)
+     * @returns {TyreSet[]} Available sets of that compound, least worn first
+     */
+    getAvailableSets(carIdx, visualTyreCompound) {
+        const allocation = this.getAllocation(carIdx);
+        if (!allocation) {
+            return [];
+        }
+
+        return allocation.available
+            .filter((set) => set.visualTyreCompound === visualTyreCompound)
+            .sort((a, b) => a.wear - b.wear);
+    }
+
+    /**
+     * Get the allocations of all cars
+     *
+     * @returns {TyreAllocation[]} Allocations, ordered by car index
+     */
+    getAllAllocations() {
+        return Array.from(this.tyreSets.keys())
+            .sort((a, b) => a - b)
+            .map((carIdx) => this.getAllocation(carIdx));
+    }
+}
+
+module.exports = {
+    TyreSetsTracker
+};
@@ -40,6 +40,8 @@
 import { create } from 'zustand';
 import { devtools, subscribeWithSelector } from 'zustand/middleware';
 import { F1UDPService } from './F1UDPService';
+import { SessionHistoryTracker } from './SessionHistoryTracker';
+import { TyreSetsTracker } from './TyreSetsTracker';
 
 /**
  * TypeScript Interface for the Store
@@ -97,6 +99,26 @@ interface F1Store {
     engineTemperature: number;
   };
 
+  // Player car physics channels (Motion Ex, same rate as telemetry)
+  playerPhysics: {
+    suspensionPosition: number[];
+    suspensionVelocity: number[];
+    suspensionAcceleration: number[];
+    wheelSpeed: number[];
+    wheelSlipRatio: number[];
+    wheelSlipAngle: number[];
+    wheelLatForce: number[];
+    wheelLongForce: number[];
+    wheelVertForce: number[];
+    localVelocityX: number;
+    localVelocityY: number;
+    localVelocityZ: number;
+    angularVelocityX: number;
+    angularVelocityY: number;
+    angularVelocityZ: number;
+    frontWheelsAngle: number;
+  };
+
   // Player car status
   playerStatus: {
     tractionControl: number;
@@ -178,6 +200,41 @@ interface F1Store {
     platform: number;
   }>;
 
+  // Lap history of every car by car index (Session History)
+  lapHistory: Record<number, {
+    bestLapTimeLapNum: number;
+    laps: Array<{
+      lapNum: number;
+      lapTimeInMS: number;
+      sector1TimeInMS: number;
+      sector2TimeInMS: number;
+      sector3TimeInMS: number;
+      lapValid: boolean;
+    }>;
+    tyreStints: Array<{
+      endLap: number;
+      tyreActualCompound: number;
+      tyreVisualCompound: number;
+    }>;
+  }>;
+
+  // Tyre allocation of every car by car index (Tyre Sets)
+  tyreSets: Record<number, {
+    fittedIdx: number;
+    sets: Array<{
+      setIdx: number;
+      actualTyreCompound: number;
+      visualTyreCompound: number;
+      wear: number;
+      available: boolean;
+      recommendedSession: number;
+      fitted: boolean;
+      lifeSpan: number;
+      usableLife: number;
+      lapDeltaTime: number;
+    }>;
+  }>;
+
   // Events log
   events: Array<{
     eventString: string;
@@ -199,13 +256,135 @@ interface F1Store {
   _handleError: (error: any) => void;
   _updateSessionData: (data: any) => void;
   _updateTelemetry: (data: any) => void;
+  _updatePhysics: (data: any) => void;
   _updateLapData: (data: any) => void;
   _updateMotionData: (data: any) => void;
   _updateParticipants: (data: any) => void;
   _updateCarStatus: (data: any) => void;
+  _updateCarDamage: (data: any) => void;
+  _updateLapHistory: (history: any) => void;
+  _updateTyreSets: (allocation: any) => void;
+  _resetSession: () => void;
   _addEvent: (event: any) => void;
 }
 
+/**
+ * Slices holding data of the current session, cleared when a new session starts
+ */
+const initialSessionState = () => ({
+  sessionData: {
+    sessionUID: null,
+    sessionTime: 0,
+    sessionType: '',
+    trackId: 0,
+    formula: '',
+    weatherId: 0,
+    totalLaps: 0,
+    trackLength: 0,
+    sessionTimeLeft: 0,
+  },
+
+  playerTelemetry: {
+    speed: 0,
+    throttle: 0,
+    brake: 0,
+    gear: 0,
+    engineRPM: 0,
+    drs: false,
+    revLightsPercent: 0,
+    brakesTemperature: [0, 0, 0, 0],
+    tyresTemperature: [0, 0, 0, 0],
+    tyresPressure: [0, 0, 0, 0],
+    engineTemperature: 0,
+  },
+
+  playerPhysics: {
+    suspensionPosition: [0, 0, 0, 0],
+    suspensionVelocity: [0, 0, 0, 0],
+    suspensionAcceleration: [0, 0, 0, 0],
+    wheelSpeed: [0, 0, 0, 0],
+    wheelSlipRatio: [0, 0, 0, 0],
+    wheelSlipAngle: [0, 0, 0, 0],
+    wheelLatForce: [0, 0, 0, 0],
+    wheelLongForce: [0, 0, 0, 0],
+    wheelVertForce: [0, 0, 0, 0],
+    localVelocityX: 0,
+    localVelocityY: 0,
+    localVelocityZ: 0,
+    angularVelocityX: 0,
+    angularVelocityY: 0,
+    angularVelocityZ: 0,
+    frontWheelsAngle: 0,
+  },
+
+  playerStatus: {
+    tractionControl: 0,
+    antiLockBrakes: false,
+    fuelMix: 0,
+    frontBrakeBias: 0,
+    pitLimiterStatus: false,
+    fuelInTank: 0,
+    fuelCapacity: 0,
+    fuelRemainingLaps: 0,
+    maxRPM: 0,
+    idleRPM: 0,
+    maxGears: 0,
+    drsAllowed: false,
+    drsActivationDistance: 0,
+    tyresWear: [0, 0, 0, 0],
+    actualTyreCompound: '',
+    visualTyreCompound: '',
+    tyresAgeLaps: 0,
+    tyresDamage: [0, 0, 0, 0],
+    ersStoreEnergy: 0,
+    ersDeployMode: 0,
+    ersDeployedThisLap: 0,
+  },
+
+  lapData: {
+    currentLapTime: 0,
+    currentLapNum: 0,
+    bestLapTime: 0,
+    lastLapTime: 0,
+    sector1Time: 0,
+    sector2Time: 0,
+    currentLapDistance: 0,
+    totalDistance: 0,
+    carPosition: 0,
+    currentLapInvalid: false,
+    penalties: 0,
+    warnings: 0,
+    gridPosition: 0,
+    driverStatus: '',
+    resultStatus: '',
+  },
+
+  motionData: {
+    worldPositionX: 0,
+    worldPositionY: 0,
+    worldPositionZ: 0,
+    worldVelocityX: 0,
+    worldVelocityY: 0,
+    worldVelocityZ: 0,
+    worldForwardDirX: 0,
+    worldForwardDirY: 0,
+    worldForwardDirZ: 0,
+    worldRightDirX: 0,
+    worldRightDirY: 0,
+    worldRightDirZ: 0,
+    gForceLateral: 0,
+    gForceLongitudinal: 0,
+    gForceVertical: 0,
+    yaw: 0,
+    pitch: 0,
+    roll: 0,
+  },
+
+  participants: [],
+  lapHistory: {},
+  tyreSets: {},
+});
+
 /**
  * Create the Zustand store
  */
@@ -230,96 +409,8 @@ const useF1Store = create<F1Store>()(
 
       latestPacket: null,
 
-      sessionData: {
-        sessionUID: null,
-        sessionTime: 0,
-        sessionType: '',
-        trackId: 0,
-        formula: '',
-        weatherId: 0,
-        totalLaps: 0,
-        trackLength: 0,
-        sessionTimeLeft: 0,
-      },
+      ...initialSessionState(),
 
-      playerTelemetry: {
-        speed: 0,
-        throttle: 0,
-        brake: 0,
-        gear: 0,
-        engineRPM: 0,
-        drs: false,
-        revLightsPercent: 0,
-        brakesTemperature: [0, 0, 0, 0],
-        tyresTemperature: [0, 0, 0, 0],
-        tyresPressure: [0, 0, 0, 0],
-        engineTemperature: 0,
-      },
-
-      playerStatus: {
-        tractionControl: 0,
-        antiLockBrakes: false,
-        fuelMix: 0,
-        frontBrakeBias: 0,
-        pitLimiterStatus: false,
-        fuelInTank: 0,
-        fuelCapacity: 0,
-        fuelRemainingLaps: 0,
-        maxRPM: 0,
-        idleRPM: 0,
-        maxGears: 0,
-        drsAllowed: false,
-        drsActivationDistance: 0,
-        tyresWear: [0, 0, 0, 0],
-        actualTyreCompound: '',
-        visualTyreCompound: '',
-        tyresAgeLaps: 0,
-        tyresDamage: [0, 0, 0, 0],
-        ersStoreEnergy: 0,
-        ersDeployMode: 0,
-        ersDeployedThisLap: 0,
-      },
-
-      lapData: {
-        currentLapTime: 0,
-        currentLapNum: 0,
-        bestLapTime: 0,
-        lastLapTime: 0,
-        sector1Time: 0,
-        sector2Time: 0,
-        currentLapDistance: 0,
-        totalDistance: 0,
-        carPosition: 0,
-        currentLapInvalid: false,
-        penalties: 0,
-        warnings: 0,
-        gridPosition: 0,
-        driverStatus: '',
-        resultStatus: '',
-      },
-
-      motionData: {
-        worldPositionX: 0,
-        worldPositionY: 0,
-        worldPositionZ: 0,
-        worldVelocityX: 0,
-        worldVelocityY: 0,
-        worldVelocityZ: 0,
-        worldForwardDirX: 0,
-        worldForwardDirY: 0,
-        worldForwardDirZ: 0,
-        worldRightDirX: 0,
-        worldRightDirY: 0,
-        worldRightDirZ: 0,
-        gForceLateral: 0,
-        gForceLongitudinal: 0,
-        gForceVertical: 0,
-        yaw: 0,
-        pitch: 0,
-        roll: 0,
-      },
-
-      participants: [],
       events: [],
       maxEventsLog: 100,
 
@@ -334,7 +425,8 @@ const useF1Store = create<F1Store>()(
         set({ isConnecting: true, connectionError: null });
 
         try {
-          const service = new F1UDPService(config);
+          // Let the service decode payloads so handlers receive `data` objects
+          const service = new F1UDPService({ parse: true, ...config });
 
           // Setup event listeners
           service.on('packet', (data) => state._handlePacket(data));
@@ -344,11 +436,27 @@ const useF1Store = create<F1Store>()(
           // Specific packet handlers
           service.on('packet:session', (data) => state._updateSessionData(data));
           service.on('packet:cartelemetry', (data) => state._updateTelemetry(data));
+          service.on('packet:motionex', (data) => state._updatePhysics(data));
           service.on('packet:lapdata', (data) => state._updateLapData(data));
           service.on('packet:motion', (data) => state._updateMotionData(data));
           service.on('packet:participants', (data) => state._updateParticipants(data));
           service.on('packet:carstatus', (data) => state._updateCarStatus(data));
+          service.on('packet:cardamage', (data) => state._updateCarDamage(data));
           service.on('packet:event', (data) => state._addEvent(data));
+          service.on('session:start', ({ resumed }) => {
+            if (!resumed) state._resetSession();
+          });
+
+          // Per-car trackers, cleared with the session
+          const history = new SessionHistoryTracker();
+          history.attach(service);
+          history.on('updated', (carHistory) => state._updateLapHistory(carHistory));
+          history.on('reset', () => set({ lapHistory: {} }));
+
+          const tyres = new TyreSetsTracker();
+          tyres.attach(service);
+          tyres.on('updated', (allocation) => state._updateTyreSets(allocation));
+          tyres.on('reset', () => set({ tyreSets: {} }));
 
           await service.start();
 
@@ -405,6 +513,10 @@ const useF1Store = create<F1Store>()(
       },
 
       // Internal handlers
+      _resetSession: () => {
+        set(initialSessionState());
+      },
+
       _handlePacket: (data) => {
         set({ latestPacket: data });
       },
@@ -418,75 +530,206 @@ const useF1Store = create<F1Store>()(
         console.error('F1 UDP Service Error:', error);
       },
 
-      _updateSessionData: (data) => {
-        // Parse session packet data
-        // This would need proper packet parsing implementation
+      _updateSessionData: ({ header, data }) => {
+        if (!data) return;
+
         set((state) => ({
           sessionData: {
             ...state.sessionData,
-            sessionUID: data.header.sessionUID,
-            sessionTime: data.header.sessionTime,
-            // Add more parsed fields here
+            sessionUID: header.sessionUID,
+            sessionTime: header.sessionTime,
+            trackId: data.trackId,
+            weatherId: data.weather,
+            totalLaps: data.totalLaps,
+            trackLength: data.trackLength,
+            sessionTimeLeft: data.sessionTimeLeft,
           },
         }));
       },
 
-      _updateTelemetry: (data) => {
-        // Parse telemetry packet data
-        // This would need proper packet parsing implementation
-        set((state) => ({
+      _updateTelemetry: ({ header, data }) => {
+        if (!data) return;
+
+        const car = data.carTelemetryData[header.playerCarIndex];
+        if (!car) return;
+
+        set({
           playerTelemetry: {
-            ...state.playerTelemetry,
-            // Add parsed telemetry fields here
+            speed: car.speed,
+            throttle: car.throttle,
+            brake: car.brake,
+            gear: car.gear,
+            engineRPM: car.engineRPM,
+            drs: car.drs === 1,
+            revLightsPercent: car.revLightsPercent,
+            brakesTemperature: car.brakesTemperature,
+            tyresTemperature: car.tyresSurfaceTemperature,
+            tyresPressure: car.tyresPressure,
+            engineTemperature: car.engineTemperature,
           },
-        }));
+        });
       },
 
-      _updateLapData: (data) => {
-        // Parse lap data packet
-        // This would need proper packet parsing implementation
+      _updatePhysics: ({ data }) => {
+        if (!data) return;
+
+        set({
+          playerPhysics: {
+            suspensionPosition: data.suspensionPosition,
+            suspensionVelocity: data.suspensionVelocity,
+            suspensionAcceleration: data.suspensionAcceleration,
+            wheelSpeed: data.wheelSpeed,
+            wheelSlipRatio: data.wheelSlipRatio,
+            wheelSlipAngle: data.wheelSlipAngle,
+            wheelLatForce: data.wheelLatForce,
+            wheelLongForce: data.wheelLongForce,
+            wheelVertForce: data.wheelVertForce,
+            localVelocityX: data.localVelocityX,
+            localVelocityY: data.localVelocityY,
+            localVelocityZ: data.localVelocityZ,
+            angularVelocityX: data.angularVelocityX,
+            angularVelocityY: data.angularVelocityY,
+            angularVelocityZ: data.angularVelocityZ,
+            frontWheelsAngle: data.frontWheelsAngle,
+          },
+        });
+      },
+
+      _updateLapData: ({ header, data }) => {
+        if (!data) return;
+
+        const lap = data.lapData[header.playerCarIndex];
+        if (!lap) return;
+
         set((state) => ({
           lapData: {
             ...state.lapData,
-            // Add parsed lap data fields here
+            currentLapTime: lap.currentLapTimeInMS,
+            currentLapNum: lap.currentLapNum,
+            lastLapTime: lap.lastLapTimeInMS,
+            sector1Time: lap.sector1TimeMinutesPart * 60000 + lap.sector1TimeMSPart,
+            sector2Time: lap.sector2TimeMinutesPart * 60000 + lap.sector2TimeMSPart,
+            currentLapDistance: lap.lapDistance,
+            totalDistance: lap.totalDistance,
+            carPosition: lap.carPosition,
+            currentLapInvalid: lap.currentLapInvalid === 1,
+            penalties: lap.penalties,
+            warnings: lap.totalWarnings,
+            gridPosition: lap.gridPosition,
           },
         }));
       },
 
-      _updateMotionData: (data) => {
-        // Parse motion packet data
-        // This would need proper packet parsing implementation
+      _updateMotionData: ({ header, data }) => {
+        if (!data) return;
+
+        const motion = data.carMotionData[header.playerCarIndex];
+        if (!motion) return;
+
+        // Direction vectors are already normalised to -1.0 .. 1.0 by the parser
+        set({ motionData: { ...motion } });
+      },
+
+      _updateParticipants: ({ data }) => {
+        if (!data) return;
+
+        set({
+          participants: data.participants
+            .slice(0, data.numActiveCars)
+            .map((participant) => ({
+              aiControlled: participant.aiControlled === 1,
+              driverId: participant.driverId,
+              networkId: participant.networkId,
+              teamId: participant.teamId,
+              myTeam: participant.myTeam === 1,
+              raceNumber: participant.raceNumber,
+              nationality: participant.nationality,
+              name: participant.name,
+              yourTelemetry: participant.yourTelemetry === 1,
+              showOnlineNames: participant.showOnlineNames === 1,
+              platform: participant.platform,
+            })),
+        });
+      },
+
+      _updateCarStatus: ({ header, data }) => {
+        if (!data) return;
+
+        const status = data.carStatusData[header.playerCarIndex];
+        if (!status) return;
+
         set((state) => ({
-          motionData: {
-            ...state.motionData,
-            // Add parsed motion fields here
+          playerStatus: {
+            ...state.playerStatus,
+            tractionControl: status.tractionControl,
+            antiLockBrakes: status.antiLockBrakes === 1,
+            fuelMix: status.fuelMix,
+            frontBrakeBias: status.frontBrakeBias,
+            pitLimiterStatus: status.pitLimiterStatus === 1,
+            fuelInTank: status.fuelInTank,
+            fuelCapacity: status.fuelCapacity,
+            fuelRemainingLaps: status.fuelRemainingLaps,
+            maxRPM: status.maxRPM,
+            idleRPM: status.idleRPM,
+            maxGears: status.maxGears,
+            drsAllowed: status.drsAllowed === 1,
+            drsActivationDistance: status.drsActivationDistance,
+            tyresAgeLaps: status.tyresAgeLaps,
+            ersStoreEnergy: status.ersStoreEnergy,
+            ersDeployMode: status.ersDeployMode,
+            ersDeployedThisLap: status.ersDeployedThisLap,
           },
         }));
       },
 
-      _updateParticipants: (data) => {
-        // Parse participants packet data
-        // This would need proper packet parsing implementation
-        set({ participants: [] }); // Add parsed participants
-      },
+      _updateCarDamage: ({ header, data }) => {
+        if (!data) return;
+
+        const damage = data.carDamageData[header.playerCarIndex];
+        if (!damage) return;
 
-      _updateCarStatus: (data) => {
-        // Parse car status packet data
-        // This would need proper packet parsing implementation
         set((state) => ({
           playerStatus: {
             ...state.playerStatus,
-            // Add parsed status fields here
+            tyresWear: damage.tyresWear,
+            tyresDamage: damage.tyresDamage,
+          },
+        }));
+      },
+
+      _updateLapHistory: (history) => {
+        set((state) => ({
+          lapHistory: {
+            ...state.lapHistory,
+            [history.carIdx]: {
+              bestLapTimeLapNum: history.bestLapTimeLapNum,
+              laps: history.laps,
+              tyreStints: history.tyreStints,
+            },
+          },
+        }));
+      },
+
+      _updateTyreSets: (allocation) => {
+        set((state) => ({
+          tyreSets: {
+            ...state.tyreSets,
+            [allocation.carIdx]: {
+              fittedIdx: allocation.fitted ? allocation.fitted.setIdx : -1,
+              sets: allocation.sets,
+            },
           },
         }));
       },
 
       _addEvent: (eventData) => {
         set((state) => {
+          if (!eventData.data) return {};
+
           const event = {
-            eventString: eventData.header.packetId.toString(),
+            eventString: eventData.data.eventStringCode,
             timestamp: eventData.timestamp,
-            details: eventData,
+            details: eventData.data.eventDetails,
           };
 
           const events = [event, ...state.events].slice(0, state.maxEventsLog);
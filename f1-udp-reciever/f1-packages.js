@@ -4,6 +4,8 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const chalk = require('chalk');
+const { parseHeader } = require('./packet-parser');
+const { PacketLossTracker } = require('./PacketLossTracker');
 const server = dgram.createSocket('udp4');
 
 // Recording states
@@ -29,6 +31,9 @@ let maxGap = 0;
 let droppedPackets = 0;
 const packetStats = {};
 
+// Lost packets, detected from the frame identifiers of each packet type
+const packetLoss = new PacketLossTracker();
+
 // Performance monitoring
 let writeQueue = [];
 let isWriting = false;
@@ -251,6 +256,7 @@ function startNewRecording() {
     lastPacketTime = 0;
     maxGap = 0;
     droppedPackets = 0;
+    packetLoss.reset();
     writeQueue = [];
     Object.keys(packetStats).forEach(key => delete packetStats[key]);
     
@@ -410,18 +416,16 @@ server.on('message', (msg, rinfo) => {
     
     // Monitor packet timing
     if (lastPacketTime > 0) {
-        const gap = now - lastPacketTime;
-        maxGap = Math.max(maxGap, gap);
-        
-        if (gap > 100) {
-            const missedPackets = Math.floor(gap / 50) - 1;
-            if (missedPackets > 0) {
-                droppedPackets += missedPackets;
-            }
-        }
+        maxGap = Math.max(maxGap, now - lastPacketTime);
     }
     lastPacketTime = now;
     
+    // Count packets lost on the network
+    const header = parseHeader(msg);
+    if (header) {
+        droppedPackets += packetLoss.update(header, msg).lost;
+    }
+    
     // Read packet header
     const packetFormat = msg.readUInt16LE(0);
     const packetId = msg.readUInt8(6);
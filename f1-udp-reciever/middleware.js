@@ -0,0 +1,182 @@
+/**
+ * F1UDPService middleware
+ *
+ * @description
+ * Ready-made middleware for `service.use()`. Each factory returns a function
+ * that runs on every valid packet before it is forwarded and emitted, and can
+ * drop it, change it or attach values to it.
+ *
+ * @example
+ * ```javascript
+ * const { F1UDPService } = require('./F1UDPService');
+ * const { filterSource, dropPacketTypes, anonymizeNames, sample, tag } = require('./middleware');
+ *
+ * const service = new F1UDPService({ parse: true });
+ *
+ * service
+ *   .use(filterSource(['192.168.1.10']))
+ *   .use(dropPacketTypes(['MotionEx', 'TyreSets']))
+ *   .use(sample(2, ['Motion', 'CarTelemetry']))
+ *   .use(anonymizeNames())
+ *   .use(tag({ rig: 'sim-1' }));
+ *
+ * service.on('packet:cartelemetry', ({ tags, data }) => {
+ *   console.log(tags.rig, data.carTelemetryData[0].speed);
+ * });
+ * ```
+ *
+ * @module middleware
+ */
+
+const { parsePacket } = require('./packet-parser');
+const { encodePacket } = require('./packet-encoder');
+
+/** Packet IDs of the packets carrying driver names, with the array holding them */
+const NAMED_PACKETS = {
+    4: 'participants',
+    9: 'lobbyPlayers'
+};
+
+/**
+ * Check packets against a list of packet IDs or type names
+ *
+ * @private
+ * @param {Array<number|string>} packetTypes - Packet IDs or type names (e.g. 'CarTelemetry')
+ * @returns {function(PacketData): boolean} True if the packet is in the list
+ */
+function matchPacketTypes(packetTypes) {
+    const ids = new Set(packetTypes.filter((packetType) => typeof packetType === 'number'));
+    const names = new Set(packetTypes
+        .filter((packetType) => typeof packetType === 'string')
+        .map((name) => name.toLowerCase()));
+
+    return ({ header, packetType }) => ids.has(header.packetId) || names.has(packetType.toLowerCase());
+}
+
+/**
+ * Keep only the packets sent from some addresses, e.g. one rig on a shared network
+ *
+ * @param {string[]} addresses - Source addresses to accept
+ * @returns {Middleware} Middleware
+ */
+function filterSource(addresses) {
+    const accepted = new Set(addresses);
+    return function filterSourceMiddleware({ rinfo }) {
+        return accepted.has(rinfo.address);
+    };
+}
+
+/**
+ * Drop some packet types before they are forwarded and emitted
+ *
+ * @param {Array<number|string>} packetTypes - Packet IDs or type names (e.g. 'MotionEx')
+ * @returns {Middleware} Middleware
+ */
+function dropPacketTypes(packetTypes) {
+    const matches = matchPacketTypes(packetTypes);
+    return function dropPacketTypesMiddleware(packetData) {
+        return !matches(packetData);
+    };
+}
+
+/**
+ * Keep one packet in N, per packet type
+ * Event and Final Classification packets are always kept, as they are only sent once
+ *
+ * @param {number} rate - Keep one packet in `rate`
+ * @param {Array<number|string>} [packetTypes] - Packet IDs or type names to sample, all types if omitted
+ * @returns {Middleware} Middleware
+ * @throws {RangeError} If the rate is not a positive integer
+ */
+function sample(rate, packetTypes) {
+    if (!Number.isInteger(rate) || rate < 1) {
+        throw new RangeError(`Invalid sample rate: ${rate}`);
+    }
+
+    const matches = packetTypes ? matchPacketTypes(packetTypes) : () => true;
+    const counters = {};
+
+    return function sampleMiddleware(packetData) {
+        const { packetId } = packetData.header;
+        if (packetId === 3 || packetId === 8 || !matches(packetData)) {
+            return true;
+        }
+
+        const count = counters[packetId] || 0;
+        counters[packetId] = count + 1;
+        return count % rate === 0;
+    };
+}
+
+/**
+ * Attach values to every packet, in `packetData.tags`
+ *
+ * @param {Object.<string, *>|function(PacketData): Object.<string, *>} tags - Tags, or a function
+ * returning the tags of a packet
+ * @returns {Middleware} Middleware
+ */
+function tag(tags) {
+    return function tagMiddleware(packetData) {
+        const values = typeof tags === 'function' ? tags(packetData) : tags;
+        packetData.tags = { ...packetData.tags, ...values };
+    };
+}
+
+/**
+ * Add properties computed from the packet, e.g. unit conversions or lookups
+ *
+ * @param {function(PacketData): Object} enricher - Returns the properties to add to the packet data
+ * @returns {Middleware} Middleware
+ *
+ * @example
+ * ```javascript
+ * service.use(enrich(({ header }) => ({ session: sessions.get(header.sessionUID) })));
+ * ```
+ */
+function enrich(enricher) {
+    return function enrichMiddleware(packetData) {
+        Object.assign(packetData, enricher(packetData));
+    };
+}
+
+/**
+ * Replace driver names in Participants and Lobby Info packets, in the raw
+ * buffer (so forwarded packets are anonymized too) and in the decoded data
+ *
+ * @param {function(Object, number): string} [rename] - Returns the new name of a
+ * ParticipantData or LobbyInfoData entry and its index, 'Driver N' by default
+ * @returns {Middleware} Middleware
+ */
+function anonymizeNames(rename = (entry, index) => `Driver ${index + 1}`) {
+    return function anonymizeNamesMiddleware(packetData) {
+        const field = NAMED_PACKETS[packetData.header.packetId];
+        if (!field) {
+            return undefined;
+        }
+
+        const packet = parsePacket(packetData.buffer, packetData.header);
+        if (!packet) {
+            return false;
+        }
+
+        packet[field].forEach((entry, index) => {
+            entry.name = rename(entry, index);
+        });
+
+        const anonymized = { ...packetData, buffer: encodePacket(packet, packetData.buffer) };
+        if (packetData.data) {
+            anonymized.data = { ...packet };
+            delete anonymized.data.header;
+        }
+        return anonymized;
+    };
+}
+
+module.exports = {
+    filterSource,
+    dropPacketTypes,
+    sample,
+    tag,
+    enrich,
+    anonymizeNames
+};
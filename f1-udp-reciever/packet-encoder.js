@@ -0,0 +1,294 @@
+/**
+ * F1 UDP packet encoder
+ *
+ * @description
+ * Serializes decoded packets back into UDP datagrams, the inverse of
+ * parsePacket. The layout is picked from the packet format and version in
+ * `packet.header`, so a packet decoded from an F1 23, F1 24 or F1 25 recording
+ * encodes back into the same field values.
+ *
+ * Passing the original datagram as `baseBuffer` makes the round trip byte-exact:
+ * the fields are written over a copy of it, so the bytes the parser does not
+ * keep (the Event details union beyond the struct of the event, string bytes
+ * after the null terminator) stay as they were, and only edited fields change.
+ * Without it these bytes are written as zero.
+ *
+ * Used to build synthetic packets, to edit recordings (e.g. anonymize driver
+ * names), to convert packets to an older format and to round-trip test the
+ * parsers.
+ *
+ * @example
+ * ```javascript
+ * const { parsePacket } = require('./packet-parser');
+ * const { encodePacket } = require('./packet-encoder');
+ *
+ * // Anonymize a Participants packet
+ * const packet = parsePacket(buffer);
+ * packet.participants.forEach((participant, i) => {
+ *   participant.name = `Driver ${i + 1}`;
+ * });
+ * const anonymized = encodePacket(packet, buffer);
+ * ```
+ *
+ * @module packet-encoder
+ */
+
+const { encodeStruct } = require('./struct-decoder');
+const { readRecording } = require('./recording');
+const { PacketHeader, PacketEventData } = require('./packet-structs');
+const { getPacketLayout } = require('./packet-formats');
+const { parsePacket } = require('./packet-parser');
+
+/** Scale of the normalised int16 direction vectors in the Motion packet */
+const NORMALISED_VECTOR_SCALE = 32767.0;
+
+/** Offset and size of the eventDetails union in the Event packet */
+const EVENT_DETAILS_FIELD = PacketEventData.fields.find((field) => field.name === 'eventDetails');
+
+/**
+ * Convert the unit float direction vectors of a car back to normalised int16
+ *
+ * @private
+ * @param {Object} car - CarMotionData as returned by parsePacket
+ * @returns {Object} Copy of the car with int16 direction vectors
+ */
+function denormaliseCarMotion(car) {
+    return {
+        ...car,
+        worldForwardDirX: Math.round(car.worldForwardDirX * NORMALISED_VECTOR_SCALE),
+        worldForwardDirY: Math.round(car.worldForwardDirY * NORMALISED_VECTOR_SCALE),
+        worldForwardDirZ: Math.round(car.worldForwardDirZ * NORMALISED_VECTOR_SCALE),
+        worldRightDirX: Math.round(car.worldRightDirX * NORMALISED_VECTOR_SCALE),
+        worldRightDirY: Math.round(car.worldRightDirY * NORMALISED_VECTOR_SCALE),
+        worldRightDirZ: Math.round(car.worldRightDirZ * NORMALISED_VECTOR_SCALE)
+    };
+}
+
+/**
+ * Encode the decoded eventDetails back into the raw union bytes
+ * Bytes of the union not used by the event's struct are kept from the base
+ * buffer, or written as zero without one
+ *
+ * @private
+ * @param {Object} packet - PacketEventData as returned by parsePacket
+ * @param {PacketLayout} layout - Layout of the packet format
+ * @param {Buffer|null} baseBuffer - Original datagram of the packet
+ * @returns {Object} Copy of the packet with raw `eventDetails` bytes
+ */
+function encodeEventDetails(packet, layout, baseBuffer) {
+    if (Array.isArray(packet.eventDetails)) {
+        return packet;
+    }
+
+    const { offset, size } = EVENT_DETAILS_FIELD;
+    const details = baseBuffer
+        ? Buffer.from(baseBuffer.subarray(offset, offset + size))
+        : Buffer.alloc(size);
+    const struct = layout.eventDetails[packet.eventStringCode];
+    if (struct && packet.eventDetails) {
+        encodeStruct(struct, packet.eventDetails, details);
+    }
+
+    return { ...packet, eventDetails: Array.from(details) };
+}
+
+/**
+ * Inverse of the parser post-processing, keyed by packet ID
+ *
+ * @private
+ * @constant {Object.<number, function(Object, PacketLayout, (Buffer|null)): Object>}
+ */
+const PACKET_TRANSFORMS = {
+    0: (packet) => ({
+        ...packet,
+        carMotionData: packet.carMotionData.map(denormaliseCarMotion)
+    }),
+    3: encodeEventDetails
+};
+
+/**
+ * Fill in both representations of the Lap Data gaps: minutes and milliseconds
+ * parts (F1 24 onwards) and plain milliseconds (F1 23, at most 65535)
+ *
+ * @private
+ * @param {Object} lap - LapData of any format
+ * @returns {Object} Copy of the lap with both representations
+ */
+function convertLapDeltas(lap) {
+    const converted = { ...lap };
+
+    ['deltaToCarInFront', 'deltaToRaceLeader'].forEach((name) => {
+        const totalMS = lap[`${name}InMS`] !== undefined
+            ? lap[`${name}InMS`]
+            : lap[`${name}MinutesPart`] * 60000 + lap[`${name}MSPart`];
+
+        converted[`${name}InMS`] = Math.min(totalMS, 0xFFFF);
+        converted[`${name}MSPart`] = totalMS % 60000;
+        converted[`${name}MinutesPart`] = Math.min(Math.floor(totalMS / 60000), 0xFF);
+    });
+
+    return converted;
+}
+
+/**
+ * Conversions of fields whose type changed between formats, keyed by packet ID
+ *
+ * @private
+ * @constant {Object.<number, function(Object): Object>}
+ */
+const FORMAT_CONVERSIONS = {
+    2: (packet) => ({
+        ...packet,
+        lapData: packet.lapData.map(convertLapDeltas)
+    })
+};
+
+/**
+ * Encode a packet header into its 29 bytes
+ *
+ * @param {PacketHeader} header - Packet header
+ * @returns {Buffer} Encoded header
+ */
+function encodeHeader(header) {
+    return encodeStruct(PacketHeader, header);
+}
+
+/**
+ * Encode a complete packet, header included
+ *
+ * @param {Object} packet - Packet as returned by parsePacket, with a `header` property
+ * @param {Buffer} [baseBuffer] - Original datagram of the packet, whose bytes are kept where
+ * the packet does not change them
+ * @returns {Buffer} Encoded datagram, `getPacketSize()` bytes long, or as long as the base buffer
+ * @throws {Error} If the packet format, version or ID has no known layout
+ * @throws {RangeError} If a value is out of range for its field type, or the base buffer is
+ * shorter than the packet
+ *
+ * @example
+ * ```javascript
+ * // Round trip: the same bytes with the original datagram, unused bytes zero without it
+ * const packet = parsePacket(buffer);
+ * encodePacket(packet, buffer).equals(buffer); // true
+ * parsePacket(encodePacket(packet)); // deep equal to packet
+ * ```
+ */
+function encodePacket(packet, baseBuffer) {
+    const { header } = packet;
+    const layout = getPacketLayout(header.packetFormat, header.packetVersion);
+    const struct = layout && layout.structs[header.packetId];
+    if (!struct) {
+        throw new Error(`No layout for packet ${header.packetId} (format ${header.packetFormat}, version ${header.packetVersion})`);
+    }
+
+    const transform = PACKET_TRANSFORMS[header.packetId];
+    return encodeStruct(
+        struct,
+        transform ? transform(packet, layout, baseBuffer || null) : packet,
+        baseBuffer ? Buffer.from(baseBuffer) : Buffer.alloc(struct.size)
+    );
+}
+
+/**
+ * Check that every packet of a recording decodes and encodes back to the same bytes
+ *
+ * @param {string} filepath - Path to the .bin recording
+ * @returns {{checked: number, skipped: number, mismatches: Array<{index: number, packetId: number, offset: number}>}}
+ * Packets checked, packets without a known layout, and packets encoded differently with the
+ * offset of their first different byte
+ */
+function checkRecording(filepath) {
+    const result = { checked: 0, skipped: 0, mismatches: [] };
+    let index = 0;
+
+    for (const { buffer } of readRecording(filepath)) {
+        const packet = parsePacket(buffer);
+        if (!packet) {
+            result.skipped++;
+        } else {
+            const encoded = encodePacket(packet, buffer);
+            result.checked++;
+            if (!encoded.equals(buffer)) {
+                const offset = encoded.findIndex((byte, i) => byte !== buffer[i]);
+                result.mismatches.push({ index, packetId: packet.header.packetId, offset });
+            }
+        }
+        index++;
+    }
+
+    return result;
+}
+
+/**
+ * Convert a packet to another packet format, e.g. for tools that only support F1 23
+ * Fields the target format does not have are dropped, and fields it added are zero
+ *
+ * @param {Buffer} buffer - Raw packet buffer
+ * @param {number} packetFormat - Target packet format (2023, 2024 or 2025)
+ * @returns {Buffer|null} Converted packet, the same buffer if it already has the target
+ * format, or null if the packet or its event does not exist in the target format
+ * @throws {RangeError} If a value does not fit its field type in the target format
+ *
+ * @example
+ * ```javascript
+ * const converted = convertPacket(buffer, 2023);
+ * if (converted) {
+ *   socket.send(converted, 20778, '127.0.0.1');
+ * }
+ * ```
+ */
+function convertPacket(buffer, packetFormat) {
+    const packet = parsePacket(buffer);
+    if (!packet) {
+        return null;
+    }
+
+    const { header } = packet;
+    if (header.packetFormat === packetFormat) {
+        return buffer;
+    }
+
+    const layout = getPacketLayout(packetFormat);
+    if (!layout || !layout.structs[header.packetId]) {
+        return null;
+    }
+    if (packet.eventStringCode !== undefined && !(packet.eventStringCode in layout.eventDetails)) {
+        return null;
+    }
+
+    const conversion = FORMAT_CONVERSIONS[header.packetId];
+    return encodePacket({
+        ...(conversion ? conversion(packet) : packet),
+        header: {
+            ...header,
+            packetFormat,
+            gameYear: packetFormat % 100,
+            packetVersion: layout.packetVersions[0]
+        }
+    });
+}
+
+if (require.main === module) {
+    const filepath = process.argv[2];
+    if (!filepath) {
+        console.log('Usage: node packet-encoder.js <recording.bin>');
+        process.exit(1);
+    }
+
+    const { checked, skipped, mismatches } = checkRecording(filepath);
+    console.log(`🔁 ${checked} packets decoded and encoded back, ${skipped} skipped`);
+    mismatches.slice(0, 10).forEach(({ index, packetId, offset }) => {
+        console.log(`   ❌ Packet #${index} (ID ${packetId}) differs at byte ${offset}`);
+    });
+    if (mismatches.length > 0) {
+        console.log(`\n❌ ${mismatches.length} packets not byte-exact`);
+        process.exit(1);
+    }
+    console.log('✅ All packets byte-exact');
+}
+
+module.exports = {
+    encodeHeader,
+    encodePacket,
+    convertPacket,
+    checkRecording
+};
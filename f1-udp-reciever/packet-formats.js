@@ -0,0 +1,324 @@
+/**
+ * Packet layouts per game season
+ *
+ * @description
+ * Each game season has its own `packetFormat` in the packet header (2023 for
+ * F1 23, 2024 for F1 24, 2025 for F1 25). Most structs are unchanged between
+ * seasons, so the layouts below reuse the F1 25 structs from packet-structs.js
+ * and only redefine the structs that differ in older formats.
+ *
+ * Fields that were only renamed between seasons use the F1 25 name, so the
+ * decoded objects have the same shape for every format. Fields that did not
+ * exist yet in a format are absent from the decoded object (e.g. tyreBlisters
+ * before F1 25, or the Time Trial packet before F1 24).
+ *
+ * @example
+ * ```javascript
+ * const { getPacketLayout } = require('./packet-formats');
+ *
+ * const layout = getPacketLayout(header.packetFormat, header.packetVersion);
+ * if (layout) {
+ *   console.log(`${layout.name}: ${layout.structs[header.packetId].size} bytes`);
+ * }
+ * ```
+ *
+ * @module packet-formats
+ */
+
+const { defineStruct } = require('./struct-decoder');
+const {
+    MAX_CARS,
+    PACKET_STRUCTS,
+    EVENT_DETAIL_STRUCTS,
+    PacketHeader,
+    WeatherForecastSample,
+    PacketSessionData,
+    PacketLapData,
+    VehicleEvent,
+    CarSetupData,
+    FinalClassificationData,
+    LobbyInfoData,
+    CarDamageData
+} = require('./packet-structs');
+
+/**
+ * Build a struct from the fields of an existing struct
+ *
+ * @private
+ * @param {string} name - Name of the new struct
+ * @param {Struct} base - Struct to copy the fields from
+ * @param {function(string): boolean} keep - Returns true for the field names to keep
+ * @returns {Struct} New struct
+ */
+function pickFields(name, base, keep) {
+    return defineStruct(name, base.fields
+        .filter((field) => keep(field.name))
+        .map((field) => [field.type, field.name, field.count]));
+}
+
+/**
+ * Names of the given struct fields, up to and including `lastField`
+ *
+ * @private
+ * @param {Struct} struct - Struct to read the field names from
+ * @param {string} lastField - Last field name to include
+ * @returns {Set<string>} Field names
+ */
+function fieldsUntil(struct, lastField) {
+    const names = struct.fields.map((field) => field.name);
+    return new Set(names.slice(0, names.indexOf(lastField) + 1));
+}
+
+// ---------------------------------------------------------------------------
+// F1 24 (packetFormat 2024)
+// ---------------------------------------------------------------------------
+
+// Participants (packet 4) - 48-byte names, no livery colours
+const ParticipantData2024 = defineStruct('ParticipantData', [
+    ['uint8', 'aiControlled'],
+    ['uint8', 'driverId'],
+    ['uint8', 'networkId'],
+    ['uint8', 'teamId'],
+    ['uint8', 'myTeam'],
+    ['uint8', 'raceNumber'],
+    ['uint8', 'nationality'],
+    ['char', 'name', 48],
+    ['uint8', 'yourTelemetry'],
+    ['uint8', 'showOnlineNames'],
+    ['uint16', 'techLevel'],
+    ['uint8', 'platform']
+]);
+
+const PacketParticipantsData2024 = defineStruct('PacketParticipantsData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'numActiveCars'],
+    [ParticipantData2024, 'participants', MAX_CARS]
+]);
+
+// Final Classification (packet 8) - no result reason
+const FinalClassificationData2024 = pickFields('FinalClassificationData', FinalClassificationData,
+    (name) => name !== 'resultReason');
+
+const PacketFinalClassificationData2024 = defineStruct('PacketFinalClassificationData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'numCars'],
+    [FinalClassificationData2024, 'classificationData', MAX_CARS]
+]);
+
+// Lobby Info (packet 9) - 48-byte names
+const LobbyInfoData2024 = defineStruct('LobbyInfoData', LobbyInfoData.fields
+    .map((field) => (field.name === 'name' ? ['char', 'name', 48] : [field.type, field.name, field.count])));
+
+const PacketLobbyInfoData2024 = defineStruct('PacketLobbyInfoData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'numPlayers'],
+    [LobbyInfoData2024, 'lobbyPlayers', MAX_CARS]
+]);
+
+// Car Damage (packet 10) - no tyre blisters
+const CarDamageData2024 = pickFields('CarDamageData', CarDamageData,
+    (name) => name !== 'tyreBlisters');
+
+const PacketCarDamageData2024 = defineStruct('PacketCarDamageData', [
+    [PacketHeader, 'header'],
+    [CarDamageData2024, 'carDamageData', MAX_CARS]
+]);
+
+// Motion Ex (packet 13) - ends with chassisYaw, no pitch or camber
+const PacketMotionExData2024 = pickFields('PacketMotionExData', PACKET_STRUCTS[13],
+    (name) => fieldsUntil(PACKET_STRUCTS[13], 'chassisYaw').has(name));
+
+// Event (packet 3) - retirements and DRS disabled carry less detail
+const Retirement2024 = defineStruct('Retirement', [
+    ['uint8', 'vehicleIdx']
+]);
+
+const EVENT_DETAIL_STRUCTS_2024 = {
+    ...EVENT_DETAIL_STRUCTS,
+    RTMT: Retirement2024,
+    DRSD: null
+};
+
+// ---------------------------------------------------------------------------
+// F1 23 (packetFormat 2023)
+// ---------------------------------------------------------------------------
+
+// Session (packet 1) - 56 forecast samples, ends with numRedFlagPeriods
+const PacketSessionData2023 = defineStruct('PacketSessionData', PacketSessionData.fields
+    .filter((field) => fieldsUntil(PacketSessionData, 'numRedFlagPeriods').has(field.name))
+    .map((field) => (field.name === 'weatherForecastSamples'
+        ? [WeatherForecastSample, 'weatherForecastSamples', 56]
+        : [field.type, field.name, field.count])));
+
+// Lap Data (packet 2) - deltas in plain milliseconds, no speed trap fields
+const LapData2023 = defineStruct('LapData', [
+    ['uint32', 'lastLapTimeInMS'],
+    ['uint32', 'currentLapTimeInMS'],
+    ['uint16', 'sector1TimeMSPart'],      // sector1TimeInMS in the F1 23 spec
+    ['uint8', 'sector1TimeMinutesPart'],  // sector1TimeMinutes in the F1 23 spec
+    ['uint16', 'sector2TimeMSPart'],
+    ['uint8', 'sector2TimeMinutesPart'],
+    ['uint16', 'deltaToCarInFrontInMS'],
+    ['uint16', 'deltaToRaceLeaderInMS'],
+    ['float', 'lapDistance'],
+    ['float', 'totalDistance'],
+    ['float', 'safetyCarDelta'],
+    ['uint8', 'carPosition'],
+    ['uint8', 'currentLapNum'],
+    ['uint8', 'pitStatus'],
+    ['uint8', 'numPitStops'],
+    ['uint8', 'sector'],
+    ['uint8', 'currentLapInvalid'],
+    ['uint8', 'penalties'],
+    ['uint8', 'totalWarnings'],
+    ['uint8', 'cornerCuttingWarnings'],
+    ['uint8', 'numUnservedDriveThroughPens'],
+    ['uint8', 'numUnservedStopGoPens'],
+    ['uint8', 'gridPosition'],
+    ['uint8', 'driverStatus'],
+    ['uint8', 'resultStatus'],
+    ['uint8', 'pitLaneTimerActive'],
+    ['uint16', 'pitLaneTimeInLaneInMS'],
+    ['uint16', 'pitStopTimerInMS'],
+    ['uint8', 'pitStopShouldServePen']
+]);
+
+const PacketLapData2023 = defineStruct('PacketLapData', PacketLapData.fields
+    .map((field) => (field.name === 'lapData' ? [LapData2023, 'lapData', MAX_CARS] : [field.type, field.name, field.count])));
+
+// Participants (packet 4) - no tech level
+const ParticipantData2023 = pickFields('ParticipantData', ParticipantData2024,
+    (name) => name !== 'techLevel');
+
+const PacketParticipantsData2023 = defineStruct('PacketParticipantsData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'numActiveCars'],
+    [ParticipantData2023, 'participants', MAX_CARS]
+]);
+
+// Car Setups (packet 5) - no engine braking, no next front wing value
+const CarSetupData2023 = pickFields('CarSetupData', CarSetupData,
+    (name) => name !== 'engineBraking');
+
+const PacketCarSetupData2023 = defineStruct('PacketCarSetupData', [
+    [PacketHeader, 'header'],
+    [CarSetupData2023, 'carSetups', MAX_CARS]
+]);
+
+// Lobby Info (packet 9) - no telemetry settings or tech level
+const LobbyInfoData2023 = pickFields('LobbyInfoData', LobbyInfoData2024,
+    (name) => !['yourTelemetry', 'showOnlineNames', 'techLevel'].includes(name));
+
+const PacketLobbyInfoData2023 = defineStruct('PacketLobbyInfoData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'numPlayers'],
+    [LobbyInfoData2023, 'lobbyPlayers', MAX_CARS]
+]);
+
+// Motion Ex (packet 13) - ends with wheelVertForce
+const PacketMotionExData2023 = pickFields('PacketMotionExData', PACKET_STRUCTS[13],
+    (name) => fieldsUntil(PACKET_STRUCTS[13], 'wheelVertForce').has(name));
+
+// Event (packet 3) - no safety car or collision events, stop-go without stop time
+const EVENT_DETAIL_STRUCTS_2023 = {
+    ...EVENT_DETAIL_STRUCTS_2024,
+    SGSV: VehicleEvent
+};
+delete EVENT_DETAIL_STRUCTS_2023.SCAR;
+delete EVENT_DETAIL_STRUCTS_2023.COLL;
+
+/**
+ * @typedef {Object} PacketLayout
+ * @property {number} packetFormat - Packet format of the season
+ * @property {string} name - Game name
+ * @property {number[]} packetVersions - Supported packet versions
+ * @property {Object.<number, Struct>} structs - Packet structs keyed by packet ID
+ * @property {Object.<string, Struct|null>} eventDetails - Event detail structs keyed by event string code
+ */
+
+/**
+ * Packet layouts keyed by packet format
+ *
+ * @constant {Object.<number, PacketLayout>}
+ * @readonly
+ */
+const PACKET_FORMATS = {
+    2025: {
+        packetFormat: 2025,
+        name: 'F1 25',
+        packetVersions: [1],
+        structs: PACKET_STRUCTS,
+        eventDetails: EVENT_DETAIL_STRUCTS
+    },
+    2024: {
+        packetFormat: 2024,
+        name: 'F1 24',
+        packetVersions: [1],
+        structs: {
+            ...PACKET_STRUCTS,
+            4: PacketParticipantsData2024,
+            8: PacketFinalClassificationData2024,
+            9: PacketLobbyInfoData2024,
+            10: PacketCarDamageData2024,
+            13: PacketMotionExData2024
+        },
+        eventDetails: EVENT_DETAIL_STRUCTS_2024
+    },
+    2023: {
+        packetFormat: 2023,
+        name: 'F1 23',
+        packetVersions: [1],
+        structs: {
+            ...PACKET_STRUCTS,
+            1: PacketSessionData2023,
+            2: PacketLapData2023,
+            4: PacketParticipantsData2023,
+            5: PacketCarSetupData2023,
+            8: PacketFinalClassificationData2024,
+            9: PacketLobbyInfoData2023,
+            10: PacketCarDamageData2024,
+            13: PacketMotionExData2023
+        },
+        eventDetails: EVENT_DETAIL_STRUCTS_2023
+    }
+};
+delete PACKET_FORMATS[2023].structs[14];   // Time Trial packet was added in F1 24
+
+/** Packet format used when none is given */
+const DEFAULT_PACKET_FORMAT = 2025;
+
+/**
+ * Get the layout for a packet format and version
+ *
+ * @param {number} [packetFormat=2025] - Packet format from the header
+ * @param {number} [packetVersion] - Packet version from the header, any supported version if omitted
+ * @returns {PacketLayout|null} Layout, or null if the format or version is not supported
+ */
+function getPacketLayout(packetFormat = DEFAULT_PACKET_FORMAT, packetVersion) {
+    const layout = PACKET_FORMATS[packetFormat];
+    if (!layout) {
+        return null;
+    }
+    if (packetVersion !== undefined && !layout.packetVersions.includes(packetVersion)) {
+        return null;
+    }
+    return layout;
+}
+
+/**
+ * Get the struct of a packet for its header
+ *
+ * @param {PacketHeader} header - Parsed packet header
+ * @returns {Struct|null} Packet struct, or null if the packet is not part of a supported layout
+ */
+function getPacketStruct(header) {
+    const layout = getPacketLayout(header.packetFormat, header.packetVersion);
+    return (layout && layout.structs[header.packetId]) || null;
+}
+
+module.exports = {
+    PACKET_FORMATS,
+    DEFAULT_PACKET_FORMAT,
+    getPacketLayout,
+    getPacketStruct
+};
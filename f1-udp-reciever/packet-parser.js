@@ -0,0 +1,886 @@
+/**
+ * F1 UDP packet parser
+ *
+ * @description
+ * Decodes complete UDP datagrams into plain objects using the struct layouts
+ * in packet-structs.js. The layout is picked from the packet format in the
+ * header, so F1 23 and F1 24 packets are decoded too (see packet-formats.js).
+ * Used by F1UDPService when `parse` is enabled, and usable on its own for
+ * recordings captured with f1-packages.js.
+ *
+ * @example
+ * ```javascript
+ * const { parsePacket } = require('./packet-parser');
+ *
+ * const packet = parsePacket(buffer);
+ * if (packet && packet.header.packetId === 6) {
+ *   console.log(packet.carTelemetryData[packet.header.playerCarIndex].speed);
+ * }
+ * ```
+ *
+ * @module packet-parser
+ */
+
+const { decodeStruct } = require('./struct-decoder');
+const { PacketHeader, PacketEventData } = require('./packet-structs');
+const { DEFAULT_PACKET_FORMAT, getPacketLayout } = require('./packet-formats');
+
+/**
+ * Event names keyed by the 4-character event string code
+ *
+ * @constant {Object.<string, string>}
+ * @readonly
+ */
+const EVENT_TYPES = {
+    SSTA: 'sessionStarted',
+    SEND: 'sessionEnded',
+    FTLP: 'fastestLap',
+    RTMT: 'retirement',
+    DRSE: 'drsEnabled',
+    DRSD: 'drsDisabled',
+    TMPT: 'teamMateInPits',
+    CHQF: 'chequeredFlag',
+    RCWN: 'raceWinner',
+    PENA: 'penalty',
+    SPTP: 'speedTrap',
+    STLG: 'startLights',
+    LGOT: 'lightsOut',
+    DTSV: 'driveThroughServed',
+    SGSV: 'stopGoServed',
+    FLBK: 'flashback',
+    BUTN: 'buttons',
+    RDFL: 'redFlag',
+    OVTK: 'overtake',
+    SCAR: 'safetyCar',
+    COLL: 'collision'
+};
+
+/** Byte offset of the eventDetails union in the Event packet, the same in every format */
+const EVENT_DETAILS_OFFSET = PacketEventData.fields
+    .find((field) => field.name === 'eventDetails').offset;
+
+/** Scale of the normalised int16 direction vectors in the Motion packet */
+const NORMALISED_VECTOR_SCALE = 32767.0;
+
+/**
+ * Convert the normalised int16 direction vectors of a car to unit floats
+ *
+ * @private
+ * @param {Object} car - Decoded CarMotionData
+ * @returns {Object} The same object, with direction vectors in -1.0 .. 1.0
+ */
+function normaliseCarMotion(car) {
+    car.worldForwardDirX /= NORMALISED_VECTOR_SCALE;
+    car.worldForwardDirY /= NORMALISED_VECTOR_SCALE;
+    car.worldForwardDirZ /= NORMALISED_VECTOR_SCALE;
+    car.worldRightDirX /= NORMALISED_VECTOR_SCALE;
+    car.worldRightDirY /= NORMALISED_VECTOR_SCALE;
+    car.worldRightDirZ /= NORMALISED_VECTOR_SCALE;
+    return car;
+}
+
+/**
+ * Replace the raw eventDetails bytes with the struct for the event code
+ *
+ * @private
+ * @param {Object} packet - Decoded PacketEventData
+ * @param {Buffer} buffer - Raw packet buffer
+ * @param {PacketLayout} layout - Layout of the packet format
+ * @returns {Object} The same packet, with `eventType` and decoded `eventDetails`
+ */
+function decodeEventDetails(packet, buffer, layout) {
+    const struct = layout.eventDetails[packet.eventStringCode];
+
+    packet.eventType = EVENT_TYPES[packet.eventStringCode] || 'unknown';
+    packet.eventDetails = struct ? decodeStruct(struct, buffer, EVENT_DETAILS_OFFSET) : {};
+    return packet;
+}
+
+/**
+ * Post-processing applied to decoded packets, keyed by packet ID
+ *
+ * @private
+ * @constant {Object.<number, function(Object, Buffer, PacketLayout): Object>}
+ */
+const PACKET_TRANSFORMS = {
+    0: (packet) => {
+        packet.carMotionData.forEach(normaliseCarMotion);
+        return packet;
+    },
+    3: decodeEventDetails
+};
+
+/**
+ * Parse the 29-byte packet header
+ *
+ * @param {Buffer} buffer - Raw packet buffer
+ * @returns {PacketHeader|null} Parsed header, or null if the buffer is too short
+ */
+function parseHeader(buffer) {
+    return decodeStruct(PacketHeader, buffer);
+}
+
+/**
+ * Decode a packet with the layout of its packet format and version
+ *
+ * @private
+ * @param {Buffer} buffer - Raw packet buffer
+ * @param {number} packetId - Packet type the buffer is expected to hold
+ * @returns {{packet: Object, layout: PacketLayout}|null} Decoded packet and its layout,
+ * or null if the format is not supported or the buffer is too short
+ */
+function decodeWithLayout(buffer, packetId) {
+    const header = parseHeader(buffer);
+    if (!header) {
+        return null;
+    }
+
+    const layout = getPacketLayout(header.packetFormat, header.packetVersion);
+    const struct = layout && layout.structs[packetId];
+    if (!struct) {
+        return null;
+    }
+
+    const packet = decodeStruct(struct, buffer);
+    return packet ? { packet, layout } : null;
+}
+
+/**
+ * Decode a packet of a known type, see decodeWithLayout
+ *
+ * @private
+ * @param {Buffer} buffer - Raw packet buffer
+ * @param {number} packetId - Packet type the buffer is expected to hold
+ * @returns {Object|null} Decoded packet, or null if the format is not supported
+ * or the buffer is too short
+ */
+function decodePacket(buffer, packetId) {
+    const decoded = decodeWithLayout(buffer, packetId);
+    return decoded ? decoded.packet : null;
+}
+
+/**
+ * Parse a complete packet, header included
+ * The layout is picked from the packet format and version in the header
+ *
+ * @param {Buffer} buffer - Raw packet buffer
+ * @param {PacketHeader} [header] - Already parsed header, to avoid decoding it twice
+ * @returns {Object|null} Decoded packet with a `header` property, or null if the
+ * packet format or ID is unknown or the buffer is shorter than the packet layout
+ */
+function parsePacket(buffer, header = parseHeader(buffer)) {
+    if (!header) {
+        return null;
+    }
+
+    const layout = getPacketLayout(header.packetFormat, header.packetVersion);
+    const struct = layout && layout.structs[header.packetId];
+    if (!struct) {
+        return null;
+    }
+
+    const packet = decodeStruct(struct, buffer);
+    const transform = PACKET_TRANSFORMS[header.packetId];
+
+    return packet && transform ? transform(packet, buffer, layout) : packet;
+}
+
+/**
+ * Parse a Motion packet into the motion data of every car
+ *
+ * @param {Buffer} buffer - Raw Motion packet buffer
+ * @returns {Object[]|null} CarMotionData for all 22 cars, indexed by car index,
+ * or null if the buffer is not a complete Motion packet
+ *
+ * @example
+ * ```javascript
+ * const cars = parseMotion(buffer);
+ * const { worldPositionX, worldPositionZ } = cars[header.playerCarIndex];
+ * ```
+ */
+function parseMotion(buffer) {
+    const packet = decodePacket(buffer, 0);
+    if (!packet) {
+        return null;
+    }
+    return PACKET_TRANSFORMS[0](packet).carMotionData;
+}
+
+/**
+ * @typedef {Object} SessionAssists
+ * @property {number} steering - 0 = off, 1 = on
+ * @property {number} braking - 0 = off, 1 = low, 2 = medium, 3 = high
+ * @property {number} gearbox - 1 = manual, 2 = manual & suggested gear, 3 = auto
+ * @property {number} pit - 0 = off, 1 = on
+ * @property {number} pitRelease - 0 = off, 1 = on
+ * @property {number} ers - 0 = off, 1 = on
+ * @property {number} drs - 0 = off, 1 = on
+ * @property {number} dynamicRacingLine - 0 = off, 1 = corners only, 2 = full
+ * @property {number} dynamicRacingLineType - 0 = 2D, 1 = 3D
+ */
+
+/**
+ * Convert a decoded Session packet, see parseSession
+ *
+ * @param {Object} packet - Decoded PacketSessionData
+ * @returns {Object} Decoded session without the header
+ */
+function toSession(packet) {
+    const {
+        header,
+        steeringAssist,
+        brakingAssist,
+        gearboxAssist,
+        pitAssist,
+        pitReleaseAssist,
+        ERSAssist,
+        DRSAssist,
+        dynamicRacingLine,
+        dynamicRacingLineType,
+        ...session
+    } = packet;
+
+    if (session.weekendStructure) {
+        session.weekendStructure = session.weekendStructure.slice(0, session.numSessionsInWeekend);
+    }
+
+    return {
+        ...session,
+        gamePaused: session.gamePaused === 1,
+        isSpectating: session.isSpectating === 1,
+        networkGame: session.networkGame === 1,
+        marshalZones: session.marshalZones.slice(0, session.numMarshalZones),
+        weatherForecastSamples: session.weatherForecastSamples.slice(0, session.numWeatherForecastSamples),
+        assists: {
+            steering: steeringAssist,
+            braking: brakingAssist,
+            gearbox: gearboxAssist,
+            pit: pitAssist,
+            pitRelease: pitReleaseAssist,
+            ers: ERSAssist,
+            drs: DRSAssist,
+            dynamicRacingLine,
+            dynamicRacingLineType
+        }
+    };
+}
+
+/**
+ * Parse a Session packet
+ * Marshal zones, forecast samples and the weekend structure are trimmed to the
+ * number of entries in use, and the assist settings are grouped in `assists`
+ *
+ * @param {Buffer} buffer - Raw Session packet buffer
+ * @returns {Object|null} Decoded session without the header, or null if the
+ * buffer is not a complete Session packet
+ *
+ * @example
+ * ```javascript
+ * const session = parseSession(buffer);
+ * console.log(`Pit window: laps ${session.pitStopWindowIdealLap}-${session.pitStopWindowLatestLap}`);
+ * session.weatherForecastSamples.forEach(({ timeOffset, rainPercentage }) => {
+ *   console.log(`+${timeOffset}min: ${rainPercentage}% rain`);
+ * });
+ * ```
+ */
+function parseSession(buffer) {
+    const packet = decodePacket(buffer, 1);
+    return packet ? toSession(packet) : null;
+}
+
+/**
+ * Parse an Event packet
+ *
+ * @param {Buffer} buffer - Raw Event packet buffer
+ * @returns {{eventStringCode: string, eventType: string, eventDetails: Object}|null}
+ * Decoded event, or null if the buffer is not a complete Event packet
+ *
+ * @example
+ * ```javascript
+ * const event = parseEvent(buffer);
+ * if (event.eventStringCode === 'PENA') {
+ *   console.log(`Car ${event.eventDetails.vehicleIdx}: ${event.eventDetails.time}s penalty`);
+ * }
+ * ```
+ */
+function parseEvent(buffer) {
+    const decoded = decodeWithLayout(buffer, 3);
+    if (!decoded) {
+        return null;
+    }
+
+    const { eventStringCode, eventType, eventDetails } = decodeEventDetails(decoded.packet, buffer, decoded.layout);
+    return { eventStringCode, eventType, eventDetails };
+}
+
+/**
+ * @typedef {Object} CarDamage
+ * @property {Object} tyres - Per-wheel arrays, ordered RL, RR, FL, FR
+ * @property {number[]} tyres.wear - Tyre wear (percentage)
+ * @property {number[]} tyres.damage - Tyre damage (percentage)
+ * @property {number[]} tyres.blisters - Tyre blisters (percentage)
+ * @property {number[]} brakes - Brake damage per wheel (percentage)
+ * @property {Object} aero - Bodywork damage (percentage)
+ * @property {number} aero.frontLeftWing
+ * @property {number} aero.frontRightWing
+ * @property {number} aero.rearWing
+ * @property {number} aero.floor
+ * @property {number} aero.diffuser
+ * @property {number} aero.sidepod
+ * @property {number} gearbox - Gearbox damage (percentage)
+ * @property {Object} engine - Power unit damage and component wear (percentage)
+ * @property {number} engine.damage
+ * @property {number} engine.mguh - MGU-H wear
+ * @property {number} engine.es - Energy store wear
+ * @property {number} engine.ce - Control electronics wear
+ * @property {number} engine.ice - Internal combustion engine wear
+ * @property {number} engine.mguk - MGU-K wear
+ * @property {number} engine.tc - Turbo charger wear
+ * @property {boolean} engine.blown
+ * @property {boolean} engine.seized
+ * @property {Object} faults - System faults
+ * @property {boolean} faults.drs
+ * @property {boolean} faults.ers
+ */
+
+/**
+ * Build the damage model of a car from its decoded CarDamageData
+ *
+ * @param {Object} damage - Decoded CarDamageData
+ * @returns {CarDamage} Grouped damage model
+ */
+function toCarDamage(damage) {
+    return {
+        tyres: {
+            wear: damage.tyresWear,
+            damage: damage.tyresDamage,
+            blisters: damage.tyreBlisters
+        },
+        brakes: damage.brakesDamage,
+        aero: {
+            frontLeftWing: damage.frontLeftWingDamage,
+            frontRightWing: damage.frontRightWingDamage,
+            rearWing: damage.rearWingDamage,
+            floor: damage.floorDamage,
+            diffuser: damage.diffuserDamage,
+            sidepod: damage.sidepodDamage
+        },
+        gearbox: damage.gearBoxDamage,
+        engine: {
+            damage: damage.engineDamage,
+            mguh: damage.engineMGUHWear,
+            es: damage.engineESWear,
+            ce: damage.engineCEWear,
+            ice: damage.engineICEWear,
+            mguk: damage.engineMGUKWear,
+            tc: damage.engineTCWear,
+            blown: damage.engineBlown === 1,
+            seized: damage.engineSeized === 1
+        },
+        faults: {
+            drs: damage.drsFault === 1,
+            ers: damage.ersFault === 1
+        }
+    };
+}
+
+/**
+ * Parse a Car Damage packet into the damage model of every car
+ *
+ * @param {Buffer} buffer - Raw Car Damage packet buffer
+ * @returns {CarDamage[]|null} Damage for all 22 cars, indexed by car index,
+ * or null if the buffer is not a complete Car Damage packet
+ */
+function parseCarDamage(buffer) {
+    const packet = decodePacket(buffer, 10);
+    if (!packet) {
+        return null;
+    }
+    return packet.carDamageData.map(toCarDamage);
+}
+
+/**
+ * Bit flags of LapHistoryData.lapValidBitFlags
+ *
+ * @constant {Object.<string, number>}
+ * @readonly
+ */
+const LAP_VALID_FLAGS = {
+    LAP: 0x01,
+    SECTOR_1: 0x02,
+    SECTOR_2: 0x04,
+    SECTOR_3: 0x08
+};
+
+/**
+ * @typedef {Object} LapHistory
+ * @property {number} lapNum - Lap number, starting at 1
+ * @property {number} lapTimeInMS - Lap time, 0 while the lap is in progress
+ * @property {number} sector1TimeInMS
+ * @property {number} sector2TimeInMS
+ * @property {number} sector3TimeInMS
+ * @property {boolean} lapValid
+ * @property {boolean} sector1Valid
+ * @property {boolean} sector2Valid
+ * @property {boolean} sector3Valid
+ */
+
+/**
+ * @typedef {Object} TyreStint
+ * @property {number} endLap - Last lap of the stint, 255 for the current stint
+ * @property {number} tyreActualCompound
+ * @property {number} tyreVisualCompound
+ */
+
+/**
+ * @typedef {Object} SessionHistory
+ * @property {number} carIdx - Index of the car this history belongs to
+ * @property {number} bestLapTimeLapNum - Lap the best lap time was set on
+ * @property {number} bestSector1LapNum
+ * @property {number} bestSector2LapNum
+ * @property {number} bestSector3LapNum
+ * @property {LapHistory[]} laps - Laps so far, including the current one
+ * @property {TyreStint[]} tyreStints - Tyre stints so far, including the current one
+ */
+
+/**
+ * Convert a decoded Session History packet, see parseSessionHistory
+ *
+ * @param {Object} packet - Decoded PacketSessionHistoryData
+ * @returns {SessionHistory} History of one car
+ */
+function toSessionHistory(packet) {
+    const laps = packet.lapHistoryData
+        .slice(0, packet.numLaps)
+        .map((lap, i) => ({
+            lapNum: i + 1,
+            lapTimeInMS: lap.lapTimeInMS,
+            sector1TimeInMS: lap.sector1TimeMinutesPart * 60000 + lap.sector1TimeMSPart,
+            sector2TimeInMS: lap.sector2TimeMinutesPart * 60000 + lap.sector2TimeMSPart,
+            sector3TimeInMS: lap.sector3TimeMinutesPart * 60000 + lap.sector3TimeMSPart,
+            lapValid: (lap.lapValidBitFlags & LAP_VALID_FLAGS.LAP) !== 0,
+            sector1Valid: (lap.lapValidBitFlags & LAP_VALID_FLAGS.SECTOR_1) !== 0,
+            sector2Valid: (lap.lapValidBitFlags & LAP_VALID_FLAGS.SECTOR_2) !== 0,
+            sector3Valid: (lap.lapValidBitFlags & LAP_VALID_FLAGS.SECTOR_3) !== 0
+        }));
+
+    return {
+        carIdx: packet.carIdx,
+        bestLapTimeLapNum: packet.bestLapTimeLapNum,
+        bestSector1LapNum: packet.bestSector1LapNum,
+        bestSector2LapNum: packet.bestSector2LapNum,
+        bestSector3LapNum: packet.bestSector3LapNum,
+        laps,
+        tyreStints: packet.tyreStintsHistoryData.slice(0, packet.numTyreStints)
+    };
+}
+
+/**
+ * Parse a Session History packet
+ * Only the laps and stints in use are returned, with sector times joined
+ * from their minute and millisecond parts
+ *
+ * @param {Buffer} buffer - Raw Session History packet buffer
+ * @returns {SessionHistory|null} History of one car, or null if the buffer is
+ * not a complete Session History packet
+ */
+function parseSessionHistory(buffer) {
+    const packet = decodePacket(buffer, 11);
+    return packet ? toSessionHistory(packet) : null;
+}
+
+/**
+ * @typedef {Object} TyreSet
+ * @property {number} setIdx - Index of the set in the allocation (0-12 dry, 13-19 wet)
+ * @property {number} actualTyreCompound
+ * @property {number} visualTyreCompound
+ * @property {number} wear - Wear (percentage)
+ * @property {boolean} available - Whether the set can still be used
+ * @property {number} recommendedSession - Session type the set is recommended for
+ * @property {number} lifeSpan - Laps left in this set
+ * @property {number} usableLife - Maximum number of laps recommended for this compound
+ * @property {number} lapDeltaTime - Lap delta in milliseconds compared to the fitted set
+ * @property {boolean} fitted - Whether the set is currently fitted
+ */
+
+/**
+ * @typedef {Object} TyreSets
+ * @property {number} carIdx - Index of the car the sets belong to
+ * @property {number} fittedIdx - Index of the fitted set
+ * @property {TyreSet[]} sets - All 20 sets of the allocation
+ */
+
+/**
+ * Convert a decoded Tyre Sets packet, see parseTyreSets
+ *
+ * @param {Object} packet - Decoded PacketTyreSetsData
+ * @returns {TyreSets} Tyre sets of one car
+ */
+function toTyreSets(packet) {
+    return {
+        carIdx: packet.carIdx,
+        fittedIdx: packet.fittedIdx,
+        sets: packet.tyreSetData.map((set, setIdx) => ({
+            setIdx,
+            ...set,
+            available: set.available === 1,
+            fitted: set.fitted === 1
+        }))
+    };
+}
+
+/**
+ * Parse a Tyre Sets packet
+ *
+ * @param {Buffer} buffer - Raw Tyre Sets packet buffer
+ * @returns {TyreSets|null} Tyre sets of one car, or null if the buffer is not a
+ * complete Tyre Sets packet
+ */
+function parseTyreSets(buffer) {
+    const packet = decodePacket(buffer, 12);
+    return packet ? toTyreSets(packet) : null;
+}
+
+/**
+ * @typedef {Object} RaceResult
+ * @property {number} carIdx - Index of the car
+ * @property {number} position - Finishing position
+ * @property {number} numLaps - Number of laps completed
+ * @property {number} gridPosition - Grid position of the car
+ * @property {number} points - Number of points scored
+ * @property {number} numPitStops - Number of pit stops made
+ * @property {number} resultStatus - 0 = invalid, 1 = inactive, 2 = active, 3 = finished,
+ * 4 = did not finish, 5 = disqualified, 6 = not classified, 7 = retired
+ * @property {number} resultReason - Reason for the result status
+ * @property {number} bestLapTimeInMS - Best lap time of the session
+ * @property {number} totalRaceTime - Total race time in seconds, without penalties
+ * @property {number} penaltiesTime - Total penalties accumulated in seconds
+ * @property {number} numPenalties - Number of penalties applied
+ * @property {TyreStint[]} tyreStints - Tyre stints of the race
+ */
+
+/**
+ * @typedef {Object} SessionResults
+ * @property {number} numCars - Number of cars in the final classification
+ * @property {RaceResult[]} results - Results ordered by finishing position
+ */
+
+/**
+ * Convert a decoded Final Classification packet, see parseFinalClassification
+ *
+ * @param {Object} packet - Decoded PacketFinalClassificationData
+ * @returns {SessionResults} Results of the session
+ */
+function toFinalClassification(packet) {
+    const results = packet.classificationData
+        .slice(0, packet.numCars)
+        .map((car, carIdx) => ({
+            carIdx,
+            position: car.position,
+            numLaps: car.numLaps,
+            gridPosition: car.gridPosition,
+            points: car.points,
+            numPitStops: car.numPitStops,
+            resultStatus: car.resultStatus,
+            resultReason: car.resultReason,
+            bestLapTimeInMS: car.bestLapTimeInMS,
+            totalRaceTime: car.totalRaceTime,
+            penaltiesTime: car.penaltiesTime,
+            numPenalties: car.numPenalties,
+            tyreStints: car.tyreStintsEndLaps
+                .slice(0, car.numTyreStints)
+                .map((endLap, i) => ({
+                    endLap,
+                    tyreActualCompound: car.tyreStintsActual[i],
+                    tyreVisualCompound: car.tyreStintsVisual[i]
+                }))
+        }))
+        .sort((a, b) => a.position - b.position);
+
+    return { numCars: packet.numCars, results };
+}
+
+/**
+ * Parse a Final Classification packet
+ *
+ * @param {Buffer} buffer - Raw Final Classification packet buffer
+ * @returns {SessionResults|null} Results of the session, or null if the buffer
+ * is not a complete Final Classification packet
+ */
+function parseFinalClassification(buffer) {
+    const packet = decodePacket(buffer, 8);
+    return packet ? toFinalClassification(packet) : null;
+}
+
+/**
+ * Parse a Car Setups packet
+ *
+ * @param {Buffer} buffer - Raw Car Setups packet buffer
+ * @returns {Object[]|null} CarSetupData for all 22 cars, indexed by car index,
+ * or null if the buffer is not a complete Car Setups packet
+ */
+function parseCarSetups(buffer) {
+    const packet = decodePacket(buffer, 5);
+    return packet ? packet.carSetups : null;
+}
+
+/**
+ * @typedef {Object} Vector3
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ */
+
+/**
+ * @typedef {Object} PhysicsChannels
+ * @property {Object} suspension - Per-wheel arrays, ordered RL, RR, FL, FR
+ * @property {number[]} suspension.position
+ * @property {number[]} suspension.velocity
+ * @property {number[]} suspension.acceleration
+ * @property {Object} wheels - Per-wheel arrays, ordered RL, RR, FL, FR
+ * @property {number[]} wheels.speed - Speed of each wheel
+ * @property {number[]} wheels.slipRatio - Slip ratio of each wheel
+ * @property {number[]} wheels.slipAngle - Slip angle of each wheel
+ * @property {number[]} wheels.latForce - Lateral force of each wheel
+ * @property {number[]} wheels.longForce - Longitudinal force of each wheel
+ * @property {number[]} wheels.vertForce - Vertical force (load) of each wheel
+ * @property {number[]} wheels.camber - Camber of each wheel in radians
+ * @property {number[]} wheels.camberGain - Camber gain of each wheel in radians
+ * @property {Vector3} localVelocity - Velocity in local space, metres/s
+ * @property {Vector3} angularVelocity - Radians/s
+ * @property {Vector3} angularAcceleration - Radians/s/s
+ * @property {number} frontWheelsAngle - Current front wheels angle in radians
+ * @property {number} heightOfCOGAboveGround - Height of centre of gravity above ground
+ * @property {Object} aero
+ * @property {number} aero.frontHeight - Front plank edge height above road surface
+ * @property {number} aero.rearHeight - Rear plank edge height above road surface
+ * @property {number} aero.frontRollAngle - Roll angle of the front suspension
+ * @property {number} aero.rearRollAngle - Roll angle of the rear suspension
+ * @property {Object} chassis
+ * @property {number} chassis.yaw - Yaw angle of the chassis relative to the direction of motion, radians
+ * @property {number} chassis.pitch - Pitch angle of the chassis relative to the direction of motion, radians
+ */
+
+/**
+ * Group the decoded Motion Ex payload into physics channels
+ *
+ * @param {Object} motionEx - Decoded PacketMotionExData
+ * @returns {PhysicsChannels} Physics channels of the player car
+ */
+function toPhysicsChannels(motionEx) {
+    return {
+        suspension: {
+            position: motionEx.suspensionPosition,
+            velocity: motionEx.suspensionVelocity,
+            acceleration: motionEx.suspensionAcceleration
+        },
+        wheels: {
+            speed: motionEx.wheelSpeed,
+            slipRatio: motionEx.wheelSlipRatio,
+            slipAngle: motionEx.wheelSlipAngle,
+            latForce: motionEx.wheelLatForce,
+            longForce: motionEx.wheelLongForce,
+            vertForce: motionEx.wheelVertForce,
+            camber: motionEx.wheelCamber,
+            camberGain: motionEx.wheelCamberGain
+        },
+        localVelocity: {
+            x: motionEx.localVelocityX,
+            y: motionEx.localVelocityY,
+            z: motionEx.localVelocityZ
+        },
+        angularVelocity: {
+            x: motionEx.angularVelocityX,
+            y: motionEx.angularVelocityY,
+            z: motionEx.angularVelocityZ
+        },
+        angularAcceleration: {
+            x: motionEx.angularAccelerationX,
+            y: motionEx.angularAccelerationY,
+            z: motionEx.angularAccelerationZ
+        },
+        frontWheelsAngle: motionEx.frontWheelsAngle,
+        heightOfCOGAboveGround: motionEx.heightOfCOGAboveGround,
+        aero: {
+            frontHeight: motionEx.frontAeroHeight,
+            rearHeight: motionEx.rearAeroHeight,
+            frontRollAngle: motionEx.frontRollAngle,
+            rearRollAngle: motionEx.rearRollAngle
+        },
+        chassis: {
+            yaw: motionEx.chassisYaw,
+            pitch: motionEx.chassisPitch
+        }
+    };
+}
+
+/**
+ * Parse a Motion Ex packet into the physics channels of the player car
+ *
+ * @param {Buffer} buffer - Raw Motion Ex packet buffer
+ * @returns {PhysicsChannels|null} Physics channels, or null if the buffer is not
+ * a complete Motion Ex packet
+ */
+function parseMotionEx(buffer) {
+    const packet = decodePacket(buffer, 13);
+    return packet ? toPhysicsChannels(packet) : null;
+}
+
+/**
+ * @typedef {Object} LobbyPlayer
+ * @property {boolean} aiControlled
+ * @property {number} teamId
+ * @property {number} nationality
+ * @property {number} platform - 1 = Steam, 3 = PlayStation, 4 = Xbox, 6 = Origin, 255 = unknown
+ * @property {string} name
+ * @property {number} carNumber
+ * @property {boolean} yourTelemetry - Whether the player's telemetry is public
+ * @property {boolean} showOnlineNames
+ * @property {number} techLevel
+ * @property {number} readyStatus - 0 = not ready, 1 = ready, 2 = spectating
+ */
+
+/**
+ * Convert a decoded Lobby Info packet, see parseLobbyInfo
+ *
+ * @param {Object} packet - Decoded PacketLobbyInfoData
+ * @returns {LobbyPlayer[]} Players in the lobby
+ */
+function toLobbyPlayers(packet) {
+    return packet.lobbyPlayers
+        .slice(0, packet.numPlayers)
+        .map((player) => ({
+            ...player,
+            aiControlled: player.aiControlled === 1,
+            yourTelemetry: player.yourTelemetry === 1,
+            showOnlineNames: player.showOnlineNames === 1
+        }));
+}
+
+/**
+ * Parse a Lobby Info packet
+ *
+ * @param {Buffer} buffer - Raw Lobby Info packet buffer
+ * @returns {LobbyPlayer[]|null} Players in the lobby, or null if the buffer is
+ * not a complete Lobby Info packet
+ */
+function parseLobbyInfo(buffer) {
+    const packet = decodePacket(buffer, 9);
+    return packet ? toLobbyPlayers(packet) : null;
+}
+
+/**
+ * @typedef {Object} TimeTrialLap
+ * @property {number} carIdx - Index of the car this data relates to
+ * @property {number} teamId
+ * @property {number} lapTimeInMS
+ * @property {number} sector1TimeInMS
+ * @property {number} sector2TimeInMS
+ * @property {number} sector3TimeInMS
+ * @property {boolean} valid - Whether the lap is valid
+ * @property {Object} assists - Assist settings used for the lap
+ * @property {number} assists.tractionControl - 0 = off, 1 = medium, 2 = full
+ * @property {number} assists.gearboxAssist - 1 = manual, 2 = manual & suggested gear, 3 = auto
+ * @property {boolean} assists.antiLockBrakes
+ * @property {boolean} assists.equalCarPerformance
+ * @property {boolean} assists.customSetup
+ */
+
+/**
+ * @typedef {Object} TimeTrial
+ * @property {TimeTrialLap} playerSessionBest - Best lap of the player this session
+ * @property {TimeTrialLap} personalBest - Personal best of the player
+ * @property {TimeTrialLap} rival - Lap of the rival
+ */
+
+/**
+ * Convert a decoded TimeTrialDataSet into a lap with grouped assists
+ *
+ * @private
+ * @param {Object} dataSet - Decoded TimeTrialDataSet
+ * @returns {TimeTrialLap} Time trial lap
+ */
+function toTimeTrialLap(dataSet) {
+    return {
+        carIdx: dataSet.carIdx,
+        teamId: dataSet.teamId,
+        lapTimeInMS: dataSet.lapTimeInMS,
+        sector1TimeInMS: dataSet.sector1TimeInMS,
+        sector2TimeInMS: dataSet.sector2TimeInMS,
+        sector3TimeInMS: dataSet.sector3TimeInMS,
+        valid: dataSet.valid === 1,
+        assists: {
+            tractionControl: dataSet.tractionControl,
+            gearboxAssist: dataSet.gearboxAssist,
+            antiLockBrakes: dataSet.antiLockBrakes === 1,
+            equalCarPerformance: dataSet.equalCarPerformance === 1,
+            customSetup: dataSet.customSetup === 1
+        }
+    };
+}
+
+/**
+ * Convert a decoded Time Trial packet, see parseTimeTrial
+ *
+ * @param {Object} packet - Decoded PacketTimeTrialData
+ * @returns {TimeTrial} Time trial laps
+ */
+function toTimeTrial(packet) {
+    return {
+        playerSessionBest: toTimeTrialLap(packet.playerSessionBestDataSet),
+        personalBest: toTimeTrialLap(packet.personalBestDataSet),
+        rival: toTimeTrialLap(packet.rivalDataSet)
+    };
+}
+
+/**
+ * Parse a Time Trial packet
+ *
+ * @param {Buffer} buffer - Raw Time Trial packet buffer
+ * @returns {TimeTrial|null} Time trial laps, or null if the buffer is not a
+ * complete Time Trial packet
+ */
+function parseTimeTrial(buffer) {
+    const packet = decodePacket(buffer, 14);
+    return packet ? toTimeTrial(packet) : null;
+}
+
+/**
+ * Get the expected size of a packet type in bytes
+ *
+ * @param {number} packetId - Packet type identifier
+ * @param {number} [packetFormat=2025] - Packet format of the game
+ * @returns {number|null} Packet size, or null if the packet ID or format is unknown
+ */
+function getPacketSize(packetId, packetFormat = DEFAULT_PACKET_FORMAT) {
+    const layout = getPacketLayout(packetFormat);
+    const struct = layout && layout.structs[packetId];
+    return struct ? struct.size : null;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    LAP_VALID_FLAGS,
+    parseHeader,
+    parsePacket,
+    parseMotion,
+    parseSession,
+    toSession,
+    parseEvent,
+    parseCarDamage,
+    toCarDamage,
+    parseSessionHistory,
+    toSessionHistory,
+    parseTyreSets,
+    toTyreSets,
+    parseFinalClassification,
+    toFinalClassification,
+    parseCarSetups,
+    parseMotionEx,
+    toPhysicsChannels,
+    parseLobbyInfo,
+    toLobbyPlayers,
+    parseTimeTrial,
+    toTimeTrial,
+    getPacketSize
+};
@@ -0,0 +1,681 @@
+/**
+ * F1 25 UDP packet layouts
+ *
+ * @description
+ * Struct definitions for the F1 25 UDP specification, written as field lists
+ * for the struct decoder. Struct and field names follow the official
+ * specification (without the `m_` prefix), so each layout can be checked
+ * against the spec line by line.
+ *
+ * Every packet struct starts with the 29-byte PacketHeader, so `struct.size`
+ * is the full size of the UDP datagram.
+ *
+ * @module packet-structs
+ */
+
+const { defineStruct } = require('./struct-decoder');
+
+/** Maximum number of cars in a session */
+const MAX_CARS = 22;
+
+// Header (29 bytes) - always at the start of every packet
+const PacketHeader = defineStruct('PacketHeader', [
+    ['uint16', 'packetFormat'],           // 2025
+    ['uint8', 'gameYear'],                // Game year - last two digits e.g. 25
+    ['uint8', 'gameMajorVersion'],        // Game major version - "X.00"
+    ['uint8', 'gameMinorVersion'],        // Game minor version - "1.XX"
+    ['uint8', 'packetVersion'],           // Version of this packet type
+    ['uint8', 'packetId'],                // Identifier for the packet type
+    ['uint64', 'sessionUID'],             // Unique identifier for the session
+    ['float', 'sessionTime'],             // Session timestamp
+    ['uint32', 'frameIdentifier'],        // Identifier for the frame the data was retrieved on
+    ['uint32', 'overallFrameIdentifier'], // Overall identifier, doesn't go back after flashbacks
+    ['uint8', 'playerCarIndex'],          // Index of player's car in the array
+    ['uint8', 'secondaryPlayerCarIndex']  // Index of secondary player's car (255 if none)
+]);
+
+// Motion (packet 0)
+const CarMotionData = defineStruct('CarMotionData', [
+    ['float', 'worldPositionX'],
+    ['float', 'worldPositionY'],
+    ['float', 'worldPositionZ'],
+    ['float', 'worldVelocityX'],
+    ['float', 'worldVelocityY'],
+    ['float', 'worldVelocityZ'],
+    ['int16', 'worldForwardDirX'],        // Normalised, divide by 32767.0
+    ['int16', 'worldForwardDirY'],
+    ['int16', 'worldForwardDirZ'],
+    ['int16', 'worldRightDirX'],
+    ['int16', 'worldRightDirY'],
+    ['int16', 'worldRightDirZ'],
+    ['float', 'gForceLateral'],
+    ['float', 'gForceLongitudinal'],
+    ['float', 'gForceVertical'],
+    ['float', 'yaw'],                     // Radians
+    ['float', 'pitch'],
+    ['float', 'roll']
+]);
+
+const PacketMotionData = defineStruct('PacketMotionData', [
+    [PacketHeader, 'header'],
+    [CarMotionData, 'carMotionData', MAX_CARS]
+]);
+
+// Session (packet 1)
+const MarshalZone = defineStruct('MarshalZone', [
+    ['float', 'zoneStart'],               // Fraction (0..1) of way through the lap
+    ['int8', 'zoneFlag']                  // -1 = invalid, 0 = none, 1 = green, 2 = blue, 3 = yellow
+]);
+
+const WeatherForecastSample = defineStruct('WeatherForecastSample', [
+    ['uint8', 'sessionType'],
+    ['uint8', 'timeOffset'],              // Time in minutes the forecast is for
+    ['uint8', 'weather'],
+    ['int8', 'trackTemperature'],
+    ['int8', 'trackTemperatureChange'],   // 0 = up, 1 = down, 2 = no change
+    ['int8', 'airTemperature'],
+    ['int8', 'airTemperatureChange'],
+    ['uint8', 'rainPercentage']
+]);
+
+const PacketSessionData = defineStruct('PacketSessionData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'weather'],
+    ['int8', 'trackTemperature'],
+    ['int8', 'airTemperature'],
+    ['uint8', 'totalLaps'],
+    ['uint16', 'trackLength'],
+    ['uint8', 'sessionType'],
+    ['int8', 'trackId'],
+    ['uint8', 'formula'],
+    ['uint16', 'sessionTimeLeft'],
+    ['uint16', 'sessionDuration'],
+    ['uint8', 'pitSpeedLimit'],
+    ['uint8', 'gamePaused'],
+    ['uint8', 'isSpectating'],
+    ['uint8', 'spectatorCarIndex'],
+    ['uint8', 'sliProNativeSupport'],
+    ['uint8', 'numMarshalZones'],
+    [MarshalZone, 'marshalZones', 21],
+    ['uint8', 'safetyCarStatus'],
+    ['uint8', 'networkGame'],
+    ['uint8', 'numWeatherForecastSamples'],
+    [WeatherForecastSample, 'weatherForecastSamples', 64],
+    ['uint8', 'forecastAccuracy'],
+    ['uint8', 'aiDifficulty'],
+    ['uint32', 'seasonLinkIdentifier'],
+    ['uint32', 'weekendLinkIdentifier'],
+    ['uint32', 'sessionLinkIdentifier'],
+    ['uint8', 'pitStopWindowIdealLap'],
+    ['uint8', 'pitStopWindowLatestLap'],
+    ['uint8', 'pitStopRejoinPosition'],
+    ['uint8', 'steeringAssist'],
+    ['uint8', 'brakingAssist'],
+    ['uint8', 'gearboxAssist'],
+    ['uint8', 'pitAssist'],
+    ['uint8', 'pitReleaseAssist'],
+    ['uint8', 'ERSAssist'],
+    ['uint8', 'DRSAssist'],
+    ['uint8', 'dynamicRacingLine'],
+    ['uint8', 'dynamicRacingLineType'],
+    ['uint8', 'gameMode'],
+    ['uint8', 'ruleSet'],
+    ['uint32', 'timeOfDay'],
+    ['uint8', 'sessionLength'],
+    ['uint8', 'speedUnitsLeadPlayer'],
+    ['uint8', 'temperatureUnitsLeadPlayer'],
+    ['uint8', 'speedUnitsSecondaryPlayer'],
+    ['uint8', 'temperatureUnitsSecondaryPlayer'],
+    ['uint8', 'numSafetyCarPeriods'],
+    ['uint8', 'numVirtualSafetyCarPeriods'],
+    ['uint8', 'numRedFlagPeriods'],
+    ['uint8', 'equalCarPerformance'],
+    ['uint8', 'recoveryMode'],
+    ['uint8', 'flashbackLimit'],
+    ['uint8', 'surfaceType'],
+    ['uint8', 'lowFuelMode'],
+    ['uint8', 'raceStarts'],
+    ['uint8', 'tyreTemperature'],
+    ['uint8', 'pitLaneTyreSim'],
+    ['uint8', 'carDamage'],
+    ['uint8', 'carDamageRate'],
+    ['uint8', 'collisions'],
+    ['uint8', 'collisionsOffForFirstLapOnly'],
+    ['uint8', 'mpUnsafePitRelease'],
+    ['uint8', 'mpOffForGriefing'],
+    ['uint8', 'cornerCuttingStringency'],
+    ['uint8', 'parcFermeRules'],
+    ['uint8', 'pitStopExperience'],
+    ['uint8', 'safetyCar'],
+    ['uint8', 'safetyCarExperience'],
+    ['uint8', 'formationLap'],
+    ['uint8', 'formationLapExperience'],
+    ['uint8', 'redFlags'],
+    ['uint8', 'affectsLicenceLevelSolo'],
+    ['uint8', 'affectsLicenceLevelMP'],
+    ['uint8', 'numSessionsInWeekend'],
+    ['uint8', 'weekendStructure', 12],
+    ['float', 'sector2LapDistanceStart'],
+    ['float', 'sector3LapDistanceStart']
+]);
+
+// Lap Data (packet 2)
+const LapData = defineStruct('LapData', [
+    ['uint32', 'lastLapTimeInMS'],
+    ['uint32', 'currentLapTimeInMS'],
+    ['uint16', 'sector1TimeMSPart'],
+    ['uint8', 'sector1TimeMinutesPart'],
+    ['uint16', 'sector2TimeMSPart'],
+    ['uint8', 'sector2TimeMinutesPart'],
+    ['uint16', 'deltaToCarInFrontMSPart'],
+    ['uint8', 'deltaToCarInFrontMinutesPart'],
+    ['uint16', 'deltaToRaceLeaderMSPart'],
+    ['uint8', 'deltaToRaceLeaderMinutesPart'],
+    ['float', 'lapDistance'],
+    ['float', 'totalDistance'],
+    ['float', 'safetyCarDelta'],
+    ['uint8', 'carPosition'],
+    ['uint8', 'currentLapNum'],
+    ['uint8', 'pitStatus'],               // 0 = none, 1 = pitting, 2 = in pit area
+    ['uint8', 'numPitStops'],
+    ['uint8', 'sector'],                  // 0 = sector1, 1 = sector2, 2 = sector3
+    ['uint8', 'currentLapInvalid'],
+    ['uint8', 'penalties'],               // Accumulated time penalties in seconds
+    ['uint8', 'totalWarnings'],
+    ['uint8', 'cornerCuttingWarnings'],
+    ['uint8', 'numUnservedDriveThroughPens'],
+    ['uint8', 'numUnservedStopGoPens'],
+    ['uint8', 'gridPosition'],
+    ['uint8', 'driverStatus'],
+    ['uint8', 'resultStatus'],
+    ['uint8', 'pitLaneTimerActive'],
+    ['uint16', 'pitLaneTimeInLaneInMS'],
+    ['uint16', 'pitStopTimerInMS'],
+    ['uint8', 'pitStopShouldServePen'],
+    ['float', 'speedTrapFastestSpeed'],
+    ['uint8', 'speedTrapFastestLap']
+]);
+
+const PacketLapData = defineStruct('PacketLapData', [
+    [PacketHeader, 'header'],
+    [LapData, 'lapData', MAX_CARS],
+    ['uint8', 'timeTrialPBCarIdx'],
+    ['uint8', 'timeTrialRivalCarIdx']
+]);
+
+// Event (packet 3) - eventDetails is a union, one struct per event code
+const FastestLap = defineStruct('FastestLap', [
+    ['uint8', 'vehicleIdx'],
+    ['float', 'lapTime']                  // Seconds
+]);
+
+const Retirement = defineStruct('Retirement', [
+    ['uint8', 'vehicleIdx'],
+    ['uint8', 'reason']
+]);
+
+const DRSDisabled = defineStruct('DRSDisabled', [
+    ['uint8', 'reason']                   // 0 = wet track, 1 = safety car, 2 = red flag, 3 = min lap not reached
+]);
+
+const VehicleEvent = defineStruct('VehicleEvent', [
+    ['uint8', 'vehicleIdx']
+]);
+
+const Penalty = defineStruct('Penalty', [
+    ['uint8', 'penaltyType'],
+    ['uint8', 'infringementType'],
+    ['uint8', 'vehicleIdx'],
+    ['uint8', 'otherVehicleIdx'],
+    ['uint8', 'time'],                    // Time gained or spent doing action, seconds
+    ['uint8', 'lapNum'],
+    ['uint8', 'placesGained']
+]);
+
+const SpeedTrap = defineStruct('SpeedTrap', [
+    ['uint8', 'vehicleIdx'],
+    ['float', 'speed'],                   // km/h
+    ['uint8', 'isOverallFastestInSession'],
+    ['uint8', 'isDriverFastestInSession'],
+    ['uint8', 'fastestVehicleIdxInSession'],
+    ['float', 'fastestSpeedInSession']
+]);
+
+const StartLights = defineStruct('StartLights', [
+    ['uint8', 'numLights']
+]);
+
+const StopGoPenaltyServed = defineStruct('StopGoPenaltyServed', [
+    ['uint8', 'vehicleIdx'],
+    ['float', 'stopTime']                 // Seconds
+]);
+
+const Flashback = defineStruct('Flashback', [
+    ['uint32', 'flashbackFrameIdentifier'],
+    ['float', 'flashbackSessionTime']
+]);
+
+const Buttons = defineStruct('Buttons', [
+    ['uint32', 'buttonStatus']            // Bit flags of the buttons currently pressed
+]);
+
+const Overtake = defineStruct('Overtake', [
+    ['uint8', 'overtakingVehicleIdx'],
+    ['uint8', 'beingOvertakenVehicleIdx']
+]);
+
+const SafetyCar = defineStruct('SafetyCar', [
+    ['uint8', 'safetyCarType'],           // 0 = none, 1 = full, 2 = virtual, 3 = formation lap
+    ['uint8', 'eventType']                // 0 = deployed, 1 = returning, 2 = returned, 3 = resume race
+]);
+
+const Collision = defineStruct('Collision', [
+    ['uint8', 'vehicle1Idx'],
+    ['uint8', 'vehicle2Idx']
+]);
+
+/**
+ * Event detail structs keyed by event string code, null for events without details
+ *
+ * @constant {Object.<string, Struct|null>}
+ * @readonly
+ */
+const EVENT_DETAIL_STRUCTS = {
+    SSTA: null,                           // Session started
+    SEND: null,                           // Session ended
+    FTLP: FastestLap,
+    RTMT: Retirement,
+    DRSE: null,                           // DRS enabled
+    DRSD: DRSDisabled,
+    TMPT: VehicleEvent,                   // Team mate in pits
+    CHQF: null,                           // Chequered flag
+    RCWN: VehicleEvent,                   // Race winner
+    PENA: Penalty,
+    SPTP: SpeedTrap,
+    STLG: StartLights,
+    LGOT: null,                           // Lights out
+    DTSV: VehicleEvent,                   // Drive through penalty served
+    SGSV: StopGoPenaltyServed,
+    FLBK: Flashback,
+    BUTN: Buttons,
+    RDFL: null,                           // Red flag
+    OVTK: Overtake,
+    SCAR: SafetyCar,
+    COLL: Collision
+};
+
+const PacketEventData = defineStruct('PacketEventData', [
+    [PacketHeader, 'header'],
+    ['char', 'eventStringCode', 4],
+    ['uint8', 'eventDetails', 12]         // Union, layout depends on eventStringCode
+]);
+
+// Participants (packet 4)
+const LiveryColour = defineStruct('LiveryColour', [
+    ['uint8', 'red'],
+    ['uint8', 'green'],
+    ['uint8', 'blue']
+]);
+
+const ParticipantData = defineStruct('ParticipantData', [
+    ['uint8', 'aiControlled'],
+    ['uint8', 'driverId'],                // 255 if network human
+    ['uint8', 'networkId'],
+    ['uint8', 'teamId'],
+    ['uint8', 'myTeam'],
+    ['uint8', 'raceNumber'],
+    ['uint8', 'nationality'],
+    ['char', 'name', 32],
+    ['uint8', 'yourTelemetry'],           // 0 = restricted, 1 = public
+    ['uint8', 'showOnlineNames'],
+    ['uint16', 'techLevel'],
+    ['uint8', 'platform'],
+    ['uint8', 'numColours'],
+    [LiveryColour, 'liveryColours', 4]
+]);
+
+const PacketParticipantsData = defineStruct('PacketParticipantsData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'numActiveCars'],
+    [ParticipantData, 'participants', MAX_CARS]
+]);
+
+// Car Setups (packet 5)
+const CarSetupData = defineStruct('CarSetupData', [
+    ['uint8', 'frontWing'],
+    ['uint8', 'rearWing'],
+    ['uint8', 'onThrottle'],              // Differential adjustment on throttle (percentage)
+    ['uint8', 'offThrottle'],             // Differential adjustment off throttle (percentage)
+    ['float', 'frontCamber'],
+    ['float', 'rearCamber'],
+    ['float', 'frontToe'],
+    ['float', 'rearToe'],
+    ['uint8', 'frontSuspension'],
+    ['uint8', 'rearSuspension'],
+    ['uint8', 'frontAntiRollBar'],
+    ['uint8', 'rearAntiRollBar'],
+    ['uint8', 'frontSuspensionHeight'],
+    ['uint8', 'rearSuspensionHeight'],
+    ['uint8', 'brakePressure'],           // Percentage
+    ['uint8', 'brakeBias'],               // Percentage
+    ['uint8', 'engineBraking'],           // Percentage
+    ['float', 'rearLeftTyrePressure'],    // PSI
+    ['float', 'rearRightTyrePressure'],
+    ['float', 'frontLeftTyrePressure'],
+    ['float', 'frontRightTyrePressure'],
+    ['uint8', 'ballast'],
+    ['float', 'fuelLoad']
+]);
+
+const PacketCarSetupData = defineStruct('PacketCarSetupData', [
+    [PacketHeader, 'header'],
+    [CarSetupData, 'carSetups', MAX_CARS],
+    ['float', 'nextFrontWingValue']       // Front wing after next pit stop - player only
+]);
+
+// Car Telemetry (packet 6)
+const CarTelemetryData = defineStruct('CarTelemetryData', [
+    ['uint16', 'speed'],                  // km/h
+    ['float', 'throttle'],                // 0.0 .. 1.0
+    ['float', 'steer'],                   // -1.0 (full left) .. 1.0 (full right)
+    ['float', 'brake'],                   // 0.0 .. 1.0
+    ['uint8', 'clutch'],                  // 0 .. 100
+    ['int8', 'gear'],                     // -1 = R, 0 = N, 1..8
+    ['uint16', 'engineRPM'],
+    ['uint8', 'drs'],
+    ['uint8', 'revLightsPercent'],
+    ['uint16', 'revLightsBitValue'],
+    ['uint16', 'brakesTemperature', 4],   // RL, RR, FL, FR
+    ['uint8', 'tyresSurfaceTemperature', 4],
+    ['uint8', 'tyresInnerTemperature', 4],
+    ['uint16', 'engineTemperature'],
+    ['float', 'tyresPressure', 4],        // PSI
+    ['uint8', 'surfaceType', 4]
+]);
+
+const PacketCarTelemetryData = defineStruct('PacketCarTelemetryData', [
+    [PacketHeader, 'header'],
+    [CarTelemetryData, 'carTelemetryData', MAX_CARS],
+    ['uint8', 'mfdPanelIndex'],
+    ['uint8', 'mfdPanelIndexSecondaryPlayer'],
+    ['int8', 'suggestedGear']             // 0 if no gear suggested
+]);
+
+// Car Status (packet 7)
+const CarStatusData = defineStruct('CarStatusData', [
+    ['uint8', 'tractionControl'],
+    ['uint8', 'antiLockBrakes'],
+    ['uint8', 'fuelMix'],
+    ['uint8', 'frontBrakeBias'],
+    ['uint8', 'pitLimiterStatus'],
+    ['float', 'fuelInTank'],
+    ['float', 'fuelCapacity'],
+    ['float', 'fuelRemainingLaps'],
+    ['uint16', 'maxRPM'],
+    ['uint16', 'idleRPM'],
+    ['uint8', 'maxGears'],
+    ['uint8', 'drsAllowed'],
+    ['uint16', 'drsActivationDistance'],
+    ['uint8', 'actualTyreCompound'],
+    ['uint8', 'visualTyreCompound'],
+    ['uint8', 'tyresAgeLaps'],
+    ['int8', 'vehicleFiaFlags'],
+    ['float', 'enginePowerICE'],
+    ['float', 'enginePowerMGUK'],
+    ['float', 'ersStoreEnergy'],          // Joules
+    ['uint8', 'ersDeployMode'],
+    ['float', 'ersHarvestedThisLapMGUK'],
+    ['float', 'ersHarvestedThisLapMGUH'],
+    ['float', 'ersDeployedThisLap'],
+    ['uint8', 'networkPaused']
+]);
+
+const PacketCarStatusData = defineStruct('PacketCarStatusData', [
+    [PacketHeader, 'header'],
+    [CarStatusData, 'carStatusData', MAX_CARS]
+]);
+
+// Final Classification (packet 8)
+const FinalClassificationData = defineStruct('FinalClassificationData', [
+    ['uint8', 'position'],
+    ['uint8', 'numLaps'],
+    ['uint8', 'gridPosition'],
+    ['uint8', 'points'],
+    ['uint8', 'numPitStops'],
+    ['uint8', 'resultStatus'],
+    ['uint8', 'resultReason'],
+    ['uint32', 'bestLapTimeInMS'],
+    ['double', 'totalRaceTime'],          // Seconds, without penalties
+    ['uint8', 'penaltiesTime'],           // Seconds
+    ['uint8', 'numPenalties'],
+    ['uint8', 'numTyreStints'],
+    ['uint8', 'tyreStintsActual', 8],
+    ['uint8', 'tyreStintsVisual', 8],
+    ['uint8', 'tyreStintsEndLaps', 8]
+]);
+
+const PacketFinalClassificationData = defineStruct('PacketFinalClassificationData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'numCars'],
+    [FinalClassificationData, 'classificationData', MAX_CARS]
+]);
+
+// Lobby Info (packet 9)
+const LobbyInfoData = defineStruct('LobbyInfoData', [
+    ['uint8', 'aiControlled'],
+    ['uint8', 'teamId'],
+    ['uint8', 'nationality'],
+    ['uint8', 'platform'],
+    ['char', 'name', 32],
+    ['uint8', 'carNumber'],
+    ['uint8', 'yourTelemetry'],
+    ['uint8', 'showOnlineNames'],
+    ['uint16', 'techLevel'],
+    ['uint8', 'readyStatus']              // 0 = not ready, 1 = ready, 2 = spectating
+]);
+
+const PacketLobbyInfoData = defineStruct('PacketLobbyInfoData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'numPlayers'],
+    [LobbyInfoData, 'lobbyPlayers', MAX_CARS]
+]);
+
+// Car Damage (packet 10)
+const CarDamageData = defineStruct('CarDamageData', [
+    ['float', 'tyresWear', 4],            // Percentage, RL, RR, FL, FR
+    ['uint8', 'tyresDamage', 4],
+    ['uint8', 'brakesDamage', 4],
+    ['uint8', 'tyreBlisters', 4],
+    ['uint8', 'frontLeftWingDamage'],
+    ['uint8', 'frontRightWingDamage'],
+    ['uint8', 'rearWingDamage'],
+    ['uint8', 'floorDamage'],
+    ['uint8', 'diffuserDamage'],
+    ['uint8', 'sidepodDamage'],
+    ['uint8', 'drsFault'],                // 0 = OK, 1 = fault
+    ['uint8', 'ersFault'],
+    ['uint8', 'gearBoxDamage'],
+    ['uint8', 'engineDamage'],
+    ['uint8', 'engineMGUHWear'],
+    ['uint8', 'engineESWear'],
+    ['uint8', 'engineCEWear'],
+    ['uint8', 'engineICEWear'],
+    ['uint8', 'engineMGUKWear'],
+    ['uint8', 'engineTCWear'],
+    ['uint8', 'engineBlown'],
+    ['uint8', 'engineSeized']
+]);
+
+const PacketCarDamageData = defineStruct('PacketCarDamageData', [
+    [PacketHeader, 'header'],
+    [CarDamageData, 'carDamageData', MAX_CARS]
+]);
+
+// Session History (packet 11)
+const LapHistoryData = defineStruct('LapHistoryData', [
+    ['uint32', 'lapTimeInMS'],
+    ['uint16', 'sector1TimeMSPart'],
+    ['uint8', 'sector1TimeMinutesPart'],
+    ['uint16', 'sector2TimeMSPart'],
+    ['uint8', 'sector2TimeMinutesPart'],
+    ['uint16', 'sector3TimeMSPart'],
+    ['uint8', 'sector3TimeMinutesPart'],
+    ['uint8', 'lapValidBitFlags']         // 0x01 lap, 0x02 S1, 0x04 S2, 0x08 S3 valid
+]);
+
+const TyreStintHistoryData = defineStruct('TyreStintHistoryData', [
+    ['uint8', 'endLap'],                  // 255 if current tyre
+    ['uint8', 'tyreActualCompound'],
+    ['uint8', 'tyreVisualCompound']
+]);
+
+const PacketSessionHistoryData = defineStruct('PacketSessionHistoryData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'carIdx'],
+    ['uint8', 'numLaps'],
+    ['uint8', 'numTyreStints'],
+    ['uint8', 'bestLapTimeLapNum'],
+    ['uint8', 'bestSector1LapNum'],
+    ['uint8', 'bestSector2LapNum'],
+    ['uint8', 'bestSector3LapNum'],
+    [LapHistoryData, 'lapHistoryData', 100],
+    [TyreStintHistoryData, 'tyreStintsHistoryData', 8]
+]);
+
+// Tyre Sets (packet 12)
+const TyreSetData = defineStruct('TyreSetData', [
+    ['uint8', 'actualTyreCompound'],
+    ['uint8', 'visualTyreCompound'],
+    ['uint8', 'wear'],                    // Percentage
+    ['uint8', 'available'],
+    ['uint8', 'recommendedSession'],
+    ['uint8', 'lifeSpan'],                // Laps left in this tyre set
+    ['uint8', 'usableLife'],              // Max number of laps recommended
+    ['int16', 'lapDeltaTime'],            // Milliseconds compared to fitted set
+    ['uint8', 'fitted']
+]);
+
+const PacketTyreSetsData = defineStruct('PacketTyreSetsData', [
+    [PacketHeader, 'header'],
+    ['uint8', 'carIdx'],
+    [TyreSetData, 'tyreSetData', 20],     // 13 dry + 7 wet
+    ['uint8', 'fittedIdx']
+]);
+
+// Motion Ex (packet 13) - player car only, wheel arrays are RL, RR, FL, FR
+const PacketMotionExData = defineStruct('PacketMotionExData', [
+    [PacketHeader, 'header'],
+    ['float', 'suspensionPosition', 4],
+    ['float', 'suspensionVelocity', 4],
+    ['float', 'suspensionAcceleration', 4],
+    ['float', 'wheelSpeed', 4],
+    ['float', 'wheelSlipRatio', 4],
+    ['float', 'wheelSlipAngle', 4],
+    ['float', 'wheelLatForce', 4],
+    ['float', 'wheelLongForce', 4],
+    ['float', 'heightOfCOGAboveGround'],
+    ['float', 'localVelocityX'],          // Velocity in local space, metres/s
+    ['float', 'localVelocityY'],
+    ['float', 'localVelocityZ'],
+    ['float', 'angularVelocityX'],        // Radians/s
+    ['float', 'angularVelocityY'],
+    ['float', 'angularVelocityZ'],
+    ['float', 'angularAccelerationX'],    // Radians/s/s
+    ['float', 'angularAccelerationY'],
+    ['float', 'angularAccelerationZ'],
+    ['float', 'frontWheelsAngle'],        // Radians
+    ['float', 'wheelVertForce', 4],
+    ['float', 'frontAeroHeight'],
+    ['float', 'rearAeroHeight'],
+    ['float', 'frontRollAngle'],
+    ['float', 'rearRollAngle'],
+    ['float', 'chassisYaw'],
+    ['float', 'chassisPitch'],
+    ['float', 'wheelCamber', 4],
+    ['float', 'wheelCamberGain', 4]
+]);
+
+// Time Trial (packet 14)
+const TimeTrialDataSet = defineStruct('TimeTrialDataSet', [
+    ['uint8', 'carIdx'],
+    ['uint8', 'teamId'],
+    ['uint32', 'lapTimeInMS'],
+    ['uint32', 'sector1TimeInMS'],
+    ['uint32', 'sector2TimeInMS'],
+    ['uint32', 'sector3TimeInMS'],
+    ['uint8', 'tractionControl'],
+    ['uint8', 'gearboxAssist'],
+    ['uint8', 'antiLockBrakes'],
+    ['uint8', 'equalCarPerformance'],
+    ['uint8', 'customSetup'],
+    ['uint8', 'valid']
+]);
+
+const PacketTimeTrialData = defineStruct('PacketTimeTrialData', [
+    [PacketHeader, 'header'],
+    [TimeTrialDataSet, 'playerSessionBestDataSet'],
+    [TimeTrialDataSet, 'personalBestDataSet'],
+    [TimeTrialDataSet, 'rivalDataSet']
+]);
+
+/**
+ * Packet structs keyed by packet ID
+ *
+ * @constant {Object.<number, Struct>}
+ * @readonly
+ */
+const PACKET_STRUCTS = {
+    0: PacketMotionData,
+    1: PacketSessionData,
+    2: PacketLapData,
+    3: PacketEventData,
+    4: PacketParticipantsData,
+    5: PacketCarSetupData,
+    6: PacketCarTelemetryData,
+    7: PacketCarStatusData,
+    8: PacketFinalClassificationData,
+    9: PacketLobbyInfoData,
+    10: PacketCarDamageData,
+    11: PacketSessionHistoryData,
+    12: PacketTyreSetsData,
+    13: PacketMotionExData,
+    14: PacketTimeTrialData
+};
+
+module.exports = {
+    MAX_CARS,
+    PACKET_STRUCTS,
+    PacketHeader,
+    CarMotionData,
+    PacketMotionData,
+    MarshalZone,
+    WeatherForecastSample,
+    PacketSessionData,
+    LapData,
+    PacketLapData,
+    EVENT_DETAIL_STRUCTS,
+    PacketEventData,
+    LiveryColour,
+    ParticipantData,
+    PacketParticipantsData,
+    CarSetupData,
+    PacketCarSetupData,
+    CarTelemetryData,
+    PacketCarTelemetryData,
+    CarStatusData,
+    PacketCarStatusData,
+    FinalClassificationData,
+    PacketFinalClassificationData,
+    LobbyInfoData,
+    PacketLobbyInfoData,
+    CarDamageData,
+    PacketCarDamageData,
+    LapHistoryData,
+    TyreStintHistoryData,
+    PacketSessionHistoryData,
+    TyreSetData,
+    PacketTyreSetsData,
+    PacketMotionExData,
+    TimeTrialDataSet,
+    PacketTimeTrialData
+};
@@ -0,0 +1,50 @@
+/**
+ * Packet parsing worker
+ *
+ * @description
+ * Worker thread entry point of ParserPool. Receives batches of packets as
+ * transferred ArrayBuffers, decodes them with parsePacket and transfers the
+ * buffers back with the decoded payloads, so the packet bytes are never copied.
+ *
+ * Messages received: `{ packets: [{ id, buffer, header }] }`
+ * Messages sent:     `{ results: [{ id, buffer, data, failed }] }`
+ *
+ * @module parse-worker
+ */
+
+const { parentPort } = require('worker_threads');
+const { parsePacket } = require('./packet-parser');
+const { getPacketLayout } = require('./packet-formats');
+
+/**
+ * Decode a packet payload
+ *
+ * @private
+ * @param {Buffer} buffer - Raw packet buffer
+ * @param {PacketHeader} header - Parsed packet header
+ * @returns {{data: Object|null, failed: boolean}} Payload without the header, null if the packet
+ * has no known layout or could not be decoded (`failed`)
+ */
+function decode(buffer, header) {
+    const layout = getPacketLayout(header.packetFormat, header.packetVersion);
+    if (!layout || !layout.structs[header.packetId]) {
+        return { data: null, failed: false };
+    }
+
+    try {
+        const packet = parsePacket(buffer, header);
+        if (!packet) {
+            return { data: null, failed: true };
+        }
+
+        delete packet.header;
+        return { data: packet, failed: false };
+    } catch (err) {
+        return { data: null, failed: true };
+    }
+}
+
+parentPort.on('message', ({ packets }) => {
+    const results = packets.map(({ id, buffer, header }) => ({ id, buffer, ...decode(Buffer.from(buffer), header) }));
+    parentPort.postMessage({ results }, results.map(({ buffer }) => buffer));
+});
@@ -0,0 +1,60 @@
+/**
+ * Recording reader
+ *
+ * @description
+ * Reads the `.bin` session recordings written by f1-packages.js. Each packet
+ * is stored as a 12-byte record header (uint32 packet size, uint64 receive
+ * timestamp in milliseconds) followed by the raw UDP datagram.
+ *
+ * @example
+ * ```javascript
+ * const { readRecording } = require('./recording');
+ *
+ * for (const { timestamp, buffer } of readRecording('captured_data/f1_session.bin')) {
+ *   console.log(timestamp, buffer.length);
+ * }
+ * ```
+ *
+ * @module recording
+ */
+
+const fs = require('fs');
+
+/** Size of the record header written before every packet */
+const RECORD_HEADER_SIZE = 12;
+
+/**
+ * @typedef {Object} RecordedPacket
+ * @property {number} timestamp - Local timestamp when the packet was captured
+ * @property {Buffer} buffer - Raw packet buffer
+ */
+
+/**
+ * Iterate over the packets of a recording
+ * A truncated record at the end of the file is ignored
+ *
+ * @param {string} filepath - Path to the .bin recording
+ * @yields {RecordedPacket}
+ */
+function* readRecording(filepath) {
+    const fileBuffer = fs.readFileSync(filepath);
+    let offset = 0;
+
+    while (offset + RECORD_HEADER_SIZE <= fileBuffer.length) {
+        const packetSize = fileBuffer.readUInt32LE(offset);
+        const timestamp = Number(fileBuffer.readBigUInt64LE(offset + 4));
+        offset += RECORD_HEADER_SIZE;
+
+        if (offset + packetSize > fileBuffer.length) {
+            return;
+        }
+
+        yield { timestamp, buffer: fileBuffer.subarray(offset, offset + packetSize) };
+        offset += packetSize;
+    }
+}
+
+module.exports = {
+    RECORD_HEADER_SIZE,
+    readRecording
+};
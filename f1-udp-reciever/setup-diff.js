@@ -0,0 +1,178 @@
+/**
+ * Car setup diff tool
+ *
+ * @description
+ * Compares two car setups field by field. Setups can come from two cars in
+ * the same Car Setups packet (e.g. you and a faster teammate) or from two
+ * recordings captured with f1-packages.js.
+ *
+ * Usage:
+ *   node setup-diff.js <recording.bin> <carIdxA> <carIdxB>
+ *   node setup-diff.js <recordingA.bin> <recordingB.bin> [carIdx]
+ *
+ * When no car index is given for two recordings, the player car of each
+ * recording is used. The last Car Setups packet of a recording is compared.
+ *
+ * @example
+ * ```javascript
+ * const { diffSetups } = require('./setup-diff');
+ *
+ * service.on('packet:carsetups', ({ header, data }) => {
+ *   const changes = diffSetups(data.carSetups[header.playerCarIndex], data.carSetups[teammateIdx]);
+ *   changes.forEach(({ field, from, to }) => console.log(`${field}: ${from} -> ${to}`));
+ * });
+ * ```
+ *
+ * @module setup-diff
+ */
+
+const { CarSetupData } = require('./packet-structs');
+const { parseHeader, parseCarSetups } = require('./packet-parser');
+const { readRecording } = require('./recording');
+
+/** Packet ID of the Car Setups packet */
+const CAR_SETUPS_PACKET_ID = 5;
+
+/** Smallest difference reported for float fields (camber, toe, pressures, fuel) */
+const FLOAT_TOLERANCE = 0.0001;
+
+/**
+ * @typedef {Object} SetupChange
+ * @property {string} field - CarSetupData field name
+ * @property {number} from - Value in the first setup
+ * @property {number} to - Value in the second setup
+ * @property {number} delta - Difference (to - from)
+ */
+
+/**
+ * Compare two setups
+ *
+ * @param {Object} from - First CarSetupData
+ * @param {Object} to - Second CarSetupData
+ * @returns {SetupChange[]} Changed fields, in specification order
+ */
+function diffSetups(from, to) {
+    const changes = [];
+
+    for (const { name, type } of CarSetupData.fields) {
+        const delta = to[name] - from[name];
+        const tolerance = type === 'float' ? FLOAT_TOLERANCE : 0;
+
+        if (Math.abs(delta) > tolerance) {
+            changes.push({ field: name, from: from[name], to: to[name], delta });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Find the last Car Setups packet of a recording
+ *
+ * @param {string} filepath - Path to the .bin recording
+ * @returns {{header: PacketHeader, carSetups: Object[]}|null} Last setups, or null if none was recorded
+ */
+function readLastSetups(filepath) {
+    let last = null;
+
+    for (const { buffer } of readRecording(filepath)) {
+        const header = parseHeader(buffer);
+        if (!header || header.packetId !== CAR_SETUPS_PACKET_ID) {
+            continue;
+        }
+
+        const carSetups = parseCarSetups(buffer);
+        if (carSetups) {
+            last = { header, carSetups };
+        }
+    }
+
+    return last;
+}
+
+/**
+ * Format a value for display, rounding floats
+ *
+ * @private
+ * @param {number} value - Value to format
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Print a list of changes as a table
+ *
+ * @param {SetupChange[]} changes - Changes to print
+ * @param {string} fromLabel - Label of the first setup
+ * @param {string} toLabel - Label of the second setup
+ */
+function printSetupDiff(changes, fromLabel, toLabel) {
+    console.log(`Setup diff: ${fromLabel} -> ${toLabel}`);
+
+    if (changes.length === 0) {
+        console.log('   Setups are identical');
+        return;
+    }
+
+    changes.forEach(({ field, from, to, delta }) => {
+        const sign = delta > 0 ? '+' : '';
+        console.log(`   ${field.padEnd(24)} ${formatValue(from).padStart(8)} -> ${formatValue(to).padStart(8)}  (${sign}${formatValue(delta)})`);
+    });
+}
+
+// Command line usage
+if (require.main === module) {
+    const getSetup = ({ carSetups }, carIdx, source) => {
+        const setup = carSetups[carIdx];
+        if (!setup) {
+            console.log(`❌ No setup for car ${carIdx} in ${source}`);
+            process.exit(1);
+        }
+        return setup;
+    };
+
+    const [fileA, second, third] = process.argv.slice(2);
+    const isCarIdx = (value) => /^\d+$/.test(value);
+    const twoCars = isCarIdx(second);
+
+    // Two cars need both indexes, two recordings an optional numeric index
+    if (!fileA || second === undefined
+        || (twoCars && !isCarIdx(third))
+        || (!twoCars && third !== undefined && !isCarIdx(third))) {
+        console.log('Usage: node setup-diff.js <recording.bin> <carIdxA> <carIdxB>');
+        console.log('       node setup-diff.js <recordingA.bin> <recordingB.bin> [carIdx]');
+        process.exit(1);
+    }
+
+    const setupsA = readLastSetups(fileA);
+    if (!setupsA) {
+        console.log(`❌ No Car Setups packet found in ${fileA}`);
+        process.exit(1);
+    }
+
+    if (twoCars) {
+        // Two cars from the same recording
+        const carA = parseInt(second);
+        const carB = parseInt(third);
+        printSetupDiff(diffSetups(getSetup(setupsA, carA, fileA), getSetup(setupsA, carB, fileA)), `car ${carA}`, `car ${carB}`);
+    } else {
+        // Same car in two recordings
+        const setupsB = readLastSetups(second);
+        if (!setupsB) {
+            console.log(`❌ No Car Setups packet found in ${second}`);
+            process.exit(1);
+        }
+
+        const carA = third !== undefined ? parseInt(third) : setupsA.header.playerCarIndex;
+        const carB = third !== undefined ? parseInt(third) : setupsB.header.playerCarIndex;
+        printSetupDiff(diffSetups(getSetup(setupsA, carA, fileA), getSetup(setupsB, carB, second)), fileA, second);
+    }
+}
+
+module.exports = {
+    diffSetups,
+    readLastSetups,
+    printSetupDiff
+};
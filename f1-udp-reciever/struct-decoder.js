@@ -0,0 +1,339 @@
+/**
+ * Declarative binary struct decoder
+ *
+ * @description
+ * Describes the little-endian C structs used by the F1 UDP telemetry format as
+ * plain field lists, and decodes buffers against them or encodes objects back
+ * into the same layout. Sizes and offsets are
+ * computed once when a struct is defined, so packet layouts never need to be
+ * counted by hand.
+ *
+ * A field is written as `[type, name]` or `[type, name, count]`, where `type` is
+ * either a primitive name (see PRIMITIVE_TYPES) or another struct. A field with
+ * a count decodes to an array, except for `char` fields which decode to a
+ * NUL-terminated UTF-8 string, and encode back zero-padded. A string that did
+ * not change keeps the bytes of its array, those after the NUL included.
+ *
+ * @example
+ * ```javascript
+ * const { defineStruct, decodeStruct } = require('./struct-decoder');
+ *
+ * const MarshalZone = defineStruct('MarshalZone', [
+ *     ['float', 'zoneStart'],
+ *     ['int8', 'zoneFlag']
+ * ]);
+ *
+ * MarshalZone.size; // 5
+ * decodeStruct(MarshalZone, buffer, 29); // { zoneStart: 0.12, zoneFlag: 0 }
+ * encodeStruct(MarshalZone, { zoneStart: 0.5, zoneFlag: 3 }); // <Buffer 00 00 00 3f 03>
+ * ```
+ *
+ * @module struct-decoder
+ */
+
+/**
+ * Primitive field types, keyed by the names used in the F1 UDP specification
+ *
+ * @constant {Object.<string, {size: number, read: function(Buffer, number): (number|bigint), write: function(Buffer, number, (number|bigint))}>}
+ * @readonly
+ */
+const PRIMITIVE_TYPES = {
+    uint8: {
+        size: 1,
+        read: (buffer, offset) => buffer.readUInt8(offset),
+        write: (buffer, offset, value) => buffer.writeUInt8(value, offset)
+    },
+    int8: {
+        size: 1,
+        read: (buffer, offset) => buffer.readInt8(offset),
+        write: (buffer, offset, value) => buffer.writeInt8(value, offset)
+    },
+    uint16: {
+        size: 2,
+        read: (buffer, offset) => buffer.readUInt16LE(offset),
+        write: (buffer, offset, value) => buffer.writeUInt16LE(value, offset)
+    },
+    int16: {
+        size: 2,
+        read: (buffer, offset) => buffer.readInt16LE(offset),
+        write: (buffer, offset, value) => buffer.writeInt16LE(value, offset)
+    },
+    uint32: {
+        size: 4,
+        read: (buffer, offset) => buffer.readUInt32LE(offset),
+        write: (buffer, offset, value) => buffer.writeUInt32LE(value, offset)
+    },
+    int32: {
+        size: 4,
+        read: (buffer, offset) => buffer.readInt32LE(offset),
+        write: (buffer, offset, value) => buffer.writeInt32LE(value, offset)
+    },
+    uint64: {
+        size: 8,
+        read: (buffer, offset) => buffer.readBigUInt64LE(offset),
+        write: (buffer, offset, value) => buffer.writeBigUInt64LE(BigInt(value), offset)
+    },
+    float: {
+        size: 4,
+        read: (buffer, offset) => buffer.readFloatLE(offset),
+        write: (buffer, offset, value) => buffer.writeFloatLE(value, offset)
+    },
+    double: {
+        size: 8,
+        read: (buffer, offset) => buffer.readDoubleLE(offset),
+        write: (buffer, offset, value) => buffer.writeDoubleLE(value, offset)
+    },
+    char: {
+        size: 1,
+        read: (buffer, offset) => buffer.readUInt8(offset),
+        write: (buffer, offset, value) => buffer.writeUInt8(value, offset)
+    }
+};
+
+/**
+ * @typedef {Object} StructField
+ * @property {string} name - Property name in the decoded object
+ * @property {string|Struct} type - Primitive type name or nested struct
+ * @property {number|undefined} count - Array length, undefined for scalar fields
+ * @property {number} offset - Byte offset from the start of the struct
+ * @property {number} size - Total size of the field in bytes
+ */
+
+/**
+ * @typedef {Object} Struct
+ * @property {string} name - Struct name, as used in the specification
+ * @property {number} size - Total size of the struct in bytes
+ * @property {StructField[]} fields - Fields with computed offsets
+ */
+
+/**
+ * Get the size in bytes of a single element of the given type
+ *
+ * @param {string|Struct} type - Primitive type name or struct
+ * @returns {number} Size in bytes
+ * @throws {Error} If the type is unknown
+ */
+function sizeOf(type) {
+    if (typeof type === 'object' && type !== null) {
+        return type.size;
+    }
+
+    const primitive = PRIMITIVE_TYPES[type];
+    if (!primitive) {
+        throw new Error(`Unknown field type: ${type}`);
+    }
+
+    return primitive.size;
+}
+
+/**
+ * Define a packed struct from a list of fields
+ *
+ * @param {string} name - Struct name
+ * @param {Array.<Array>} fieldList - Fields as `[type, name]` or `[type, name, count]`
+ * @returns {Struct} Struct definition with computed offsets and size
+ * @throws {Error} If a field type is unknown or a field name is repeated
+ */
+function defineStruct(name, fieldList) {
+    const fields = [];
+    const names = new Set();
+    let offset = 0;
+
+    for (const [type, fieldName, count] of fieldList) {
+        if (names.has(fieldName)) {
+            throw new Error(`Duplicate field "${fieldName}" in struct ${name}`);
+        }
+        names.add(fieldName);
+
+        const size = sizeOf(type) * (count === undefined ? 1 : count);
+        fields.push({ name: fieldName, type, count, offset, size });
+        offset += size;
+    }
+
+    return Object.freeze({ name, size: offset, fields: Object.freeze(fields) });
+}
+
+/**
+ * Read a single element of the given type
+ *
+ * @private
+ * @param {string|Struct} type - Primitive type name or struct
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Absolute byte offset
+ * @returns {*} Decoded value
+ */
+function readValue(type, buffer, offset) {
+    if (typeof type === 'object') {
+        return readStruct(type, buffer, offset);
+    }
+    return PRIMITIVE_TYPES[type].read(buffer, offset);
+}
+
+/**
+ * Read a NUL-terminated UTF-8 string from a fixed-size char array
+ *
+ * @private
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Absolute byte offset
+ * @param {number} length - Size of the char array
+ * @returns {string} Decoded string
+ */
+function readString(buffer, offset, length) {
+    const end = buffer.indexOf(0, offset);
+    const stop = end === -1 || end > offset + length ? offset + length : end;
+    return buffer.toString('utf8', offset, stop);
+}
+
+/**
+ * Decode a struct without bounds checking
+ *
+ * @private
+ * @param {Struct} struct - Struct definition
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Absolute byte offset
+ * @returns {Object} Decoded object
+ */
+function readStruct(struct, buffer, offset) {
+    const result = {};
+
+    for (const field of struct.fields) {
+        const fieldOffset = offset + field.offset;
+
+        if (field.type === 'char' && field.count !== undefined) {
+            result[field.name] = readString(buffer, fieldOffset, field.count);
+        } else if (field.count === undefined) {
+            result[field.name] = readValue(field.type, buffer, fieldOffset);
+        } else {
+            const elementSize = sizeOf(field.type);
+            const values = new Array(field.count);
+            for (let i = 0; i < field.count; i++) {
+                values[i] = readValue(field.type, buffer, fieldOffset + i * elementSize);
+            }
+            result[field.name] = values;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Decode a struct from a buffer
+ *
+ * @param {Struct} struct - Struct definition
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} [offset=0] - Byte offset to start decoding at
+ * @returns {Object|null} Decoded object, or null if the buffer is too short
+ *
+ * @example
+ * ```javascript
+ * const header = decodeStruct(PacketHeader, msg);
+ * if (!header) return; // Truncated packet
+ * ```
+ */
+function decodeStruct(struct, buffer, offset = 0) {
+    if (offset < 0 || offset + struct.size > buffer.length) {
+        return null;
+    }
+    return readStruct(struct, buffer, offset);
+}
+
+/**
+ * Write a single element of the given type
+ *
+ * @private
+ * @param {string|Struct} type - Primitive type name or struct
+ * @param {Buffer} buffer - Target buffer
+ * @param {number} offset - Absolute byte offset
+ * @param {*} value - Value to write
+ */
+function writeValue(type, buffer, offset, value) {
+    if (typeof type === 'object') {
+        writeStruct(type, buffer, offset, value);
+    } else {
+        PRIMITIVE_TYPES[type].write(buffer, offset, value);
+    }
+}
+
+/**
+ * Write a string into a fixed-size char array, NUL-padded
+ * Strings longer than the array are truncated to its size. The array is left
+ * untouched if it already holds the string, to keep the bytes after its NUL
+ *
+ * @private
+ * @param {Buffer} buffer - Target buffer
+ * @param {number} offset - Absolute byte offset
+ * @param {number} length - Size of the char array
+ * @param {string} value - String to write
+ */
+function writeString(buffer, offset, length, value) {
+    if (readString(buffer, offset, length) === value) {
+        return;
+    }
+    buffer.fill(0, offset, offset + length);
+    buffer.write(value, offset, length, 'utf8');
+}
+
+/**
+ * Encode a struct without bounds checking
+ * Missing fields and missing array elements are left untouched
+ *
+ * @private
+ * @param {Struct} struct - Struct definition
+ * @param {Buffer} buffer - Target buffer
+ * @param {number} offset - Absolute byte offset
+ * @param {Object} value - Object to encode
+ */
+function writeStruct(struct, buffer, offset, value) {
+    for (const field of struct.fields) {
+        const fieldValue = value[field.name];
+        if (fieldValue === undefined || fieldValue === null) {
+            continue;
+        }
+
+        const fieldOffset = offset + field.offset;
+
+        if (field.type === 'char' && field.count !== undefined) {
+            writeString(buffer, fieldOffset, field.count, String(fieldValue));
+        } else if (field.count === undefined) {
+            writeValue(field.type, buffer, fieldOffset, fieldValue);
+        } else {
+            const elementSize = sizeOf(field.type);
+            const count = Math.min(field.count, fieldValue.length);
+            for (let i = 0; i < count; i++) {
+                writeValue(field.type, buffer, fieldOffset + i * elementSize, fieldValue[i]);
+            }
+        }
+    }
+}
+
+/**
+ * Encode an object into a buffer, the inverse of decodeStruct
+ * Fields missing from the object are left as they are in the buffer (zero for a new buffer)
+ *
+ * @param {Struct} struct - Struct definition
+ * @param {Object} value - Object to encode
+ * @param {Buffer} [buffer] - Target buffer, a zero-filled buffer of `struct.size` bytes by default
+ * @param {number} [offset=0] - Byte offset to start encoding at
+ * @returns {Buffer} The target buffer
+ * @throws {RangeError} If the buffer is too short or a value is out of range for its type
+ *
+ * @example
+ * ```javascript
+ * const buffer = encodeStruct(PacketHeader, { ...header, sessionUID: 0n });
+ * ```
+ */
+function encodeStruct(struct, value, buffer = Buffer.alloc(struct.size), offset = 0) {
+    if (offset < 0 || offset + struct.size > buffer.length) {
+        throw new RangeError(`Buffer too short for struct ${struct.name} (${buffer.length} bytes, need ${offset + struct.size})`);
+    }
+    writeStruct(struct, buffer, offset, value);
+    return buffer;
+}
+
+module.exports = {
+    PRIMITIVE_TYPES,
+    sizeOf,
+    defineStruct,
+    decodeStruct,
+    encodeStruct
+};
@@ -4,6 +4,22 @@
 
 const dgram = require('dgram');
 const chalk = require('chalk');
+const {
+    parseHeader,
+    parsePacket,
+    parseEvent,
+    parseSession: decodeSession,
+    parseFinalClassification: decodeFinalClassification,
+    toCarDamage,
+    toPhysicsChannels,
+    parseLobbyInfo: decodeLobbyInfo,
+    parseTimeTrial: decodeTimeTrial,
+    getPacketSize
+} = require('./packet-parser');
+const { MAX_CARS } = require('./packet-structs');
+const { PACKET_FORMATS, getPacketLayout } = require('./packet-formats');
+const { SessionHistoryTracker } = require('./SessionHistoryTracker');
+const { TyreSetsTracker } = require('./TyreSetsTracker');
 
 // Packet IDs for F1 25
 const PACKET_IDS = {
@@ -24,35 +40,52 @@ const PACKET_IDS = {
     TIME_TRIAL: 14
 };
 
-// Expected packet sizes for validation
-const PACKET_SIZES = {
-    0: 1349,  // Motion
-    1: 644,   // Session  
-    2: 1131,  // Lap Data
-    3: 45,    // Event
-    4: 1306,  // Participants
-    5: 1107,  // Car Setups
-    6: 1352,  // Car Telemetry
-    7: 1239,  // Car Status
-    8: 1020,  // Final Classification
-    9: 1218,  // Lobby Info
-    10: 953,  // Car Damage
-    11: 1460, // Session History
-    12: 231,  // Tyre Sets
-    13: 217,  // Motion Ex
-    14: 101   // Time Trial
-};
 
 // Driver data storage
 const drivers = new Map();
-const sessionInfo = {
-    trackName: '',
-    sessionType: '',
-    weather: '',
-    trackTemp: 0,
-    airTemp: 0,
-    totalLaps: 0
-};
+
+// Session info before any Session packet
+function createSessionInfo() {
+    return {
+        trackName: '',
+        sessionType: '',
+        weather: '',
+        trackTemp: 0,
+        airTemp: 0,
+        totalLaps: 0,
+        trackId: -1,
+        trackLength: 0,
+        sessionTimeLeft: 0,
+        sessionDuration: 0,
+        pitSpeedLimit: 0,
+        safetyCarStatus: '',
+        networkGame: false,
+        marshalZones: [],
+        weatherForecast: [],
+        forecastAccuracy: '',
+        aiDifficulty: 0,
+        pitStopWindow: { idealLap: 0, latestLap: 0, rejoinPosition: 0 },
+        assists: {},
+        gameMode: 0,
+        ruleSet: 0,
+        sectorDistances: { sector2Start: 0, sector3Start: 0 },
+        timeTrial: null
+    };
+}
+
+const sessionInfo = createSessionInfo();
+
+// Players in an online lobby, before the session starts
+let lobbyPlayers = [];
+
+// Lap history of every car, one car per Session History packet
+const sessionHistory = new SessionHistoryTracker();
+
+// Tyre allocation of every car, one car per Tyre Sets packet
+const tyreSets = new TyreSetsTracker();
+
+// Session the stored data belongs to
+let currentSessionUID = null;
 
 // Statistics
 let packetCount = 0;
@@ -62,292 +95,242 @@ let lastDisplayTime = Date.now();
 // UDP server setup
 const server = dgram.createSocket('udp4');
 
-// Parse packet header (29 bytes) with validation
-function parseHeader(buffer) {
-    if (buffer.length < 29) {
-        return null;
-    }
-    
-    try {
-        return {
-            packetFormat: buffer.readUInt16LE(0),      // 2025 for F1 25
-            gameYear: buffer.readUInt8(2),             // Game year - last two digits e.g. 25
-            gameMajorVersion: buffer.readUInt8(3),     // Game major version
-            gameMinorVersion: buffer.readUInt8(4),     // Game minor version
-            packetVersion: buffer.readUInt8(5),        // Version of this packet type
-            packetId: buffer.readUInt8(6),             // Identifier for packet type
-            sessionUID: buffer.readBigUInt64LE(7),     // Unique session identifier
-            sessionTime: buffer.readFloatLE(15),       // Session timestamp
-            frameIdentifier: buffer.readUInt32LE(19),  // Frame identifier
-            overallFrameIdentifier: buffer.readUInt32LE(23), // Overall frame identifier
-            playerCarIndex: buffer.readUInt8(27),      // Index of player's car
-            secondaryPlayerCarIndex: buffer.readUInt8(28) // Index of secondary player
-        };
-    } catch (e) {
-        return null;
-    }
-}
-
-// Validate buffer size before reading
-function safeReadUInt8(buffer, offset) {
-    if (offset < 0 || offset >= buffer.length) {
-        return 0;
+// Decode a full packet, warning when it is shorter than its layout
+function decodePacket(buffer, header, label) {
+    const packet = parsePacket(buffer, header);
+    if (!packet && label) {
+        console.log(chalk.yellow(`Warning: ${label} packet too small (${buffer.length} bytes, expected ${getPacketSize(header.packetId, header.packetFormat)})`));
     }
-    return buffer.readUInt8(offset);
-}
-
-function safeReadUInt16LE(buffer, offset) {
-    if (offset < 0 || offset + 1 >= buffer.length) {
-        return 0;
-    }
-    return buffer.readUInt16LE(offset);
-}
-
-function safeReadFloatLE(buffer, offset) {
-    if (offset < 0 || offset + 3 >= buffer.length) {
-        return 0.0;
-    }
-    return buffer.readFloatLE(offset);
-}
-
-function safeReadString(buffer, offset, length) {
-    if (offset < 0 || offset + length > buffer.length) {
-        return '';
-    }
-    const slice = buffer.slice(offset, Math.min(offset + length, buffer.length));
-    return slice.toString('utf8').replace(/\0/g, '').trim();
+    return packet;
 }
 
 // Parse participant data to get driver names
-function parseParticipants(buffer) {
-    const header = parseHeader(buffer);
-    if (!header) return;
+function parseParticipants(buffer, header) {
+    const packet = decodePacket(buffer, header, 'Participants');
+    if (!packet) return;
     
-    // Validate minimum packet size
-    if (buffer.length < 1306) {
-        console.log(chalk.yellow(`Warning: Participants packet too small (${buffer.length} bytes)`));
-        return;
-    }
+    const actualCars = Math.min(packet.numActiveCars, MAX_CARS);
     
-    const numActiveCars = safeReadUInt8(buffer, 29);
-    const actualCars = Math.min(numActiveCars, 22); // Max 22 cars
-    
-    let offset = 30;
     for (let i = 0; i < actualCars; i++) {
-        // Check if we have enough buffer left
-        if (offset + 58 > buffer.length) {
-            break;
-        }
-        
-        const aiControlled = safeReadUInt8(buffer, offset) === 1;
-        const driverId = safeReadUInt8(buffer, offset + 1);
-        const networkId = safeReadUInt8(buffer, offset + 2);
-        const teamId = safeReadUInt8(buffer, offset + 3);
-        const myTeam = safeReadUInt8(buffer, offset + 4) === 1;
-        const raceNumber = safeReadUInt8(buffer, offset + 5);
-        const nationality = safeReadUInt8(buffer, offset + 6);
-        
-        // Read driver name safely
-        const name = safeReadString(buffer, offset + 7, 48) || `Driver ${i + 1}`;
-        
-        const yourTelemetry = safeReadUInt8(buffer, offset + 55);
-        const showOnlineNames = safeReadUInt8(buffer, offset + 56) === 1;
-        const platform = safeReadUInt8(buffer, offset + 57);
+        const participant = packet.participants[i];
         
         if (!drivers.has(i)) {
             drivers.set(i, {});
         }
         
-        drivers.get(i).name = name;
-        drivers.get(i).raceNumber = raceNumber;
-        drivers.get(i).teamId = teamId;
-        drivers.get(i).isPlayer = (i === header.playerCarIndex);
-        drivers.get(i).isAI = aiControlled;
-        
-        offset += 58; // Size of ParticipantData structure
+        const driver = drivers.get(i);
+        driver.name = participant.name || `Driver ${i + 1}`;
+        driver.raceNumber = participant.raceNumber;
+        driver.teamId = participant.teamId;
+        driver.isPlayer = (i === packet.header.playerCarIndex);
+        driver.isAI = participant.aiControlled === 1;
     }
 }
 
-// Parse session data
-function parseSession(buffer) {
-    const header = parseHeader(buffer);
-    if (!header) return;
+// Parse motion data (world position, direction vectors, g-forces)
+function parseMotion(buffer, header) {
+    const packet = decodePacket(buffer, header);
+    if (!packet) return;
     
-    if (buffer.length < 644) {
-        console.log(chalk.yellow(`Warning: Session packet too small (${buffer.length} bytes)`));
+    packet.carMotionData.forEach((motion, i) => {
+        if (!drivers.has(i)) {
+            return;
+        }
+        
+        drivers.get(i).motion = motion;
+    });
+}
+
+// Parse session data
+function parseSession(buffer, header) {
+    const session = decodeSession(buffer);
+    if (!session) {
+        console.log(chalk.yellow(`Warning: Session packet too small (${buffer.length} bytes, expected ${getPacketSize(PACKET_IDS.SESSION, header.packetFormat)})`));
         return;
     }
     
-    let offset = 29;
-    
-    const weather = safeReadUInt8(buffer, offset);
-    const trackTemp = buffer.readInt8 ? buffer.readInt8(offset + 1) : 0;
-    const airTemp = buffer.readInt8 ? buffer.readInt8(offset + 2) : 0;
-    const totalLaps = safeReadUInt8(buffer, offset + 3);
-    const trackLength = safeReadUInt16LE(buffer, offset + 4);
-    const sessionType = safeReadUInt8(buffer, offset + 6);
-    const trackId = buffer.readInt8 ? buffer.readInt8(offset + 7) : 0;
-    
-    sessionInfo.weather = getWeatherString(weather);
-    sessionInfo.trackTemp = trackTemp;
-    sessionInfo.airTemp = airTemp;
-    sessionInfo.sessionType = getSessionTypeString(sessionType);
-    sessionInfo.totalLaps = totalLaps;
-    sessionInfo.trackId = trackId;
+    sessionInfo.weather = getWeatherString(session.weather);
+    sessionInfo.trackTemp = session.trackTemperature;
+    sessionInfo.airTemp = session.airTemperature;
+    sessionInfo.sessionType = getSessionTypeString(session.sessionType);
+    sessionInfo.totalLaps = session.totalLaps;
+    sessionInfo.trackId = session.trackId;
+    sessionInfo.trackLength = session.trackLength;
+    sessionInfo.sessionTimeLeft = session.sessionTimeLeft;
+    sessionInfo.sessionDuration = session.sessionDuration;
+    sessionInfo.pitSpeedLimit = session.pitSpeedLimit;
+    sessionInfo.safetyCarStatus = getSafetyCarStatusString(session.safetyCarStatus);
+    sessionInfo.networkGame = session.networkGame;
+    sessionInfo.marshalZones = session.marshalZones.map((zone) => ({
+        zoneStart: zone.zoneStart,
+        flag: getFlagString(zone.zoneFlag)
+    }));
+    sessionInfo.weatherForecast = session.weatherForecastSamples.map((sample) => ({
+        sessionType: getSessionTypeString(sample.sessionType),
+        timeOffset: sample.timeOffset,
+        weather: getWeatherString(sample.weather),
+        trackTemp: sample.trackTemperature,
+        airTemp: sample.airTemperature,
+        rainPercentage: sample.rainPercentage
+    }));
+    sessionInfo.forecastAccuracy = session.forecastAccuracy === 0 ? 'Perfect' : 'Approximate';
+    sessionInfo.aiDifficulty = session.aiDifficulty;
+    sessionInfo.pitStopWindow = {
+        idealLap: session.pitStopWindowIdealLap,
+        latestLap: session.pitStopWindowLatestLap,
+        rejoinPosition: session.pitStopRejoinPosition
+    };
+    sessionInfo.assists = session.assists;
+    sessionInfo.gameMode = session.gameMode;
+    sessionInfo.ruleSet = session.ruleSet;
+    sessionInfo.sectorDistances = {
+        sector2Start: session.sector2LapDistanceStart,
+        sector3Start: session.sector3LapDistanceStart
+    };
 }
 
 // Parse car telemetry (speed, throttle, brake, gear, etc.)
-function parseCarTelemetry(buffer) {
-    const header = parseHeader(buffer);
-    if (!header) return;
-    
-    if (buffer.length < 1352) {
-        return;
-    }
-    
-    let offset = 29;
+function parseCarTelemetry(buffer, header) {
+    const packet = decodePacket(buffer, header);
+    if (!packet) return;
     
-    for (let i = 0; i < 22; i++) {
-        // Check buffer boundary
-        if (offset + 60 > buffer.length) {
-            break;
+    packet.carTelemetryData.forEach((car, i) => {
+        if (!drivers.has(i)) {
+            return;
         }
         
-        const speed = safeReadUInt16LE(buffer, offset);
-        const throttle = safeReadFloatLE(buffer, offset + 2);
-        const steer = safeReadFloatLE(buffer, offset + 6);
-        const brake = safeReadFloatLE(buffer, offset + 10);
-        const clutch = safeReadUInt8(buffer, offset + 14);
-        const gear = buffer.readInt8 ? buffer.readInt8(offset + 15) : 0;
-        const engineRPM = safeReadUInt16LE(buffer, offset + 16);
-        const drs = safeReadUInt8(buffer, offset + 18);
-        
-        // Brake temperatures (4 wheels)
-        const brakesTemp = [
-            safeReadUInt16LE(buffer, offset + 22), // RL
-            safeReadUInt16LE(buffer, offset + 24), // RR
-            safeReadUInt16LE(buffer, offset + 26), // FL
-            safeReadUInt16LE(buffer, offset + 28)  // FR
-        ];
-        
-        // Tyre surface temperatures (4 wheels)
-        const tyresSurfaceTemp = [
-            safeReadUInt8(buffer, offset + 30), // RL
-            safeReadUInt8(buffer, offset + 31), // RR
-            safeReadUInt8(buffer, offset + 32), // FL
-            safeReadUInt8(buffer, offset + 33)  // FR
-        ];
-        
-        const engineTemp = safeReadUInt16LE(buffer, offset + 38);
+        const { gear, brakesTemperature, tyresSurfaceTemperature } = car;
         
-        if (drivers.has(i)) {
-            const driver = drivers.get(i);
-            driver.telemetry = {
-                speed,
-                throttle: (throttle * 100).toFixed(1),
-                brake: (brake * 100).toFixed(1),
-                gear: gear === -1 ? 'R' : gear === 0 ? 'N' : gear,
-                engineRPM,
-                drs: drs === 1 ? 'ON' : 'OFF',
-                engineTemp,
-                tyreTemp: Math.round((tyresSurfaceTemp[0] + tyresSurfaceTemp[1] + 
-                          tyresSurfaceTemp[2] + tyresSurfaceTemp[3]) / 4),
-                brakeTemp: Math.round((brakesTemp[0] + brakesTemp[1] + 
-                          brakesTemp[2] + brakesTemp[3]) / 4)
-            };
-        }
-        
-        offset += 60; // Size of CarTelemetryData structure
-    }
+        drivers.get(i).telemetry = {
+            speed: car.speed,
+            throttle: (car.throttle * 100).toFixed(1),
+            brake: (car.brake * 100).toFixed(1),
+            gear: gear === -1 ? 'R' : gear === 0 ? 'N' : gear,
+            engineRPM: car.engineRPM,
+            drs: car.drs === 1 ? 'ON' : 'OFF',
+            engineTemp: car.engineTemperature,
+            tyreTemp: Math.round((tyresSurfaceTemperature[0] + tyresSurfaceTemperature[1] + 
+                      tyresSurfaceTemperature[2] + tyresSurfaceTemperature[3]) / 4),
+            brakeTemp: Math.round((brakesTemperature[0] + brakesTemperature[1] + 
+                      brakesTemperature[2] + brakesTemperature[3]) / 4)
+        };
+    });
 }
 
 // Parse lap data
-function parseLapData(buffer) {
-    const header = parseHeader(buffer);
-    if (!header) return;
-    
-    if (buffer.length < 1131) {
-        return;
-    }
+function parseLapData(buffer, header) {
+    const packet = decodePacket(buffer, header);
+    if (!packet) return;
     
-    let offset = 29;
-    
-    for (let i = 0; i < 22; i++) {
-        // Check buffer boundary
-        if (offset + 50 > buffer.length) {
-            break;
-        }
-        
-        const lastLapTimeMs = buffer.readUInt32LE ? buffer.readUInt32LE(offset) : 0;
-        const currentLapTimeMs = buffer.readUInt32LE ? buffer.readUInt32LE(offset + 4) : 0;
-        const carPosition = safeReadUInt8(buffer, offset + 32);
-        const currentLapNum = safeReadUInt8(buffer, offset + 33);
-        const pitStatus = safeReadUInt8(buffer, offset + 34);
-        const penalties = safeReadUInt8(buffer, offset + 38);
-        const totalWarnings = safeReadUInt8(buffer, offset + 39);
-        const driverStatus = safeReadUInt8(buffer, offset + 44);
-        
-        if (drivers.has(i)) {
-            const driver = drivers.get(i);
-            driver.lapData = {
-                position: carPosition,
-                currentLap: currentLapNum,
-                lastLapTime: formatTime(lastLapTimeMs),
-                currentLapTime: formatTime(currentLapTimeMs),
-                pitStatus: getPitStatusString(pitStatus),
-                penalties,
-                warnings: totalWarnings,
-                driverStatus: getDriverStatusString(driverStatus)
-            };
+    packet.lapData.forEach((lap, i) => {
+        if (!drivers.has(i)) {
+            return;
         }
         
-        offset += 50; // Reduced size for safety
-    }
+        drivers.get(i).lapData = {
+            position: lap.carPosition,
+            currentLap: lap.currentLapNum,
+            lastLapTime: formatTime(lap.lastLapTimeInMS),
+            currentLapTime: formatTime(lap.currentLapTimeInMS),
+            pitStatus: getPitStatusString(lap.pitStatus),
+            penalties: lap.penalties,
+            warnings: lap.totalWarnings,
+            driverStatus: getDriverStatusString(lap.driverStatus)
+        };
+    });
 }
 
-// Parse car status
-function parseCarStatus(buffer) {
-    const header = parseHeader(buffer);
-    if (!header) return;
-    
-    if (buffer.length < 1239) {
-        return;
-    }
+// Parse extended motion (suspension, wheel slip and forces) - player car only
+function parseMotionEx(buffer, header) {
+    const packet = decodePacket(buffer, header);
+    if (!packet || !drivers.has(header.playerCarIndex)) return;
     
-    let offset = 29;
+    drivers.get(header.playerCarIndex).physics = toPhysicsChannels(packet);
+}
+
+// Parse car status
+function parseCarStatus(buffer, header) {
+    const packet = decodePacket(buffer, header);
+    if (!packet) return;
     
-    for (let i = 0; i < 22; i++) {
-        // Check buffer boundary
-        if (offset + 55 > buffer.length) {
-            break;
+    packet.carStatusData.forEach((status, i) => {
+        if (!drivers.has(i)) {
+            return;
         }
         
-        const fuelInTank = safeReadFloatLE(buffer, offset + 5);
-        const fuelCapacity = safeReadFloatLE(buffer, offset + 9);
-        const fuelRemainingLaps = safeReadFloatLE(buffer, offset + 13);
-        const actualTyreCompound = safeReadUInt8(buffer, offset + 25);
-        const tyresAgeLaps = safeReadUInt8(buffer, offset + 27);
-        const vehicleFiaFlags = buffer.readInt8 ? buffer.readInt8(offset + 28) : 0;
-        const ersStoreEnergy = safeReadFloatLE(buffer, offset + 37);
-        const ersDeployMode = safeReadUInt8(buffer, offset + 41);
+        drivers.get(i).carStatus = {
+            fuel: status.fuelInTank.toFixed(2),
+            fuelLaps: status.fuelRemainingLaps.toFixed(1),
+            tyreCompound: getTyreCompoundString(status.actualTyreCompound),
+            tyreAge: status.tyresAgeLaps,
+            ersEnergy: (status.ersStoreEnergy / 4000000 * 100).toFixed(1), // Convert to percentage
+            ersMode: getERSModeString(status.ersDeployMode),
+            flags: getFlagString(status.vehicleFiaFlags)
+        };
+    });
+}
+
+// Parse car damage (tyre wear, wings, floor, power unit wear, faults)
+function parseCarDamage(buffer, header) {
+    const packet = decodePacket(buffer, header);
+    if (!packet) return;
+    
+    packet.carDamageData.forEach((damage, i) => {
+        if (!drivers.has(i)) {
+            return;
+        }
         
-        if (drivers.has(i)) {
-            const driver = drivers.get(i);
-            driver.carStatus = {
-                fuel: fuelInTank.toFixed(2),
-                fuelLaps: fuelRemainingLaps.toFixed(1),
-                tyreCompound: getTyreCompoundString(actualTyreCompound),
-                tyreAge: tyresAgeLaps,
-                ersEnergy: (ersStoreEnergy / 4000000 * 100).toFixed(1), // Convert to percentage
-                ersMode: getERSModeString(ersDeployMode),
-                flags: getFlagString(vehicleFiaFlags)
-            };
+        drivers.get(i).damage = toCarDamage(damage);
+    });
+}
+
+// Parse final classification (end of session results)
+function parseFinalClassification(buffer) {
+    const classification = decodeFinalClassification(buffer);
+    if (!classification) return;
+    
+    classification.results.forEach((result) => {
+        if (!drivers.has(result.carIdx)) {
+            return;
         }
         
-        offset += 55; // Size of CarStatusData structure
+        drivers.get(result.carIdx).result = result;
+    });
+}
+
+// Clear everything stored for the previous session
+function resetSession() {
+    drivers.clear();
+    Object.assign(sessionInfo, createSessionInfo());
+    lobbyPlayers = [];
+    sessionHistory.reset();
+    tyreSets.reset();
+}
+
+// Parse events, a new session starts with SSTA
+function parseSessionEvent(buffer) {
+    const event = parseEvent(buffer);
+    if (event && event.eventStringCode === 'SSTA') {
+        resetSession();
     }
 }
 
+// Parse lobby info (online lobby player list)
+function parseLobbyInfo(buffer) {
+    const players = decodeLobbyInfo(buffer);
+    if (!players) return;
+    
+    lobbyPlayers = players;
+}
+
+// Parse time trial data (session best, personal best and rival laps)
+function parseTimeTrial(buffer) {
+    const timeTrial = decodeTimeTrial(buffer);
+    if (!timeTrial) return;
+    
+    sessionInfo.timeTrial = timeTrial;
+}
+
 // Helper functions for formatting
 function formatTime(milliseconds) {
     if (!milliseconds || milliseconds === 0 || milliseconds > 999999999) return '--:--';
@@ -379,6 +362,11 @@ function getTyreCompoundString(compound) {
     return compounds[compound] || 'Unknown';
 }
 
+function getVisualCompoundString(compound) {
+    const compounds = { 16: 'Soft', 17: 'Medium', 18: 'Hard', 7: 'Inter', 8: 'Wet' };
+    return compounds[compound] || 'Unknown';
+}
+
 function getPitStatusString(status) {
     const statuses = ['None', 'Pitting', 'In Pit'];
     return statuses[status] || 'Unknown';
@@ -389,6 +377,16 @@ function getDriverStatusString(status) {
     return statuses[status] || 'Unknown';
 }
 
+function getSafetyCarStatusString(status) {
+    const statuses = ['None', 'Safety Car', 'Virtual Safety Car', 'Formation Lap'];
+    return statuses[status] || 'Unknown';
+}
+
+function getReadyStatusString(status) {
+    const statuses = ['Not Ready', 'Ready', 'Spectating'];
+    return statuses[status] || 'Unknown';
+}
+
 function getERSModeString(mode) {
     const modes = ['None', 'Medium', 'Hotlap', 'Overtake'];
     return modes[mode] || 'Unknown';
@@ -422,6 +420,20 @@ function displayTelemetry() {
     
     // Display statistics
     console.log(chalk.gray(`Packets: ${packetCount} | Errors: ${errorCount} | Drivers: ${drivers.size}`));
+    if (sessionInfo.sessionDuration > 0) {
+        const timeLeft = formatTime(sessionInfo.sessionTimeLeft * 1000).split('.')[0];
+        const pitWindow = sessionInfo.pitStopWindow.idealLap > 0
+            ? `L${sessionInfo.pitStopWindow.idealLap}-L${sessionInfo.pitStopWindow.latestLap}`
+            : '--';
+        const forecast = sessionInfo.weatherForecast
+            .slice(0, 3)
+            .map((sample) => `+${sample.timeOffset}m ${sample.weather} ${sample.rainPercentage}%`)
+            .join(', ');
+        console.log(chalk.gray(`Time left: ${timeLeft} | Pit limit: ${sessionInfo.pitSpeedLimit} km/h | Pit window: ${pitWindow} | SC: ${sessionInfo.safetyCarStatus}`));
+        if (forecast) {
+            console.log(chalk.gray(`Forecast (${sessionInfo.forecastAccuracy}): ${forecast}`));
+        }
+    }
     console.log('');
     
     // Sort drivers by position
@@ -430,6 +442,13 @@ function displayTelemetry() {
         .sort((a, b) => (a[1].lapData?.position || 999) - (b[1].lapData?.position || 999));
     
     if (sortedDrivers.length === 0) {
+        if (lobbyPlayers.length > 0) {
+            console.log(chalk.cyan(`Lobby: ${lobbyPlayers.length} players`));
+            lobbyPlayers.forEach((player) => {
+                console.log(`  #${String(player.carNumber).padStart(2)} ${player.name.padEnd(20).substring(0, 20)} ${getReadyStatusString(player.readyStatus)}`);
+            });
+            console.log('');
+        }
         console.log(chalk.yellow('Waiting for race data... Make sure you are on track.'));
         console.log('');
         console.log(chalk.gray('Press Ctrl+C to stop'));
@@ -437,14 +456,15 @@ function displayTelemetry() {
     }
     
     // Display header
-    console.log(chalk.gray('Pos │ Driver          │ Lap  │ Last Lap    │ Speed │ Gear │ Fuel  │ Tyre    │ Status'));
-    console.log(chalk.gray('────┼─────────────────┼──────┼─────────────┼───────┼──────┼───────┼─────────┼────────'));
+    console.log(chalk.gray('Pos │ Driver          │ Lap  │ Last Lap    │ Best Lap    │ Speed │ Gear │ Fuel  │ Tyre    │ Status'));
+    console.log(chalk.gray('────┼─────────────────┼──────┼─────────────┼─────────────┼───────┼──────┼───────┼─────────┼────────'));
     
     // Display each driver (limit to top 20 for cleaner display)
     sortedDrivers.slice(0, 20).forEach(([id, driver]) => {
         const lap = driver.lapData || {};
         const telemetry = driver.telemetry || {};
         const status = driver.carStatus || {};
+        const bestLap = sessionHistory.getBestLap(id);
         
         const isPlayer = driver.isPlayer;
         const color = isPlayer ? chalk.yellow : chalk.white;
@@ -455,6 +475,7 @@ function displayTelemetry() {
             color(String(driver.name || 'Unknown').padEnd(15).substring(0, 15)),
             String(lap.currentLap || '-').padStart(4),
             String(lap.lastLapTime || '--:--').padEnd(11),
+            formatTime(bestLap && bestLap.lapTimeInMS).padEnd(11),
             String(telemetry.speed || '0').padStart(3) + 'km/h',
             String(telemetry.gear || '-').padStart(4),
             String(status.fuel || '0.0').padStart(5) + 'kg',
@@ -465,6 +486,31 @@ function displayTelemetry() {
         console.log(line);
     });
     
+    // Tyre sets left to the player
+    const player = sortedDrivers.find(([id, driver]) => driver.isPlayer);
+    const allocation = player && tyreSets.getAllocation(player[0]);
+    if (allocation) {
+        const compounds = [...new Set(allocation.available.map((set) => set.visualTyreCompound))]
+            .map((compound) => {
+                const sets = allocation.available.filter((set) => set.visualTyreCompound === compound);
+                const fresh = sets.filter((set) => set.wear === 0).length;
+                return `${getVisualCompoundString(compound)} ${sets.length} (${fresh} new)`;
+            })
+            .join(', ');
+        const fitted = allocation.fitted
+            ? `${getVisualCompoundString(allocation.fitted.visualTyreCompound)} ${allocation.fitted.wear}% worn, ${allocation.fitted.lifeSpan} laps left`
+            : '--';
+        console.log('');
+        console.log(chalk.cyan(`Fitted: ${fitted} │ Sets left: ${compounds || 'none'}`));
+    }
+    
+    // Time trial comparison
+    if (sessionInfo.timeTrial) {
+        const { playerSessionBest, personalBest, rival } = sessionInfo.timeTrial;
+        console.log('');
+        console.log(chalk.cyan(`Session Best: ${formatTime(playerSessionBest.lapTimeInMS)} │ Personal Best: ${formatTime(personalBest.lapTimeInMS)} │ Rival: ${formatTime(rival.lapTimeInMS)}`));
+    }
+    
     console.log('');
     console.log(chalk.gray('Press Ctrl+C to stop | Updates every 0.5 seconds'));
 }
@@ -489,17 +535,23 @@ server.on('message', (msg, rinfo) => {
             return;
         }
         
-        // Check if this is F1 25 or F1 24 data
-        if (header.packetFormat !== 2025 && header.packetFormat !== 2024) {
+        // Check if this is F1 25, F1 24 or F1 23 data
+        if (!getPacketLayout(header.packetFormat, header.packetVersion)) {
             if (errorCount < 5) { // Only show warning first 5 times
-                console.log(chalk.red(`Warning: Received packet format ${header.packetFormat}, expected 2025 for F1 25 or 2024 for F1 24`));
+                console.log(chalk.red(`Warning: Received packet format ${header.packetFormat} (version ${header.packetVersion}), expected one of ${Object.keys(PACKET_FORMATS).join(', ')}`));
             }
             errorCount++;
             return;
         }
         
+        // Drop the drivers and session of a previous session
+        if (currentSessionUID !== null && header.sessionUID !== currentSessionUID) {
+            resetSession();
+        }
+        currentSessionUID = header.sessionUID;
+        
         // Validate packet size matches expected size
-        const expectedSize = PACKET_SIZES[header.packetId];
+        const expectedSize = getPacketSize(header.packetId, header.packetFormat);
         if (expectedSize && Math.abs(msg.length - expectedSize) > 50) { // Allow some variance
             // Packet size doesn't match, but try to parse anyway
         }
@@ -507,20 +559,47 @@ server.on('message', (msg, rinfo) => {
         // Process different packet types with error handling
         try {
             switch (header.packetId) {
+                case PACKET_IDS.MOTION:
+                    parseMotion(msg, header);
+                    break;
                 case PACKET_IDS.PARTICIPANTS:
-                    parseParticipants(msg);
+                    parseParticipants(msg, header);
                     break;
                 case PACKET_IDS.SESSION:
-                    parseSession(msg);
+                    parseSession(msg, header);
                     break;
                 case PACKET_IDS.LAP_DATA:
-                    parseLapData(msg);
+                    parseLapData(msg, header);
                     break;
                 case PACKET_IDS.CAR_TELEMETRY:
-                    parseCarTelemetry(msg);
+                    parseCarTelemetry(msg, header);
+                    break;
+                case PACKET_IDS.MOTION_EX:
+                    parseMotionEx(msg, header);
                     break;
                 case PACKET_IDS.CAR_STATUS:
-                    parseCarStatus(msg);
+                    parseCarStatus(msg, header);
+                    break;
+                case PACKET_IDS.TIME_TRIAL:
+                    parseTimeTrial(msg);
+                    break;
+                case PACKET_IDS.FINAL_CLASSIFICATION:
+                    parseFinalClassification(msg);
+                    break;
+                case PACKET_IDS.LOBBY_INFO:
+                    parseLobbyInfo(msg);
+                    break;
+                case PACKET_IDS.CAR_DAMAGE:
+                    parseCarDamage(msg, header);
+                    break;
+                case PACKET_IDS.EVENT:
+                    parseSessionEvent(msg);
+                    break;
+                case PACKET_IDS.SESSION_HISTORY:
+                    sessionHistory.handlePacket({ header, buffer: msg });
+                    break;
+                case PACKET_IDS.TYRE_SETS:
+                    tyreSets.handlePacket({ header, buffer: msg });
                     break;
             }
         } catch (parseError) {